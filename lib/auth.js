@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// ========================================
+// SESSION TOKENS
+// Access codes are exchanged for a short-lived signed token:
+//   base64url(payload).base64url(HMAC-SHA256(payload))
+// payload = { sub: access code id, shop: shop id, tier, exp }
+// ========================================
+
+const base64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(body, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(body).digest());
+}
+
+function signToken(payload, secret, ttlSeconds) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const body = base64url(JSON.stringify({ ...payload, exp }));
+  return { token: `${body}.${sign(body, secret)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired
+function verifyToken(token, secret) {
+  if (typeof token !== 'string') return null;
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+  return payload;
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Without SESSION_SECRET tokens are signed with a per-process key, so every
+// restart logs everyone out. Fine locally, not in production.
+function sessionSecret(env = process.env) {
+  if (env.SESSION_SECRET) return env.SESSION_SECRET;
+  console.warn('⚠️ SESSION_SECRET not set - using a random key, sessions end on restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = { signToken, verifyToken, bearerToken, sessionSecret };
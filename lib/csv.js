@@ -0,0 +1,45 @@
+// ========================================
+// CSV PARSING
+// One line at a time: quoted cells, "" escapes, trimmed values.
+// Shared by the flat-rate loader and the parts price-list import.
+// ========================================
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Non-blank, non-comment lines; header lower-cased
+function parseCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line }) => line.trim() && !line.trim().startsWith('#'));
+  if (!lines.length) return { header: [], rows: [] };
+
+  const header = parseCsvLine(lines.shift().line).map(h => h.toLowerCase());
+  const rows = lines.map(({ line, number }) => {
+    const cells = parseCsvLine(line);
+    return { number, values: Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ''])) };
+  });
+  return { header, rows };
+}
+
+module.exports = { parseCsvLine, parseCsv };
@@ -0,0 +1,113 @@
+// ========================================
+// CUSTOMER MATCHING
+// Phone/email normalization and fuzzy duplicate scoring, so
+// "330-555-1212" and "(330) 5551212" are the same person.
+// ========================================
+
+// US numbers lose the leading country code; anything else is kept as digits
+function normalizePhone(phone) {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  return digits.length >= 7 ? digits : null;
+}
+
+function normalizeEmail(email) {
+  if (!email) return null;
+  const trimmed = String(email).trim().toLowerCase();
+  return trimmed || null;
+}
+
+// "Smith, John R." → "john r smith"
+function normalizeName(name) {
+  let text = String(name || '').toLowerCase().trim();
+  if (text.includes(',')) {
+    const [last, first] = text.split(',', 2);
+    text = `${first} ${last}`;
+  }
+  return text.replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(Boolean).join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 0..1. Token order doesn't matter ("John Smith" vs "Smith John"), and a
+// missing middle name or initial isn't held against it.
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const ratio = (s, t) => 1 - levenshtein(s, t) / Math.max(s.length, t.length);
+  const sorted = (s) => s.split(' ').sort().join(' ');
+  const significant = (s) => s.split(' ').filter(w => w.length > 1).sort().join(' ');
+
+  return Math.max(ratio(x, y), ratio(sorted(x), sorted(y)), ratio(significant(x), significant(y)));
+}
+
+const NAME_MATCH = 0.85;
+
+// Why two customer records look like the same person, strongest reason first.
+// Returns null when they don't.
+function duplicateMatch(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const phoneA = a.phone_digits || normalizePhone(a.phone);
+  const phoneB = b.phone_digits || normalizePhone(b.phone);
+  const emailA = normalizeEmail(a.email);
+  const emailB = normalizeEmail(b.email);
+  const names = nameSimilarity(a.name, b.name);
+
+  if (phoneA && phoneA === phoneB) { reasons.push('same phone'); score = Math.max(score, 0.95); }
+  if (emailA && emailA === emailB) { reasons.push('same email'); score = Math.max(score, 0.95); }
+  if (names >= NAME_MATCH) {
+    reasons.push(names === 1 ? 'same name' : 'similar name');
+    // A name alone is weak (two John Smiths), a name plus the same local number less so
+    const sameLine = phoneA && phoneB && phoneA.slice(-7) === phoneB.slice(-7);
+    score = Math.max(score, sameLine ? 0.9 : 0.6 + (names - NAME_MATCH));
+    if (sameLine && phoneA !== phoneB) reasons.push('same local number');
+  }
+
+  return reasons.length ? { score: Number(score.toFixed(2)), reasons } : null;
+}
+
+// Candidates that look like `customer`, best first
+function findDuplicates(customer, candidates, { minScore = 0.6 } = {}) {
+  return candidates
+    .filter(c => String(c.id) !== String(customer.id))
+    .map(c => ({ customer: c, ...duplicateMatch(customer, c) }))
+    .filter(m => m.reasons && m.score >= minScore)
+    .sort((x, y) => y.score - x.score);
+}
+
+// Every likely duplicate pair within one shop's customer list
+function duplicatePairs(customers, options) {
+  const pairs = [];
+  customers.forEach((customer, i) => {
+    for (const match of findDuplicates(customer, customers.slice(i + 1), options)) {
+      pairs.push({ a: customer, b: match.customer, score: match.score, reasons: match.reasons });
+    }
+  });
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  nameSimilarity,
+  duplicateMatch,
+  findDuplicates,
+  duplicatePairs
+};
@@ -0,0 +1,257 @@
+const PDFDocument = require('pdfkit');
+const { partPrice } = require('./parts');
+
+// ========================================
+// CUSTOMER DOCUMENTS
+// Printable estimate / invoice PDFs for a saved job. customerDocument()
+// copies over only what the customer should see; tips, warnings, the tax
+// set-aside and take-home never make it into the document.
+// ========================================
+
+const num = (value) => Number(value || 0);
+const money = (value) => `$${num(value).toFixed(2)}`;
+
+const SUPPLIES_BASIS_LABELS = { parts: 'parts', labor: 'labor', both: 'parts + labor' };
+
+// Invoices bill the actuals when they were recorded, same as POST /invoice
+function billedFigures(job, type) {
+  const useActuals = type === 'invoice' && job.actual_subtotal !== null && job.actual_subtotal !== undefined;
+
+  if (useActuals) {
+    return {
+      labor: [{
+        description: job.description || 'Labor',
+        hours: num(job.actual_labor_hours),
+        rate: num(job.actual_labor_rate),
+        amount: num(job.actual_labor_cost)
+      }],
+      laborDiscount: null,
+      parts: (job.actual_parts || []).map(p => ({ name: p.name, amount: partPrice(p) })),
+      shopSupplies: num(job.actual_shop_supplies_cost),
+      travelFee: num(job.travel_fee),
+      subtotal: num(job.actual_subtotal),
+      salesTax: num(job.actual_sales_tax),
+      total: num(job.invoice_total ?? job.actual_total ?? job.actual_subtotal)
+    };
+  }
+
+  const rate = num(job.estimated_labor_rate);
+  const lines = job.estimated_line_items && job.estimated_line_items.length
+    ? job.estimated_line_items.map(line => ({
+      description: line.description,
+      hours: num(line.laborHours),
+      rate,
+      amount: num(line.laborCost ?? line.laborHours * rate)
+    }))
+    : [{ description: job.description || 'Labor', hours: num(job.estimated_labor_hours), rate, amount: num(job.estimated_labor_cost) }];
+
+  const discountHours = num(job.estimated_labor_discount_hours);
+  return {
+    labor: lines,
+    laborDiscount: discountHours > 0
+      ? { hours: discountHours, amount: Number((discountHours * rate).toFixed(2)) }
+      : null,
+    parts: (job.estimated_parts || []).map(p => ({ name: p.name, amount: partPrice(p) })),
+    shopSupplies: num(job.estimated_shop_supplies_cost),
+    travelFee: num(job.travel_fee),
+    subtotal: num(job.estimated_subtotal),
+    salesTax: num(job.estimated_sales_tax),
+    total: num(type === 'invoice' ? (job.invoice_total ?? job.estimated_total) : (job.estimated_total ?? job.estimated_subtotal))
+  };
+}
+
+function customerDocument({ job, customer, settings, type }) {
+  const isInvoice = type === 'invoice';
+  const figures = billedFigures(job, type);
+
+  return {
+    type,
+    title: isInvoice ? 'INVOICE' : 'ESTIMATE',
+    number: isInvoice ? job.invoice_number : `EST-${job.id}`,
+    date: (isInvoice ? job.invoiced_at : job.created_at) || new Date().toISOString(),
+    paidAt: isInvoice ? job.paid_at || null : null,
+    shop: {
+      name: settings.shopName,
+      address: settings.shopAddress,
+      phone: settings.shopPhone,
+      email: settings.shopEmail
+    },
+    customer: {
+      name: customer?.name || 'Customer',
+      phone: customer?.phone || null,
+      email: customer?.email || null
+    },
+    vehicle: job.vehicle || null,
+    // Mobile jobs: where and when, in the shop's time zone
+    serviceAddress: job.service_address || null,
+    appointment: !isInvoice && job.scheduled_at
+      ? new Date(job.scheduled_at).toLocaleString('en-US', { timeZone: settings.timeZone, dateStyle: 'medium', timeStyle: 'short' })
+      : null,
+    travelMiles: job.travel_miles === null || job.travel_miles === undefined ? null : num(job.travel_miles),
+    description: job.description,
+    timeline: isInvoice ? null : job.timeline,
+    ...figures,
+    suppliesBasis: SUPPLIES_BASIS_LABELS[job.shop_supplies_basis] || 'parts',
+    salesTaxPercent: num(job.sales_tax_percent),
+    amountPaid: num(job.amount_paid),
+    // Already paid on the diagnosis visit this repair came out of
+    diagnosticCredit: num(job.diagnostic_credit),
+    diagnosisNumber: job.parent_job_id ? `EST-${job.parent_job_id}` : null,
+    // A tiered estimate the customer hasn't chosen from yet lists every option
+    options: !isInvoice && Array.isArray(job.estimate_options) && job.estimate_options.length
+      ? job.estimate_options.map(option => ({
+        tier: option.tier,
+        label: option.label,
+        description: option.description,
+        warranty: option.warranty,
+        total: num(option.total),
+        selected: option.tier === job.selected_option
+      }))
+      : null,
+    selectedOption: job.selected_option || null,
+    terms: settings.documentTerms
+  };
+}
+
+// ========================================
+// PDF RENDERING
+// ========================================
+const COLORS = { accent: '#dc2626', text: '#111827', muted: '#6b7280', rule: '#d1d5db' };
+const MARGIN = 50;
+
+function renderDocumentPdf(doc) {
+  const pdf = new PDFDocument({ size: 'LETTER', margin: MARGIN, info: { Title: `${doc.title} ${doc.number}` } });
+  const width = pdf.page.width - MARGIN * 2;
+  const right = MARGIN + width;
+
+  const rule = () => {
+    pdf.moveDown(0.4);
+    pdf.strokeColor(COLORS.rule).lineWidth(1).moveTo(MARGIN, pdf.y).lineTo(right, pdf.y).stroke();
+    pdf.moveDown(0.6);
+  };
+
+  // Description on the left, amount right-aligned, on the same baseline
+  const row = (label, amount, { bold = false, color = COLORS.text, detail = null } = {}) => {
+    const y = pdf.y;
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(color);
+    pdf.text(label, MARGIN, y, { width: width - 200 });
+    const bottom = pdf.y;
+    if (detail) pdf.fillColor(COLORS.muted).text(detail, right - 200, y, { width: 100, align: 'right' });
+    pdf.fillColor(color).text(amount, right - 100, y, { width: 100, align: 'right' });
+    pdf.y = Math.max(bottom, pdf.y);
+    pdf.x = MARGIN;
+  };
+
+  const heading = (text) => {
+    pdf.moveDown(0.8);
+    pdf.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.accent).text(text, MARGIN);
+    pdf.moveDown(0.3);
+  };
+
+  // Shop header
+  const top = pdf.y;
+  pdf.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(doc.shop.name, MARGIN, top, { width: width / 2 });
+  pdf.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  for (const line of [doc.shop.address, doc.shop.phone, doc.shop.email]) {
+    if (line) pdf.text(line, { width: width / 2 });
+  }
+  const headerBottom = pdf.y;
+
+  pdf.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.accent).text(doc.title, MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+  pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+    .text(`# ${doc.number}`, { width: width / 2, align: 'right' })
+    .text(`Date: ${new Date(doc.date).toLocaleDateString('en-US')}`, { width: width / 2, align: 'right' });
+  if (doc.paidAt) {
+    pdf.font('Helvetica-Bold').fillColor('#16a34a').text(`PAID ${new Date(doc.paidAt).toLocaleDateString('en-US')}`, { width: width / 2, align: 'right' });
+  }
+  pdf.y = Math.max(headerBottom, pdf.y);
+  pdf.x = MARGIN;
+  rule();
+
+  // Customer & vehicle
+  const infoTop = pdf.y;
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text('CUSTOMER', MARGIN, infoTop);
+  pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(doc.customer.name);
+  if (doc.customer.phone) pdf.text(doc.customer.phone);
+  if (doc.customer.email) pdf.text(doc.customer.email);
+  const customerBottom = pdf.y;
+
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text('VEHICLE', MARGIN + width / 2, infoTop);
+  pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(doc.vehicle || 'Not specified', { width: width / 2 });
+  pdf.y = Math.max(customerBottom, pdf.y);
+  pdf.x = MARGIN;
+
+  if (doc.serviceAddress || doc.appointment) {
+    pdf.moveDown(0.6);
+    pdf.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text('SERVICE LOCATION', MARGIN);
+    pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    if (doc.serviceAddress) pdf.text(doc.serviceAddress, { width });
+    if (doc.appointment) pdf.text(`Appointment: ${doc.appointment}`, { width });
+  }
+
+  heading('WORK');
+  pdf.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(doc.description, { width });
+  if (doc.timeline && doc.timeline !== 'TBD') pdf.fillColor(COLORS.muted).text(`Estimated time: ${doc.timeline}`);
+
+  heading('LABOR');
+  for (const line of doc.labor) {
+    row(line.description, money(line.amount), { detail: `${line.hours} hrs @ ${money(line.rate)}` });
+  }
+  if (doc.laborDiscount) {
+    row('Shared labor credit (overlapping jobs)', `-${money(doc.laborDiscount.amount)}`, {
+      color: '#16a34a',
+      detail: `-${doc.laborDiscount.hours} hrs`
+    });
+  }
+
+  if (doc.parts.length) {
+    heading('PARTS');
+    for (const part of doc.parts) row(part.name, money(part.amount));
+  }
+
+  rule();
+  if (doc.travelFee > 0) row(`Trip fee${doc.travelMiles !== null ? ` (${doc.travelMiles} mi)` : ''}`, money(doc.travelFee));
+  if (doc.shopSupplies > 0) row(`Shop supplies (on ${doc.suppliesBasis})`, money(doc.shopSupplies));
+  if (doc.diagnosticCredit > 0) {
+    row(`Diagnostic fee credit${doc.diagnosisNumber ? ` (${doc.diagnosisNumber})` : ''}`, `-${money(doc.diagnosticCredit)}`, { color: '#16a34a' });
+  }
+  row('Subtotal', money(doc.subtotal), { bold: true });
+  if (doc.salesTax > 0) row(`Sales tax (${doc.salesTaxPercent}%)`, money(doc.salesTax));
+  pdf.moveDown(0.3);
+  if (doc.amountPaid > 0) {
+    row(doc.type === 'invoice' ? 'Total' : 'Estimated total', money(doc.total), { bold: true });
+    row(doc.type === 'invoice' ? 'Payments received' : 'Deposit received', `-${money(doc.amountPaid)}`, { color: '#16a34a' });
+    row('BALANCE DUE', money(Math.max(doc.total - doc.amountPaid, 0)), { bold: true, color: COLORS.accent });
+  } else {
+    row(doc.type === 'invoice' ? 'AMOUNT DUE' : 'ESTIMATED TOTAL', money(doc.total), { bold: true, color: COLORS.accent });
+  }
+
+  if (doc.options) {
+    heading(doc.selectedOption ? 'OPTIONS (CHOSEN OPTION PRICED ABOVE)' : 'OPTIONS (STANDARD OPTION PRICED ABOVE)');
+    for (const option of doc.options) {
+      const warranty = option.warranty ? ` - warranty ${option.warranty}` : '';
+      row(`${option.label}: ${option.description}${warranty}${option.selected ? ' (chosen)' : ''}`, money(option.total), { bold: option.selected });
+    }
+  }
+
+  if (doc.terms) {
+    heading('TERMS');
+    pdf.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted).text(doc.terms, { width });
+  }
+
+  // Signature line, kept together on one page
+  if (pdf.y > pdf.page.height - MARGIN - 90) pdf.addPage();
+  pdf.moveDown(3);
+  const sigY = pdf.y;
+  pdf.strokeColor(COLORS.text).lineWidth(0.75)
+    .moveTo(MARGIN, sigY).lineTo(MARGIN + width * 0.55, sigY).stroke()
+    .moveTo(MARGIN + width * 0.65, sigY).lineTo(right, sigY).stroke();
+  pdf.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted)
+    .text(doc.type === 'invoice' ? 'Customer signature (work received)' : 'Customer signature (work authorized)', MARGIN, sigY + 4)
+    .text('Date', MARGIN + width * 0.65, sigY + 4);
+
+  pdf.end();
+  return pdf;
+}
+
+module.exports = { customerDocument, renderDocumentPdf };
@@ -0,0 +1,73 @@
+// ========================================
+// OBD-II TROUBLE CODES
+// "P0301", "p0420", "U0100": a letter for the system and four characters.
+// Known codes come from data/dtc.json; anything else is described from
+// the code's structure so the prompt never has to guess a definition.
+// ========================================
+
+const DTC_DATA = require('../data/dtc.json');
+
+const DTC_PATTERN = /\b[PBCU][0-3][0-9A-F]{3}\b/gi;
+
+const CATEGORIES = { P: 'Powertrain', B: 'Body', C: 'Chassis', U: 'Network' };
+
+function normalizeDtc(code) {
+  const value = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  return /^[PBCU][0-3][0-9A-F]{3}$/.test(value) ? value : null;
+}
+
+function isDtc(code) {
+  return normalizeDtc(code) !== null;
+}
+
+// Codes mentioned in free text, first mention first, no repeats
+function extractDtcs(text) {
+  const found = String(text || '').match(DTC_PATTERN) || [];
+  return [...new Set(found.map(normalizeDtc))];
+}
+
+// P0/P2/P34-P39 and B0/C0/U0/x3 codes mean the same on every make; the
+// rest are defined by the manufacturer
+function isManufacturerSpecific(code) {
+  const [letter, first, second] = code;
+  if (letter === 'P') return first === '1' || (first === '3' && second <= '3');
+  return first === '1' || first === '2';
+}
+
+function describeDtc(code) {
+  const normalized = normalizeDtc(code);
+  if (!normalized) return null;
+
+  const known = DTC_DATA.codes[normalized];
+  const category = CATEGORIES[normalized[0]];
+  const manufacturerSpecific = isManufacturerSpecific(normalized);
+  if (known) {
+    return { code: normalized, known: true, category, manufacturerSpecific, ...known };
+  }
+
+  const subsystem = normalized[0] === 'P' && normalized[1] !== '3'
+    ? DTC_DATA.powertrainSubsystems[normalized[2]] || null
+    : null;
+  return {
+    code: normalized,
+    known: false,
+    category,
+    manufacturerSpecific,
+    description: `${manufacturerSpecific ? 'Manufacturer-specific' : 'Generic'} ${category.toLowerCase()} code${subsystem ? ` (${subsystem.toLowerCase()})` : ''} - not in the local code list`,
+    system: subsystem || category,
+    causes: []
+  };
+}
+
+// Codes from a dedicated field plus any typed into the description
+function collectDtcs(codes = [], description = '') {
+  return [...new Set([...codes.map(normalizeDtc).filter(Boolean), ...extractDtcs(description)])];
+}
+
+module.exports = {
+  normalizeDtc,
+  isDtc,
+  extractDtcs,
+  describeDtc,
+  collectDtcs
+};
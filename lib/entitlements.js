@@ -0,0 +1,151 @@
+// ========================================
+// TIERS & ENTITLEMENTS
+// What each subscription tier can use, and how much of the metered stuff
+// (AI estimates) it gets per calendar month. null limit = unlimited.
+// ========================================
+
+const TIERS = ['free', 'pro', 'pro_plus'];
+
+const TIER_LABELS = { free: 'Free', pro: 'Pro', pro_plus: 'Pro Plus' };
+
+function monthlyLimit(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return value === 'unlimited' ? null : Number(value);
+}
+
+function tierEntitlements(env = process.env) {
+  return {
+    free: {
+      features: [],
+      limits: { ai_estimates: monthlyLimit(env.FREE_MONTHLY_ESTIMATES, 5) }
+    },
+    pro: {
+      features: ['vin_lookup', 'invoices'],
+      limits: { ai_estimates: monthlyLimit(env.PRO_MONTHLY_ESTIMATES, null) }
+    },
+    pro_plus: {
+      features: ['vin_lookup', 'invoices', 'fleet'],
+      limits: { ai_estimates: monthlyLimit(env.PRO_PLUS_MONTHLY_ESTIMATES, null) }
+    }
+  };
+}
+
+const FEATURE_LABELS = {
+  vin_lookup: 'VIN lookup',
+  invoices: 'Invoicing',
+  fleet: 'Fleet (multi-vehicle) tools'
+};
+
+const METRIC_LABELS = {
+  ai_estimates: 'AI estimates'
+};
+
+// Codes issued before tiers existed have tier = null; they were all Pro
+function normalizeTier(tier) {
+  return TIERS.includes(tier) ? tier : 'pro';
+}
+
+// Cheapest tier that includes a feature, for the upgrade prompt
+function requiredTier(entitlements, feature) {
+  return TIERS.find(tier => entitlements[tier].features.includes(feature)) || null;
+}
+
+// Cheapest tier with more headroom on a metric than the current one
+function upgradeTierFor(entitlements, tier, metric) {
+  const current = entitlements[tier].limits[metric];
+  return TIERS.slice(TIERS.indexOf(tier) + 1).find(t => {
+    const limit = entitlements[t].limits[metric];
+    return limit === null || (current !== null && limit > current);
+  }) || null;
+}
+
+// Usage resets on the 1st of each month (UTC)
+function usagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function periodResetsAt(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+}
+
+// ========================================
+// USAGE METER
+// One row per (access code, metric, month) in usage_counters. A request
+// reserves its unit before it runs and releases it if it fails. Every
+// change is a compare-and-swap on count, so concurrent requests can't
+// both take the last unit or overwrite each other's increments.
+// ========================================
+const USAGE_WRITE_ATTEMPTS = 10;
+
+function createUsageMeter(db) {
+  const table = () => db.from('usage_counters');
+
+  async function used(codeId, metric, period = usagePeriod()) {
+    const { data, error } = await table()
+      .select('count').eq('code_id', codeId).eq('metric', metric).eq('period', period).maybeSingle();
+    if (error) throw error;
+    return data ? Number(data.count) : 0;
+  }
+
+  // count += delta unless that passes `limit` (null = no limit) or goes
+  // below 0 → { changed, count }
+  async function adjust(codeId, metric, period, delta, limit = null) {
+    for (let attempt = 0; attempt < USAGE_WRITE_ATTEMPTS; attempt++) {
+      const { data: current, error } = await table()
+        .select('count').eq('code_id', codeId).eq('metric', metric).eq('period', period).maybeSingle();
+      if (error) throw error;
+
+      const count = current ? Number(current.count) : 0;
+      const next = count + delta;
+      if ((limit !== null && next > limit) || next < 0) return { changed: false, count };
+
+      const updatedAt = new Date().toISOString();
+      const write = current
+        ? table().update({ count: next, updated_at: updatedAt })
+          .eq('code_id', codeId).eq('metric', metric).eq('period', period).eq('count', count).select('count')
+        : table().upsert({ code_id: codeId, metric, period, count: next, updated_at: updatedAt },
+          { onConflict: 'code_id,metric,period', ignoreDuplicates: true }).select('count');
+      const { data: written, error: writeError } = await write;
+      if (writeError) throw writeError;
+      // Nothing written: another request got there first, so read again
+      if (written && written.length) return { changed: true, count: next };
+    }
+    throw new Error(`Usage counter for code ${codeId} (${metric}) is too busy to update`);
+  }
+
+  // → { reserved, used, period }; `used` includes this reservation
+  async function reserve(codeId, metric, limit = null) {
+    const period = usagePeriod();
+    const { changed, count } = await adjust(codeId, metric, period, 1, limit);
+    return { reserved: changed, used: count, period };
+  }
+
+  // Gives back a reservation, in the month it was made
+  async function release(codeId, metric, period) {
+    await adjust(codeId, metric, period, -1);
+  }
+
+  async function summary(codeId) {
+    const period = usagePeriod();
+    const { data, error } = await db.from('usage_counters')
+      .select('metric, count').eq('code_id', codeId).eq('period', period);
+    if (error) throw error;
+    return Object.fromEntries((data || []).map(row => [row.metric, Number(row.count)]));
+  }
+
+  return { used, reserve, release, summary };
+}
+
+module.exports = {
+  TIERS,
+  TIER_LABELS,
+  FEATURE_LABELS,
+  METRIC_LABELS,
+  tierEntitlements,
+  normalizeTier,
+  requiredTier,
+  upgradeTierFor,
+  usagePeriod,
+  periodResetsAt,
+  createUsageMeter
+};
@@ -0,0 +1,37 @@
+const { partPrice } = require('./parts');
+
+// ========================================
+// ESTIMATE MATH
+// Shared by estimates and actuals so both sides of a job add up the same way.
+// policy comes from shop settings (or the snapshot saved on the job):
+// { shopSuppliesBasis, shopSuppliesCap, salesTaxPercent, salesTaxAppliesTo }
+// credit (a diagnostic fee already paid) comes off the subtotal, not the
+// taxable parts, and never takes the job below zero. travelFee (the mobile
+// trip charge) is part of the subtotal but never taxed.
+// ========================================
+function calculateTotals({ laborHours, laborRate, parts, shopSuppliesPercent, credit = 0, travelFee = 0 }, policy = {}) {
+  const basis = policy.shopSuppliesBasis || 'parts';
+  const laborCost = Number((laborHours * laborRate).toFixed(2));
+  const partsCost = Number((parts || []).reduce((s, p) => s + partPrice(p), 0).toFixed(2));
+
+  const suppliesBase = (basis === 'labor' ? 0 : partsCost) + (basis === 'parts' ? 0 : laborCost);
+  let shopSupplies = Number((suppliesBase * (shopSuppliesPercent / 100)).toFixed(2));
+  if (policy.shopSuppliesCap !== null && policy.shopSuppliesCap !== undefined) {
+    shopSupplies = Math.min(shopSupplies, Number(policy.shopSuppliesCap));
+  }
+
+  const trip = Number(Number(travelFee || 0).toFixed(2));
+  const gross = laborCost + partsCost + shopSupplies + trip;
+  const creditApplied = Number(Math.min(Number(credit || 0), gross).toFixed(2));
+  const subtotal = Number((gross - creditApplied).toFixed(2));
+
+  // Sales tax is collected for the state, so it sits on top of the subtotal
+  const salesTaxPercent = Number(policy.salesTaxPercent || 0);
+  const taxableBase = partsCost + (policy.salesTaxAppliesTo === 'parts_and_supplies' ? shopSupplies : 0);
+  const salesTax = Number((taxableBase * salesTaxPercent / 100).toFixed(2));
+  const total = Number((subtotal + salesTax).toFixed(2));
+
+  return { laborCost, partsCost, shopSupplies, travelFee: trip, credit: creditApplied, subtotal, salesTaxPercent, salesTax, total };
+}
+
+module.exports = { calculateTotals };
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine } = require('./csv');
+
+// ========================================
+// FLAT RATE TABLES
+// Book hours per job, with overrides keyed by make, model, year range,
+// cylinders, engine size and drivetrain. Loaded from JSON or CSV.
+// ========================================
+
+const MAKE_ALIASES = {
+  chevy: 'chevrolet',
+  vw: 'volkswagen',
+  mercedes: 'mercedes-benz',
+  benz: 'mercedes-benz',
+  'land rover': 'landrover'
+};
+
+const DRIVETRAIN_ALIASES = {
+  '4x4': '4WD', '4wd': '4WD', 'four wheel drive': '4WD', '4-wheel drive': '4WD',
+  awd: 'AWD', 'all wheel drive': 'AWD', 'all-wheel drive': 'AWD',
+  fwd: 'FWD', 'front wheel drive': 'FWD', 'front-wheel drive': 'FWD',
+  rwd: 'RWD', '4x2': 'RWD', 'rear wheel drive': 'RWD', 'rear-wheel drive': 'RWD'
+};
+
+// Compare makes/models without punctuation so "F-150" matches "f150"
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeMake(value) {
+  const make = String(value || '').toLowerCase().trim();
+  return normalizeName(MAKE_ALIASES[make] || make);
+}
+
+function normalizeDrivetrain(value) {
+  if (!value) return null;
+  const raw = String(value).toLowerCase().trim();
+  if (DRIVETRAIN_ALIASES[raw]) return DRIVETRAIN_ALIASES[raw];
+  const known = Object.keys(DRIVETRAIN_ALIASES).find(alias => raw.includes(alias));
+  return known ? DRIVETRAIN_ALIASES[known] : raw.toUpperCase();
+}
+
+// ========================================
+// OVERRIDE MATCHING
+// ========================================
+
+// More criteria = more specific. Model counts double since it implies a make.
+const CRITERIA_WEIGHTS = { make: 1, model: 2, years: 1, cylinders: 1, engineSize: 1, drivetrain: 1 };
+
+function overrideMatches(override, vehicle) {
+  if (override.make && normalizeMake(override.make) !== normalizeMake(vehicle.make)) return false;
+  if (override.model && !normalizeName(vehicle.model).startsWith(normalizeName(override.model))) return false;
+
+  if (override.years) {
+    const [min, max] = override.years;
+    const year = Number(vehicle.year);
+    if (!year || (min && year < min) || (max && year > max)) return false;
+  }
+
+  if (override.cylinders && Number(vehicle.cylinders) !== Number(override.cylinders)) return false;
+
+  if (override.engineSize) {
+    const size = Number(vehicle.displacement);
+    if (!size) return false;
+    const [min, max] = Array.isArray(override.engineSize) ? override.engineSize : [override.engineSize, override.engineSize];
+    if (size < min - 0.05 || size > max + 0.05) return false;
+  }
+
+  if (override.drivetrain && normalizeDrivetrain(vehicle.drivetrain) !== normalizeDrivetrain(override.drivetrain)) return false;
+  return true;
+}
+
+function specificity(override) {
+  return Object.entries(CRITERIA_WEIGHTS).reduce((score, [key, weight]) => score + (override[key] ? weight : 0), 0);
+}
+
+// Human-readable summary of what an override keyed on: "Ford F-150 2004-2010 5.4L"
+function describeOverride(override) {
+  const parts = [];
+  if (override.make) parts.push(override.make);
+  if (override.model) parts.push(override.model);
+  if (override.years) parts.push(override.years.filter(Boolean).join('-'));
+  if (override.engineSize) {
+    parts.push(Array.isArray(override.engineSize) ? `${override.engineSize.join('-')}L` : `${override.engineSize}L`);
+  }
+  if (override.cylinders) parts.push(`${override.cylinders} cyl`);
+  if (override.drivetrain) parts.push(normalizeDrivetrain(override.drivetrain));
+  return parts.join(' ');
+}
+
+function resolveHours(entry, vehicle) {
+  if (!vehicle || !entry.overrides || !entry.overrides.length) {
+    return { hours: entry.hours, basis: null };
+  }
+
+  let best = null;
+  for (const override of entry.overrides) {
+    if (!overrideMatches(override, vehicle)) continue;
+    // Ties go to whichever override was listed first
+    if (!best || specificity(override) > specificity(best)) best = override;
+  }
+  return best ? { hours: best.hours, basis: describeOverride(best) } : { hours: entry.hours, basis: null };
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function parseHours(value, min, max) {
+  if (min !== undefined && min !== '' && max !== undefined && max !== '') {
+    return { min: Number(min), max: Number(max) };
+  }
+  if (value === undefined || value === '') return null;
+  return Number(value);
+}
+
+// CSV columns: job, aliases (pipe separated), make, model, year_min, year_max,
+// cylinders, engine_size, drivetrain, hours, hours_min, hours_max.
+// Rows without any vehicle columns are the base rate; the rest are overrides.
+function parseCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const header = parseCsvLine(rows.shift()).map(h => h.toLowerCase());
+  const byJob = new Map();
+
+  for (const line of rows) {
+    const cells = parseCsvLine(line);
+    const row = Object.fromEntries(header.map((h, i) => [h, cells[i] ?? '']));
+    const job = row.job.toLowerCase();
+    if (!job) continue;
+
+    const entry = byJob.get(job) || { job, aliases: [], hours: null, overrides: [] };
+    byJob.set(job, entry);
+    if (row.aliases) entry.aliases.push(...row.aliases.split('|').map(a => a.trim().toLowerCase()).filter(Boolean));
+
+    const hours = parseHours(row.hours, row.hours_min, row.hours_max);
+    const override = {};
+    if (row.make) override.make = row.make;
+    if (row.model) override.model = row.model;
+    if (row.year_min || row.year_max) override.years = [Number(row.year_min) || null, Number(row.year_max) || null];
+    if (row.cylinders) override.cylinders = Number(row.cylinders);
+    if (row.engine_size) override.engineSize = Number(row.engine_size);
+    if (row.drivetrain) override.drivetrain = row.drivetrain;
+
+    if (Object.keys(override).length) entry.overrides.push({ ...override, hours });
+    else if (hours !== null) entry.hours = hours;
+  }
+
+  return [...byJob.values()];
+}
+
+function validateEntries(entries, source) {
+  for (const entry of entries) {
+    const all = [entry.hours, ...(entry.overrides || []).map(o => o.hours)];
+    const bad = all.find(h => !(typeof h === 'number' && h >= 0) && !(h && h.min >= 0 && h.max >= h.min));
+    if (bad !== undefined) {
+      throw new Error(`Flat rate "${entry.job}" in ${source} has invalid hours: ${JSON.stringify(bad)}`);
+    }
+  }
+  return entries;
+}
+
+function loadFlatRates(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const raw = path.extname(filePath).toLowerCase() === '.csv'
+    ? parseCsv(text)
+    : (JSON.parse(text).rates || []);
+
+  const entries = validateEntries(raw.map(entry => ({
+    job: entry.job.toLowerCase(),
+    aliases: (entry.aliases || []).map(a => a.toLowerCase()),
+    hours: entry.hours,
+    overrides: entry.overrides || []
+  })), filePath);
+
+  // Every phrase that can appear in a description, pointing back at its entry
+  const phrases = [];
+  for (const entry of entries) {
+    for (const phrase of [entry.job, ...entry.aliases]) phrases.push({ phrase, entry });
+  }
+
+  // Every job phrase found in the text, longest first where they overlap
+  // ("brake pads and rotors front" beats "brake pads"). Trailing "s" is allowed
+  // so "struts" still hits "strut".
+  function findMatches(text, vehicle) {
+    const desc = text.toLowerCase();
+    const isLetter = (ch) => !!ch && /[a-z]/.test(ch);
+    const hits = [];
+    for (const { phrase, entry } of phrases) {
+      let from = 0, idx;
+      while ((idx = desc.indexOf(phrase, from)) !== -1) {
+        let end = idx + phrase.length;
+        if (desc[end] === 's' && !isLetter(desc[end + 1])) end++;
+        if (!isLetter(desc[idx - 1]) && !isLetter(desc[end])) {
+          hits.push({ entry, start: idx, end });
+        }
+        from = idx + phrase.length;
+      }
+    }
+
+    hits.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    const chosen = [];
+    for (const hit of hits) {
+      if (chosen.some(c => hit.start < c.end && c.start < hit.end)) continue;
+      chosen.push(hit);
+    }
+
+    return chosen.sort((a, b) => a.start - b.start).map(({ entry, start, end }) => {
+      const { hours, basis } = resolveHours(entry, vehicle);
+      return { job: entry.job, hours, basis, start, end };
+    });
+  }
+
+  return {
+    entries,
+    overrideCount: entries.reduce((n, e) => n + e.overrides.length, 0),
+    findMatches
+  };
+}
+
+module.exports = { loadFlatRates, resolveHours, normalizeDrivetrain, normalizeMake };
@@ -0,0 +1,180 @@
+// ========================================
+// MULTI-JOB SPLITTING
+// "front brake pads and rotors, plus oil change" → one line item per job
+// ========================================
+const CLAUSE_SEPARATORS = /\s*(?:[,;\n]|\bplus\b|\balso\b|\bthen\b|\s&\s)\s*/i;
+
+// Words that don't describe work on their own ("replace the", "and new")
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'with', 'on', 'of', 'to', 'for', 'in', 'it', 'my', 'its',
+  'replace', 'replaced', 'replacement', 'new', 'install', 'do', 'need', 'needs', 'please',
+  'front', 'rear', 'back', 'both', 'sides', 'side', 'axle', 'all', 'four', 'set'
+]);
+
+function detectAxle(...texts) {
+  for (const text of texts) {
+    const front = /\bfront\b/.test(text);
+    const rear = /\b(rear|back)\b/.test(text);
+    if (front !== rear) return front ? 'front' : 'rear';
+  }
+  return null;
+}
+
+// Work that's done per axle. Anything else never takes an axle from the words
+// around it: "front brake pads and oil change" has no front oil change.
+const AXLE_JOB_PATTERN = /\b(brakes?|pads?|rotors?|calipers?|drums?|shoes|struts?|shocks?|springs?|bearings?|hubs?|cv|axles?|control arms?|ball joints?|tie rods?|sway bars?|bushings?)\b/;
+
+// "front and rear" (or "front & back") names both axles; a lone word names one
+const AXLE_WORDS = /\b(?:(front|rear|back)\s+(?:and|&)\s+(front|rear|back)|(front|rear|back))\b/g;
+
+const axleOf = (word) => (word === 'front' ? 'front' : 'rear');
+
+// The axle for a flat-rate match: from the job's own name, else the axle
+// word nearest the matched words in its clause
+function matchAxle(match, clause) {
+  const named = detectAxle(match.job);
+  if (named || !AXLE_JOB_PATTERN.test(match.job)) return named;
+
+  let nearest = null;
+  for (const word of clause.matchAll(AXLE_WORDS)) {
+    const start = word.index;
+    const end = start + word[0].length;
+    const distance = end <= match.start ? match.start - end : Math.max(0, start - match.end);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { distance, axle: word[3] ? axleOf(word[3]) : null };
+    }
+  }
+  return nearest ? nearest.axle : null;
+}
+
+// The span of a "front and rear" that applies to this match, if any. It has to
+// touch the match, and neither word may belong to another job: in "brake pads
+// front and rear rotors" each job keeps its own axle.
+function bothAxlesSpan(match, matches, clause) {
+  if (!AXLE_JOB_PATTERN.test(match.job)) return null;
+  for (const word of clause.matchAll(AXLE_WORDS)) {
+    if (!word[1] || axleOf(word[1]) === axleOf(word[2])) continue;
+    const start = word.index;
+    const end = start + word[0].length;
+    const gap = end <= match.start ? clause.slice(end, match.start)
+      : start >= match.end ? clause.slice(match.end, start) : '';
+    if (gap.trim()) continue;
+
+    const positions = [start, end - word[2].length];
+    const taken = matches.some(other => other !== match &&
+      positions.some(pos => pos >= other.start && pos < other.end));
+    if (!taken) return { start, end };
+  }
+  return null;
+}
+
+// The same job on the other axle, at its own flat rate: "brake pads rear" for
+// the rear of "brake pads front". Without a rate of its own it's a custom line.
+function lineForAxle(flatRates, match, axle, vehicle) {
+  if (!detectAxle(match.job)) {
+    return { description: `${match.job} (${axle})`, job: match.job, hours: match.hours, basis: match.basis, axle };
+  }
+  const job = match.job.replace(/\b(front|rear|back)\b/, axle);
+  const own = job === match.job ? match : flatRates.findMatches(job, vehicle).find(m => m.job === job);
+  return own
+    ? { description: own.job, job: own.job, hours: own.hours, basis: own.basis, axle }
+    : { description: job, job: null, hours: null, basis: null, axle };
+}
+
+function hasRealWords(text) {
+  return text.split(/[^a-z0-9']+/).some(w => w && !FILLER_WORDS.has(w));
+}
+
+// flatRates is the table from loadFlatRates
+function splitJobDescription(flatRates, description, vehicle, { whole = false } = {}) {
+  const clauses = description.toLowerCase().split(CLAUSE_SEPARATORS).map(c => c.trim()).filter(Boolean);
+  const lines = [];
+
+  for (const clause of clauses) {
+    let leftover = clause;
+    const blank = (start, end) => {
+      leftover = leftover.slice(0, start) + ' '.repeat(end - start) + leftover.slice(end);
+    };
+    const matches = flatRates.findMatches(clause, vehicle);
+    for (const match of matches) {
+      blank(match.start, match.end);
+      const both = bothAxlesSpan(match, matches, clause);
+      if (both) {
+        lines.push(lineForAxle(flatRates, match, 'front', vehicle), lineForAxle(flatRates, match, 'rear', vehicle));
+        blank(both.start, both.end);
+        continue;
+      }
+      const axle = matchAxle(match, clause);
+      const label = axle && !match.job.includes(axle) ? `${match.job} (${axle})` : match.job;
+      lines.push({ description: label, job: match.job, hours: match.hours, basis: match.basis, axle });
+    }
+
+    // Whatever wasn't a known job becomes a custom line for the AI to quote
+    for (const piece of leftover.split(/\band\b/)) {
+      const text = piece.replace(/\s+/g, ' ').trim();
+      if (text && hasRealWords(text)) {
+        lines.push({ description: text, job: null, hours: null, basis: null, axle: detectAxle(text) });
+      }
+    }
+  }
+
+  // Pure symptom/custom descriptions stay whole - there's nothing known to split around
+  if (whole || lines.length <= 1 || !lines.some(line => line.job)) {
+    const [flatRate] = flatRates.findMatches(description.trim(), vehicle);
+    return [{
+      description,
+      job: flatRate ? flatRate.job : null,
+      hours: flatRate ? flatRate.hours : null,
+      basis: flatRate ? flatRate.basis : null,
+      axle: flatRate && !AXLE_JOB_PATTERN.test(flatRate.job)
+        ? detectAxle(flatRate.job)
+        : detectAxle(description.toLowerCase())
+    }];
+  }
+  return lines;
+}
+
+// ========================================
+// LABOR OVERLAP
+// Jobs that share teardown get credited so the customer isn't billed twice
+// ========================================
+const LABOR_OVERLAPS = [
+  { jobs: [/brake pads/, /rotor/], sameAxle: true, hours: 1.0, reason: 'Wheels, calipers and pads already off' },
+  { jobs: [/brake pads|rotor/, /brake caliper/], sameAxle: true, hours: 0.5, reason: 'Caliper already off for brake work' },
+  { jobs: [/strut|shock absorber/, /sway bar link/], sameAxle: true, hours: 0.3, reason: 'Suspension already apart' },
+  { jobs: [/tie rod|ball joint|control arm|wheel bearing/, /tie rod|ball joint|control arm|wheel bearing/], sameAxle: true, hours: 0.5, reason: 'Wheel and knuckle already apart' },
+  { jobs: [/timing belt/, /water pump|coolant pump/], hours: 2.0, reason: 'Timing cover already off' },
+  { jobs: [/water pump|coolant pump|radiator/, /thermostat|radiator hose|coolant hose/], hours: 0.5, reason: 'Cooling system already drained' },
+  { jobs: [/water pump|coolant pump|thermostat|radiator/, /coolant flush|radiator flush|coolant change/], hours: 0.5, reason: 'Coolant already drained' },
+  { jobs: [/serpentine belt|drive belt/, /belt tensioner|alternator|water pump|power steering/], hours: 0.3, reason: 'Drive belt already off' },
+  { jobs: [/spark plug/, /ignition coil/], hours: 0.5, reason: 'Coils already out for plugs' },
+  { jobs: [/oil change|oil and filter/, /tire rotation|rotate tires/], hours: 0.2, reason: 'Vehicle already on the lift' }
+];
+
+function overlapRule(a, b) {
+  if (!a.job || !b.job) return null;
+  return LABOR_OVERLAPS.find(rule => {
+    const [first, second] = rule.jobs;
+    const pairs = (first.test(a.job) && second.test(b.job)) || (first.test(b.job) && second.test(a.job));
+    if (!pairs) return false;
+    return !rule.sameAxle || !a.axle || !b.axle || a.axle === b.axle;
+  }) || null;
+}
+
+function calculateLaborOverlap(lineItems, laborRate) {
+  const overlaps = [];
+  for (let i = 0; i < lineItems.length; i++) {
+    for (let j = i + 1; j < lineItems.length; j++) {
+      const rule = overlapRule(lineItems[i], lineItems[j]);
+      if (!rule) continue;
+      // Never credit more than the smaller job is worth
+      const hours = Math.min(rule.hours, lineItems[i].laborHours, lineItems[j].laborHours);
+      if (hours > 0) overlaps.push({ lines: [i, j], hours, reason: rule.reason });
+    }
+  }
+
+  const hours = Number(overlaps.reduce((s, o) => s + o.hours, 0).toFixed(2));
+  return { hours, amount: Number((hours * laborRate).toFixed(2)), overlaps };
+}
+
+module.exports = { detectAxle, splitJobDescription, LABOR_OVERLAPS, calculateLaborOverlap };
@@ -0,0 +1,305 @@
+// ========================================
+// LLM PROVIDERS
+// Groq, any OpenAI-compatible server (Ollama, llama.cpp, LM Studio) and an
+// offline stub that's only used when LLM_PROVIDERS names it. Providers are
+// tried in order; each one gets timeouts and
+// exponential-backoff retries on 429/5xx before we fall through to the next.
+// Passing onToken streams the reply as it's generated; the full text is
+// still what complete() resolves to.
+// ========================================
+
+class LLMError extends Error {
+  constructor(message, { provider, status, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// The caller hung up (request.signal), as opposed to a provider timing out
+class LLMCancelledError extends LLMError {
+  constructor(provider) {
+    super('AI request cancelled', { provider });
+    this.name = 'LLMCancelledError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Aborts on the timeout or when the caller's signal does, whichever is first
+function requestSignal(timeoutMs, signal) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+  const controller = new AbortController();
+  for (const source of [timeout, signal]) {
+    if (source.aborted) controller.abort(source.reason);
+    else source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ========================================
+// OPENAI-COMPATIBLE CHAT COMPLETIONS
+// Groq speaks the same protocol, so both providers share this
+// ========================================
+
+// `stream: true` replies are SSE: "data: {chunk}" lines, then "data: [DONE]"
+async function readCompletionStream(body, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return text;
+      let delta;
+      try {
+        delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+      } catch (err) {
+        continue;
+      }
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+  }
+  return text;
+}
+
+function openAICompatibleProvider({ name, baseUrl, apiKey, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  // A failed fetch or a stream cut off partway: our caller leaving, a timeout, or the network
+  const requestError = (err, signal) => {
+    if (signal && signal.aborted) return new LLMCancelledError(name);
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    return new LLMError(timedOut ? `${name} timed out after ${timeoutMs}ms` : `${name} request failed: ${err.message}`, {
+      provider: name,
+      retryable: true
+    });
+  };
+
+  return {
+    name,
+    model,
+    async complete({ system, prompt, maxTokens, temperature, onToken, signal }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          signal: requestSignal(timeoutMs, signal),
+          body: JSON.stringify({
+            model,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature,
+            ...(onToken ? { stream: true } : {})
+          })
+        });
+      } catch (err) {
+        throw requestError(err, signal);
+      }
+
+      if (!response.ok) {
+        const retryable = response.status === 429 || response.status >= 500;
+        throw new LLMError(`${name} API error: ${response.status}`, {
+          provider: name,
+          status: response.status,
+          retryable,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+
+      let text;
+      if (onToken) {
+        try {
+          text = await readCompletionStream(response.body, onToken);
+        } catch (err) {
+          throw requestError(err, signal);
+        }
+      } else {
+        const data = await response.json();
+        text = data.choices?.[0]?.message?.content;
+      }
+      if (!text) throw new LLMError(`No AI response from ${name}`, { provider: name, retryable: true });
+      return text;
+    }
+  };
+}
+
+// ========================================
+// OFFLINE STUB
+// Deterministic estimate built from the request context, so the whole
+// pipeline runs without network access (tests, demos, Groq outages)
+// ========================================
+function stubEstimate({ description = '', laborRate, lineItems = [], tiered = false } = {}) {
+  const bookHours = (line) => {
+    if (typeof line.hours === 'number') return line.hours;
+    if (line.hours) return line.hours.min;
+    return 1.0;
+  };
+
+  const lines = lineItems.map(line => ({
+    description: line.description,
+    laborHours: bookHours(line),
+    parts: []
+  }));
+
+  return {
+    jobType: 'Service',
+    shortDescription: description.slice(0, 80),
+    laborHours: lines.reduce((s, l) => s + l.laborHours, 0) || 1.0,
+    laborRate,
+    parts: [],
+    ...(lines.length > 1 ? { lineItems: lines } : {}),
+    ...(tiered ? {
+      options: ['economy', 'standard', 'premium'].map(tier => ({ tier, description: `${tier} parts`, extraLaborHours: 0, parts: [] }))
+    } : {}),
+    workSteps: ['Offline estimate - verify labor and add parts before sending to customer'],
+    shopSuppliesPercent: 7,
+    timeline: 'TBD',
+    notes: 'Generated without AI (offline stub provider).',
+    tips: [],
+    warnings: []
+  };
+}
+
+function stubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+    async complete({ context, onToken }) {
+      const text = JSON.stringify(stubEstimate(context));
+      // Streamed in pieces, so the streaming UI can be tried offline too
+      if (onToken) for (let i = 0; i < text.length; i += 64) onToken(text.slice(i, i + 64));
+      return text;
+    }
+  };
+}
+
+// ========================================
+// PROVIDER CHAIN
+// ========================================
+function buildProvider(name, env, timeoutMs) {
+  switch (name) {
+    case 'groq':
+      if (!env.GROQ_API_KEY) return null;
+      return openAICompatibleProvider({
+        name: 'groq',
+        baseUrl: env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+        apiKey: env.GROQ_API_KEY,
+        model: env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+        timeoutMs
+      });
+    case 'openai':
+      if (!env.LLM_BASE_URL) return null;
+      return openAICompatibleProvider({
+        name: 'openai',
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model: env.LLM_MODEL || 'llama3.1',
+        timeoutMs
+      });
+    case 'stub':
+      return stubProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (expected groq, openai or stub)`);
+  }
+}
+
+// LLM_PROVIDERS=groq,openai,stub sets the fallback order. Without it we use
+// whichever of Groq and OpenAI-compatible is configured. The stub's canned
+// estimates never stand in for a missing key: with nothing configured,
+// providers is empty and complete() throws.
+function createLLM(env = process.env) {
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS || 30000);
+  const maxRetries = Number(env.LLM_MAX_RETRIES ?? 2);
+  const retryBaseMs = Number(env.LLM_RETRY_BASE_MS || 500);
+
+  const names = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)
+    : ['groq', 'openai'];
+
+  const providers = names.map(name => buildProvider(name, env, timeoutMs)).filter(Boolean);
+  if (!providers.length && env.LLM_PROVIDERS) {
+    throw new Error(`No usable LLM provider in LLM_PROVIDERS=${env.LLM_PROVIDERS} (missing API key or base URL?)`);
+  }
+
+  async function callWithRetry(provider, request) {
+    for (let attempt = 0; ; attempt++) {
+      // A streaming caller drops what it has so far whenever a new attempt starts
+      if (request.onAttempt) request.onAttempt({ provider: provider.name, attempt: attempt + 1 });
+      try {
+        return await provider.complete(request);
+      } catch (err) {
+        if (!(err instanceof LLMError) || !err.retryable || attempt >= maxRetries) throw err;
+        const backoff = retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+        const delay = Math.min(err.retryAfterMs ?? backoff, 30000);
+        console.warn(`[LLM RETRY] ${provider.name} attempt ${attempt + 1}/${maxRetries}: ${err.message} (waiting ${delay}ms)`);
+        await sleep(delay);
+        if (request.signal && request.signal.aborted) throw new LLMCancelledError(provider.name);
+      }
+    }
+  }
+
+  // request: { system, prompt, maxTokens, temperature, context, onToken, onAttempt, signal }
+  // context is only read by the stub; real providers just see the prompt.
+  // onToken(text) gets each piece of a streamed reply, onAttempt({ provider,
+  // attempt }) fires before every try, and aborting signal cancels the call.
+  async function complete(request) {
+    if (!providers.length) {
+      throw new LLMError('No AI provider configured - set GROQ_API_KEY or LLM_BASE_URL', { status: 503 });
+    }
+    const errors = [];
+    for (const provider of providers) {
+      try {
+        const text = await callWithRetry(provider, {
+          maxTokens: 1500,
+          temperature: 0.1,
+          ...request
+        });
+        return { text, provider: provider.name, model: provider.model };
+      } catch (err) {
+        if (err instanceof LLMCancelledError) throw err;
+        errors.push(err);
+        console.error(`[LLM FAILED] ${provider.name}: ${err.message}`);
+      }
+    }
+
+    const last = errors[errors.length - 1];
+    throw new LLMError(`All LLM providers failed: ${errors.map(e => e.message).join('; ')}`, {
+      provider: last && last.provider,
+      status: last && last.status
+    });
+  }
+
+  return {
+    complete,
+    providers: providers.map(p => ({ name: p.name, model: p.model }))
+  };
+}
+
+module.exports = { createLLM, LLMError, LLMCancelledError, stubEstimate };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ========================================
+// MAILER
+// MAIL_TRANSPORT=smtp|file|console. SMTP goes through nodemailer; "file"
+// writes each message to MAIL_DIR as JSON and "console" just logs it, for
+// local dev. Without MAIL_TRANSPORT we use SMTP if SMTP_HOST is set.
+// ========================================
+
+function smtpTransport(env) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: Number(env.SMTP_PORT) === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+function fileTransport(env) {
+  const dir = env.MAIL_DIR || path.join(os.tmpdir(), 'sksk-mail');
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { id };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[MAIL] To: ${message.to} | ${message.subject}\n${message.text}`);
+      return { id: null };
+    }
+  };
+}
+
+function createMailer(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  const from = env.MAIL_FROM || 'SKSK ProTech <no-reply@sksk-protech.app>';
+
+  let transport;
+  switch (name) {
+    case 'smtp':
+      if (!env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+      transport = smtpTransport(env);
+      break;
+    case 'file':
+      transport = fileTransport(env);
+      break;
+    case 'console':
+      transport = consoleTransport();
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp, file or console)`);
+  }
+
+  return {
+    transport: transport.name,
+    send: ({ to, subject, text, html }) => transport.send({ from, to, subject, text, html })
+  };
+}
+
+// ========================================
+// TEMPLATES
+// ========================================
+const TIER_NAMES = { free: 'Free', pro: 'Pro', pro_plus: 'Pro Plus' };
+
+function accessCodeEmail({ code, tier, name, appUrl }) {
+  const plan = TIER_NAMES[tier] || 'Pro';
+  return {
+    subject: `Your SKSK ProTech ${plan} access code`,
+    text: [
+      `Hi${name ? ` ${name}` : ''},`,
+      '',
+      `Thanks for subscribing to SKSK ProTech ${plan}. Your access code is:`,
+      '',
+      `    ${code}`,
+      '',
+      `Sign in at ${appUrl} with this code. Keep it somewhere safe - if you lose it,`,
+      'use "Forgot code?" on the sign-in screen and we will email it again.',
+      '',
+      'To cancel or switch between monthly and yearly billing, use "Manage billing" in the app.'
+    ].join('\n')
+  };
+}
+
+function recoveryEmail({ codes, appUrl }) {
+  const lines = codes.map(c => `    ${c.code} (${TIER_NAMES[c.tier] || 'Pro'})`);
+  return {
+    subject: 'Your SKSK ProTech access code',
+    text: [
+      'Someone (hopefully you) asked for the access code on this email address.',
+      '',
+      codes.length > 1 ? 'Your active codes:' : 'Your active code:',
+      ...lines,
+      '',
+      `Sign in at ${appUrl}. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  };
+}
+
+// Sent on behalf of a shop to its customer, so it's signed by the shop
+function approvalRequestEmail({ shopName, kind, reference, total, url, expiresAt }) {
+  const changeOrder = kind === 'change_order';
+  const amount = `$${Number(total || 0).toFixed(2)}`;
+  return {
+    subject: changeOrder
+      ? `${shopName}: approval needed for additional work (${reference})`
+      : `${shopName}: your estimate ${reference} is ready`,
+    text: [
+      'Hi,',
+      '',
+      changeOrder
+        ? `While working on your vehicle we found additional work that needs your approval (${amount}).`
+        : `Your estimate ${reference} is ready (${amount}).`,
+      '',
+      'Review it and approve or decline here:',
+      `    ${url}`,
+      '',
+      `This link works until ${new Date(expiresAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}.`,
+      '',
+      `- ${shopName}`
+    ].join('\n')
+  };
+}
+
+module.exports = { createMailer, accessCodeEmail, recoveryEmail, approvalRequestEmail };
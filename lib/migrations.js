@@ -0,0 +1,231 @@
+const { TABLES, primaryKey } = require('./schema');
+const { normalizePhone } = require('./customers');
+
+// ========================================
+// MIGRATIONS
+// lib/schema.js → DDL. Both dialects only ever add: missing tables, then
+// missing columns and indexes on tables that already exist, so running a
+// migration twice (or against a database set up by hand) is safe.
+// Nothing is renamed or dropped. Derived columns added to tables that
+// already had rows are then backfilled.
+// ========================================
+
+const POSTGRES_TYPES = {
+  id: 'bigint generated by default as identity',
+  bigint: 'bigint',
+  integer: 'integer',
+  numeric: 'numeric',
+  text: 'text',
+  boolean: 'boolean',
+  timestamptz: 'timestamptz',
+  date: 'date',
+  jsonb: 'jsonb'
+};
+
+// SQLite keeps booleans as 0/1 and timestamps, dates and JSON as text
+const SQLITE_TYPES = {
+  id: 'INTEGER',
+  bigint: 'INTEGER',
+  integer: 'INTEGER',
+  numeric: 'REAL',
+  text: 'TEXT',
+  boolean: 'INTEGER',
+  timestamptz: 'TEXT',
+  date: 'TEXT',
+  jsonb: 'TEXT'
+};
+
+const quote = (name) => `"${name}"`;
+
+function literal(value, dialect) {
+  if (typeof value === 'boolean') return dialect === 'sqlite' ? (value ? '1' : '0') : String(value);
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function defaultClause(spec, dialect) {
+  if (spec.default === undefined) return '';
+  if (spec.default === 'now') {
+    return dialect === 'sqlite' ? " DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))" : ' DEFAULT now()';
+  }
+  return ` DEFAULT ${literal(spec.default, dialect)}`;
+}
+
+function referencesClause(spec) {
+  if (!spec.references) return '';
+  const onDelete = spec.onDelete ? ` ON DELETE ${spec.onDelete.toUpperCase()}` : '';
+  return ` REFERENCES ${quote(spec.references)}(${quote(primaryKey(spec.references)[0])})${onDelete}`;
+}
+
+// `adding`: the column goes onto an existing table that may have rows, so
+// NOT NULL needs a default to fill them (a constant one, for SQLite).
+// Unique columns get their index from indexSql() either way.
+function columnDefinition(name, spec, dialect, { adding = false, singleKey = false } = {}) {
+  const types = dialect === 'sqlite' ? SQLITE_TYPES : POSTGRES_TYPES;
+  let sql = `${quote(name)} ${types[spec.type]}`;
+  if (singleKey) {
+    sql += ' PRIMARY KEY';
+    if (spec.type === 'id' && dialect === 'sqlite') sql += ' AUTOINCREMENT';
+  }
+  const sqliteNow = adding && dialect === 'sqlite' && spec.default === 'now';
+  if (spec.notNull && !singleKey && !(adding && spec.default === undefined) && !sqliteNow) sql += ' NOT NULL';
+  if (!sqliteNow) sql += defaultClause(spec, dialect);
+  return sql + referencesClause(spec);
+}
+
+function createTableSql(table, dialect) {
+  const key = primaryKey(table);
+  const lines = Object.entries(TABLES[table].columns).map(([name, spec]) => (
+    `  ${columnDefinition(name, spec, dialect, { singleKey: key.length === 1 && key[0] === name })}`
+  ));
+  if (key.length > 1) lines.push(`  PRIMARY KEY (${key.map(quote).join(', ')})`);
+  return `CREATE TABLE IF NOT EXISTS ${quote(table)} (\n${lines.join(',\n')}\n);`;
+}
+
+function indexSql(table) {
+  const spec = TABLES[table];
+  const statements = [];
+  // Unique constraints are indexes here, so a table that predates one gets it too
+  for (const [name, column] of Object.entries(spec.columns)) {
+    if (column.unique) {
+      statements.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${quote(`${table}_${name}_key`)} ON ${quote(table)} (${quote(name)});`);
+    }
+  }
+  for (const unique of spec.unique || []) {
+    statements.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${quote(`${table}_${unique.join('_')}_key`)} ON ${quote(table)} (${unique.map(quote).join(', ')});`);
+  }
+  for (const index of spec.indexes || []) {
+    statements.push(`CREATE INDEX IF NOT EXISTS ${quote(`${table}_${index.join('_')}_idx`)} ON ${quote(table)} (${index.map(quote).join(', ')});`);
+  }
+  return statements;
+}
+
+// ----- Backfills -----
+// Each fills only the rows it hasn't yet, so it's as safe to rerun as the
+// DDL. `sqlite` → how many rows it filled.
+
+const BACKFILLS = [
+  {
+    // lib/customers.js normalizePhone(): digits only, US country code dropped
+    name: 'customers.phone_digits',
+    postgres: `UPDATE "customers" SET "phone_digits" = regexp_replace(regexp_replace("phone", '\\D', '', 'g'), '^1(\\d{10})$', '\\1')
+  WHERE "phone_digits" IS NULL AND length(regexp_replace("phone", '\\D', '', 'g')) >= 7;`,
+    sqlite(database) {
+      const update = database.prepare('UPDATE "customers" SET "phone_digits" = ? WHERE "id" = ?');
+      let filled = 0;
+      for (const row of database.prepare('SELECT "id", "phone" FROM "customers" WHERE "phone_digits" IS NULL AND "phone" IS NOT NULL').all()) {
+        const digits = normalizePhone(row.phone);
+        if (!digits) continue;
+        update.run(digits, row.id);
+        filled++;
+      }
+      return filled;
+    }
+  },
+  {
+    // Diagnoses whose fee was credited before the claim column existed
+    name: 'jobs.diagnostic_credited_at',
+    postgres: `UPDATE "jobs" SET "diagnostic_credited_at" = now()
+  WHERE "diagnostic_credited_at" IS NULL
+    AND EXISTS (SELECT 1 FROM "jobs" AS "repair" WHERE "repair"."parent_job_id" = "jobs"."id" AND "repair"."diagnostic_credit" > 0);`,
+    sqlite(database) {
+      return Number(database.prepare(`UPDATE "jobs" SET "diagnostic_credited_at" = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE "diagnostic_credited_at" IS NULL
+          AND EXISTS (SELECT 1 FROM "jobs" AS "repair" WHERE "repair"."parent_job_id" = "jobs"."id" AND "repair"."diagnostic_credit" > 0)`).run().changes);
+    }
+  },
+  {
+    // Access code recovery looks emails up lowercased; codes sold before
+    // that kept the case Stripe sent
+    name: 'access_codes.email',
+    postgres: `UPDATE "access_codes" SET "email" = lower(trim("email"))
+  WHERE "email" IS NOT NULL AND "email" <> lower(trim("email"));`,
+    sqlite(database) {
+      return Number(database.prepare(`UPDATE "access_codes" SET "email" = lower(trim("email"))
+        WHERE "email" IS NOT NULL AND "email" <> lower(trim("email"))`).run().changes);
+    }
+  }
+];
+
+// ----- Postgres (Supabase) -----
+// PostgREST can't run DDL, so this is printed for the Supabase SQL editor
+// (or psql) rather than applied through the API.
+
+function postgresSql() {
+  const statements = ['-- Generated from lib/schema.js by scripts/migrate.js. Safe to run more than once.'];
+  for (const table of Object.keys(TABLES)) {
+    statements.push('', createTableSql(table, 'postgres'));
+    const key = primaryKey(table);
+    for (const [name, spec] of Object.entries(TABLES[table].columns)) {
+      if (key.includes(name)) continue;
+      statements.push(`ALTER TABLE ${quote(table)} ADD COLUMN IF NOT EXISTS ${columnDefinition(name, spec, 'postgres', { adding: true })};`);
+    }
+    statements.push(...indexSql(table));
+  }
+  statements.push('');
+  for (const backfill of BACKFILLS) statements.push(`-- ${backfill.name}`, backfill.postgres);
+  // PostgREST caches the schema; new columns aren't visible until it reloads
+  statements.push('', "NOTIFY pgrst, 'reload schema';");
+  return statements.join('\n') + '\n';
+}
+
+// ----- SQLite -----
+
+function sqliteColumns(database, table) {
+  return new Set(database.prepare(`PRAGMA table_info(${quote(table)})`).all().map(row => row.name));
+}
+
+function sqliteTables(database) {
+  return new Set(database.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name));
+}
+
+// Tables and columns the code expects that the file doesn't have yet
+function sqlitePending(database) {
+  const existing = sqliteTables(database);
+  const pending = [];
+  for (const table of Object.keys(TABLES)) {
+    if (!existing.has(table)) {
+      pending.push(table);
+      continue;
+    }
+    const columns = sqliteColumns(database, table);
+    for (const name of Object.keys(TABLES[table].columns)) {
+      if (!columns.has(name)) pending.push(`${table}.${name}`);
+    }
+  }
+  return pending;
+}
+
+// Applies what's pending and the backfills in one transaction
+// → { added: tables/columns, filled: [{ name, rows }] }
+function migrateSqlite(database) {
+  const pending = sqlitePending(database);
+  const filled = [];
+  database.exec('BEGIN');
+  try {
+    const existing = sqliteTables(database);
+    for (const table of Object.keys(TABLES)) {
+      if (!existing.has(table)) {
+        database.exec(createTableSql(table, 'sqlite'));
+      } else {
+        const columns = sqliteColumns(database, table);
+        for (const [name, spec] of Object.entries(TABLES[table].columns)) {
+          if (columns.has(name)) continue;
+          database.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${columnDefinition(name, spec, 'sqlite', { adding: true })};`);
+        }
+      }
+      for (const statement of indexSql(table)) database.exec(statement);
+    }
+    for (const backfill of BACKFILLS) {
+      const rows = backfill.sqlite(database);
+      if (rows) filled.push({ name: backfill.name, rows });
+    }
+    database.exec('COMMIT');
+  } catch (err) {
+    database.exec('ROLLBACK');
+    throw err;
+  }
+  return { added: pending, filled };
+}
+
+module.exports = { postgresSql, sqlitePending, migrateSqlite };
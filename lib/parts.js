@@ -0,0 +1,247 @@
+const { parseCsv } = require('./csv');
+
+// ========================================
+// PARTS PRICING
+// Every part carries two numbers: `cost` is what the shop pays, `price`
+// is what the customer is charged after markup. Jobs saved before the
+// catalog existed only have `cost`, and that was the customer amount.
+// ========================================
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Checked in order; upTo is exclusive and the last tier has upTo: null
+const DEFAULT_MARKUP_TIERS = [
+  { upTo: 50, percent: 50 },
+  { upTo: null, percent: 30 }
+];
+
+function markupPercent(cost, tiers = DEFAULT_MARKUP_TIERS) {
+  const tier = tiers.find(t => t.upTo === null || t.upTo === undefined || cost < t.upTo);
+  return tier ? Number(tier.percent) : 0;
+}
+
+function customerPrice(cost, tiers) {
+  return round2(cost * (1 + markupPercent(cost, tiers) / 100));
+}
+
+// What the customer pays for a part, old or new shape
+function partPrice(part) {
+  return Number(part.price ?? part.cost ?? 0);
+}
+
+function partsTotals(parts) {
+  const price = round2((parts || []).reduce((s, p) => s + partPrice(p), 0));
+  const cost = round2((parts || []).reduce((s, p) => s + Number(p.cost || 0), 0));
+  const coreCharges = round2((parts || []).reduce((s, p) => s + Number(p.coreCharge || 0), 0));
+  return { price, cost, margin: round2(price - cost), coreCharges };
+}
+
+// AI suggestions or parts the shop typed in (with a catalog match or not) →
+// priced parts. `matches[i]` is { entry, score } for parts[i], or null; parts
+// with no match keep `source` ('ai' or 'manual') as where they came from.
+function priceParts(parts, matches, tiers, source = 'ai') {
+  return parts.map((part, i) => {
+    const match = matches[i];
+    const cost = round2(match ? match.entry.cost : part.cost);
+    const priced = {
+      name: part.name,
+      cost,
+      price: customerPrice(cost, tiers),
+      markupPercent: markupPercent(cost, tiers),
+      coreCharge: match ? round2(match.entry.core_charge) : 0,
+      source: match ? 'catalog' : source
+    };
+    if (match) {
+      Object.assign(priced, {
+        catalogId: match.entry.id,
+        partNumber: match.entry.part_number,
+        brand: match.entry.brand || null,
+        supplier: match.entry.supplier || null,
+        matchScore: match.score
+      });
+    }
+    return priced;
+  });
+}
+
+// ========================================
+// PRICE LIST IMPORT
+// Supplier CSVs label their columns however they like, so each field
+// accepts a few common headers. Costs keep their cents.
+// ========================================
+
+const HEADER_ALIASES = {
+  part_number: ['part_number', 'part number', 'part #', 'part#', 'partno', 'part no', 'sku', 'item', 'item number'],
+  brand: ['brand', 'manufacturer', 'mfr', 'line'],
+  name: ['name', 'description', 'desc', 'part name', 'part_name', 'part description'],
+  cost: ['cost', 'your cost', 'net', 'net price', 'unit cost', 'dealer cost', 'price'],
+  core_charge: ['core_charge', 'core charge', 'core', 'core price']
+};
+
+function parseMoney(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const n = Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(n) ? round2(n) : NaN;
+}
+
+function columnFor(header, field) {
+  return HEADER_ALIASES[field].find(alias => header.includes(alias)) || null;
+}
+
+// → { entries, errors: [{ line, error }] }
+function parsePriceList(text) {
+  const { header, rows } = parseCsv(text);
+  const columns = Object.fromEntries(Object.keys(HEADER_ALIASES).map(field => [field, columnFor(header, field)]));
+  const missing = ['part_number', 'name', 'cost'].filter(field => !columns[field]);
+  if (missing.length) {
+    return { entries: [], errors: [{ line: 1, error: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  // A part number listed twice keeps its last row
+  const entries = new Map();
+  const errors = [];
+  for (const { number, values } of rows) {
+    const get = (field) => (columns[field] ? values[columns[field]] : '');
+    const partNumber = get('part_number').toUpperCase();
+    const cost = parseMoney(get('cost'));
+    const coreCharge = parseMoney(get('core_charge'));
+
+    if (!partNumber) { errors.push({ line: number, error: 'Missing part number' }); continue; }
+    if (!get('name')) { errors.push({ line: number, error: `${partNumber}: missing description` }); continue; }
+    if (cost === null || Number.isNaN(cost) || cost < 0) { errors.push({ line: number, error: `${partNumber}: invalid cost "${get('cost')}"` }); continue; }
+    if (Number.isNaN(coreCharge) || coreCharge < 0) { errors.push({ line: number, error: `${partNumber}: invalid core charge "${get('core_charge')}"` }); continue; }
+
+    entries.set(partNumber, {
+      part_number: partNumber,
+      brand: get('brand') || null,
+      name: get('name'),
+      cost,
+      core_charge: coreCharge || 0
+    });
+  }
+  return { entries: [...entries.values()], errors };
+}
+
+// ========================================
+// NAME MATCHING
+// "Ceramic brake pads (front)" vs "PAD SET CERAMIC FRONT": token overlap
+// after plurals and a few supplier abbreviations are folded together.
+// A front part never matches a rear one.
+// ========================================
+
+const ABBREVIATIONS = {
+  frt: 'front', fr: 'front', rr: 'rear', lh: 'left', rh: 'right',
+  disc: 'rotor', brk: 'brake', assy: 'assembly', cer: 'ceramic', w: 'with'
+};
+const STOPWORDS = new Set(['a', 'an', 'the', 'for', 'and', 'with', 'of', 'set', 'kit', 'new', 'aftermarket', 'oem', 'part']);
+const MATCH_THRESHOLD = 0.5;
+
+function tokens(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').split(' ')
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .filter(word => !STOPWORDS.has(word));
+}
+
+const SIDES = ['front', 'rear'];
+
+function nameScore(aiName, entry) {
+  // A part number quoted by the model is as good as it gets
+  if (entry.part_number && String(aiName).toUpperCase().includes(entry.part_number)) return 1;
+
+  const a = new Set(tokens(aiName));
+  const b = new Set(tokens(`${entry.name} ${entry.brand || ''}`));
+  if (!a.size || !b.size) return 0;
+
+  const sideA = SIDES.find(side => a.has(side));
+  const sideB = SIDES.find(side => b.has(side));
+  if (sideA && sideB && sideA !== sideB) return 0;
+
+  // Brand names in the catalog shouldn't count against a generic AI name
+  const brandTokens = new Set(tokens(entry.brand));
+  const b2 = [...b].filter(t => !brandTokens.has(t));
+  const shared = [...a].filter(t => b.has(t)).length;
+  return Number(Math.min(1, 2 * shared / (a.size + b2.length)).toFixed(2));
+}
+
+// Best entry for an AI part name, cheapest on a tie; null below the threshold
+function bestMatch(aiName, entries) {
+  let best = null;
+  for (const entry of entries) {
+    const score = nameScore(aiName, entry);
+    if (score < MATCH_THRESHOLD) continue;
+    if (!best || score > best.score || (score === best.score && Number(entry.cost) < Number(best.entry.cost))) {
+      best = { entry, score };
+    }
+  }
+  return best;
+}
+
+// ========================================
+// CATALOG STORE
+// parts_catalog: one row per (shop, supplier, part number)
+// ========================================
+function createPartsCatalog(db) {
+  // Rows whose name shares at least one meaningful word with `name`
+  async function candidates(shopId, name) {
+    const words = [...new Set(tokens(name))].filter(w => w.length > 2).slice(0, 6);
+    if (!words.length) return [];
+    const { data, error } = await db.from('parts_catalog').select('*')
+      .eq('shop_id', shopId)
+      .or(words.map(w => `name.ilike.*${w}*`).join(','))
+      .limit(100);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async function match(shopId, name) {
+    return bestMatch(name, await candidates(shopId, name));
+  }
+
+  async function importEntries(shopId, supplier, entries) {
+    const now = new Date().toISOString();
+    let imported = 0;
+    for (let i = 0; i < entries.length; i += 500) {
+      const chunk = entries.slice(i, i + 500).map(entry => ({ ...entry, shop_id: shopId, supplier, updated_at: now }));
+      const { error } = await db.from('parts_catalog').upsert(chunk, { onConflict: 'shop_id,supplier,part_number' });
+      if (error) throw error;
+      imported += chunk.length;
+    }
+    return imported;
+  }
+
+  // By name; `q` (already stripped of filter syntax) matches name, part
+  // number or brand → { entries, total }
+  async function search(shopId, { supplier = null, q = '', limit, offset }) {
+    let query = db.from('parts_catalog').select('*', { count: 'exact' }).eq('shop_id', shopId);
+    if (supplier) query = query.eq('supplier', supplier);
+    if (q) query = query.or(['name', 'part_number', 'brand'].map(column => `${column}.ilike.*${q}*`).join(','));
+    const { data, error, count } = await query.order('name').range(offset, offset + limit - 1);
+    if (error) throw error;
+    return { entries: data || [], total: count ?? (data || []).length };
+  }
+
+  // Drops a supplier's whole price list → how many rows went
+  async function removeSupplier(shopId, supplier) {
+    const { data, error } = await db.from('parts_catalog').delete()
+      .eq('shop_id', shopId).eq('supplier', supplier).select('id');
+    if (error) throw error;
+    return (data || []).length;
+  }
+
+  return { candidates, match, importEntries, search, removeSupplier };
+}
+
+module.exports = {
+  DEFAULT_MARKUP_TIERS,
+  markupPercent,
+  customerPrice,
+  partPrice,
+  partsTotals,
+  priceParts,
+  parsePriceList,
+  nameScore,
+  bestMatch,
+  createPartsCatalog
+};
@@ -0,0 +1,502 @@
+// ========================================
+// REPOSITORIES
+// Every table the routes touch, by what the routes need rather than by
+// query. `db` is any lib/storage.js client, so these run the same on
+// Supabase, SQLite or memory. Every read and write is scoped to a shop
+// except where there is no shop yet to scope to: access codes, which are
+// what a shop is found from, approval links opened by their token, and
+// Stripe events and the payments the webhook finds by Stripe's ids.
+// Errors are thrown; "not found" is null.
+// ========================================
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function row(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || null;
+}
+
+const now = () => new Date().toISOString();
+
+// ----- Access codes -----
+
+function createAccessCodeRepository(db) {
+  const table = () => db.from('access_codes');
+
+  return {
+    get: (id, columns = '*') => row(table().select(columns).eq('id', id).maybeSingle()),
+
+    findActive: (code) => row(table().select('*').eq('code', code).eq('is_active', true).maybeSingle()),
+
+    activeForEmail: (email) => rows(table().select('code, tier, expires_at').eq('email', email).eq('is_active', true)),
+
+    findBySubscription: (subscriptionId, columns = '*') => (
+      row(table().select(columns).eq('stripe_subscription_id', subscriptionId).maybeSingle())
+    ),
+
+    create: (fields) => row(table().insert(fields).select().single()),
+
+    recordUse: (code) => row(table().update({
+      current_uses: (code.current_uses || 0) + 1,
+      last_used_at: now()
+    }).eq('id', code.id).select('id').maybeSingle()),
+
+    markEmailed: (id) => row(table().update({ code_emailed_at: now() }).eq('id', id).select('id').maybeSingle()),
+
+    // → the { id, code } rows changed
+    updateBySubscription: (subscriptionId, fields) => (
+      rows(table().update(fields).eq('stripe_subscription_id', subscriptionId).select('id, code'))
+    ),
+
+    // For self-hosted setups with no Stripe: makes sure a code exists → { code, created }
+    async ensure(code, tier) {
+      const existing = await row(table().select('*').eq('code', code).maybeSingle());
+      if (existing) return { code: existing, created: false };
+      const created = await row(table().insert({
+        code, tier, customer_name: 'Local shop', is_active: true
+      }).select().single());
+      return { code: created, created: true };
+    }
+  };
+}
+
+// ----- Customers -----
+
+function createCustomerRepository(db) {
+  const table = () => db.from('customers');
+
+  return {
+    get: (shopId, id, columns = '*') => (
+      row(table().select(columns).eq('id', id).eq('shop_id', shopId).maybeSingle())
+    ),
+
+    byIds(shopId, ids, columns = '*') {
+      if (!ids.length) return Promise.resolve([]);
+      return rows(table().select(columns).eq('shop_id', shopId).in('id', ids));
+    },
+
+    forMatching: (shopId, columns) => rows(table().select(columns).eq('shop_id', shopId)),
+
+    // Oldest customer whose normalized email / phone_digits is `value`
+    async findBy(shopId, column, value) {
+      const found = await rows(table().select('*')
+        .eq('shop_id', shopId).eq(column, value).order('created_at', { ascending: true }).limit(1));
+      return found[0] || null;
+    },
+
+    // Customers from before phone_digits that no migration has filled yet,
+    // matched the old way: on the phone exactly as it was typed
+    async findByUnnormalizedPhone(shopId, phone) {
+      const found = await rows(table().select('*')
+        .eq('shop_id', shopId).eq('phone', phone).is('phone_digits', null).order('created_at', { ascending: true }).limit(1));
+      return found[0] || null;
+    },
+
+    // `q` (already stripped of filter syntax) matches name, email, phone digits
+    // or one of `customerIds` → { customers, total }
+    async search(shopId, { q = '', customerIds = [], limit, offset }) {
+      let query = table().select('*', { count: 'exact' }).eq('shop_id', shopId);
+      if (q) {
+        const filters = [`name.ilike.*${q}*`, `email.ilike.*${q}*`];
+        const digits = q.replace(/\D/g, '');
+        if (digits.length >= 3) filters.push(`phone_digits.like.*${digits}*`);
+        if (customerIds.length) filters.push(`id.in.(${customerIds.join(',')})`);
+        query = query.or(filters.join(','));
+      }
+      const { data, error, count } = await query.order('name', { ascending: true }).range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { customers: data || [], total: count ?? (data || []).length };
+    },
+
+    create: (shopId, fields) => row(table().insert({ shop_id: shopId, ...fields }).select().single()),
+
+    update: (shopId, id, fields) => row(table()
+      .update({ ...fields, updated_at: now() }).eq('id', id).eq('shop_id', shopId).select().single()),
+
+    remove: (shopId, id) => rows(table().delete().eq('id', id).eq('shop_id', shopId).select('id'))
+  };
+}
+
+// ----- Vehicles -----
+
+function createVehicleRepository(db) {
+  const table = () => db.from('vehicles');
+
+  return {
+    get: (shopId, id) => row(table().select('*').eq('id', id).eq('shop_id', shopId).maybeSingle()),
+
+    forCustomer: (shopId, customerId) => rows(table().select('*').eq('shop_id', shopId).eq('customer_id', customerId)),
+
+    findByVin: (shopId, vin) => row(table().select('*').eq('shop_id', shopId).eq('vin', vin).maybeSingle()),
+
+    // Most recently touched first; `q` matches make, model, VIN or plate
+    search(shopId, { customerId = null, q = '', limit = 200 } = {}) {
+      let query = table().select('*').eq('shop_id', shopId);
+      if (customerId) query = query.eq('customer_id', customerId);
+      if (q) query = query.or(['make', 'model', 'vin', 'plate'].map(column => `${column}.ilike.*${q}*`).join(','));
+      return rows(query.order('updated_at', { ascending: false, nullsFirst: false }).limit(limit));
+    },
+
+    create: (shopId, fields) => row(table().insert({ shop_id: shopId, ...fields, updated_at: now() }).select().single()),
+
+    update: (shopId, id, fields) => row(table()
+      .update({ ...fields, updated_at: now() }).eq('id', id).eq('shop_id', shopId).select().single()),
+
+    remove: (shopId, id) => rows(table().delete().eq('id', id).eq('shop_id', shopId).select('id')),
+
+    // → the { id } rows moved; a null `toCustomerId` leaves them unowned
+    reassignCustomer: (shopId, fromCustomerId, toCustomerId) => rows(table()
+      .update({ customer_id: toCustomerId, updated_at: now() })
+      .eq('shop_id', shopId).eq('customer_id', fromCustomerId).select('id'))
+  };
+}
+
+// ----- Jobs -----
+
+function createJobRepository(db) {
+  const table = () => db.from('jobs');
+
+  async function exists(shopId, column, value) {
+    return (await rows(table().select('id').eq('shop_id', shopId).eq(column, value).limit(1))).length > 0;
+  }
+
+  return {
+    get: (shopId, id) => row(table().select('*').eq('id', id).eq('shop_id', shopId).maybeSingle()),
+
+    recent: (shopId, limit = 50) => rows(table().select('*')
+      .eq('shop_id', shopId).order('created_at', { ascending: false }).limit(limit)),
+
+    forCustomer: (shopId, customerId) => rows(table().select('*')
+      .eq('shop_id', shopId).eq('customer_id', customerId).order('created_at', { ascending: false })),
+
+    forVehicle: (shopId, vehicleId) => rows(table().select('*')
+      .eq('shop_id', shopId).eq('vehicle_id', vehicleId).order('created_at', { ascending: false })),
+
+    customerHasJobs: (shopId, customerId) => exists(shopId, 'customer_id', customerId),
+    vehicleHasJobs: (shopId, vehicleId) => exists(shopId, 'vehicle_id', vehicleId),
+
+    // Customers with a job whose free-text vehicle mentions `q`
+    async customerIdsForVehicle(shopId, q, limit = 500) {
+      const found = await rows(table().select('customer_id').eq('shop_id', shopId).ilike('vehicle', `%${q}%`).limit(limit));
+      return [...new Set(found.map(job => job.customer_id).filter(Boolean))];
+    },
+
+    scheduledBetween: (shopId, statuses, from, to) => rows(table().select('*')
+      .eq('shop_id', shopId).in('status', statuses)
+      .gte('scheduled_at', from.toISOString()).lt('scheduled_at', to.toISOString())
+      .order('scheduled_at', { ascending: true })),
+
+    unscheduledApproved: (shopId, columns = '*') => rows(table().select(columns)
+      .eq('shop_id', shopId).eq('status', 'approved').is('scheduled_at', null)
+      .order('created_at', { ascending: true })),
+
+    // Every invoice number starting with `prefix` ("INV-2026-")
+    async invoiceNumbers(shopId, prefix) {
+      const found = await rows(table().select('invoice_number').eq('shop_id', shopId).like('invoice_number', `${prefix}%`));
+      return found.map(job => job.invoice_number);
+    },
+
+    byIds(shopId, ids) {
+      if (!ids.length) return Promise.resolve([]);
+      return rows(table().select('*').eq('shop_id', shopId).in('id', ids));
+    },
+
+    paidInYear: (shopId, year) => rows(table().select('*')
+      .eq('shop_id', shopId).eq('status', 'paid')
+      .gte('paid_at', `${year}-01-01`).lt('paid_at', `${year + 1}-01-01`)
+      .order('paid_at', { ascending: true })),
+
+    create: (fields) => row(table().insert(fields).select().single()),
+
+    update: (job, fields) => row(table().update(fields).eq('id', job.id).eq('shop_id', job.shop_id).select().single()),
+
+    remove: (job) => rows(table().delete().eq('id', job.id).eq('shop_id', job.shop_id).select('id')),
+
+    // Only if the job is still in the status it was read in, so two
+    // concurrent changes can't both win → the updated job, or null
+    updateIfStatus: (job, fields) => row(table()
+      .update(fields).eq('id', job.id).eq('shop_id', job.shop_id).eq('status', job.status).select().maybeSingle()),
+
+    // Claimed on the diagnosis row itself, so two repair quotes made at once
+    // can't both take the credit → the diagnosis, or null if one already has
+    claimDiagnosticCredit: (diagnosis) => row(table().update({ diagnostic_credited_at: now() })
+      .eq('id', diagnosis.id).eq('shop_id', diagnosis.shop_id).is('diagnostic_credited_at', null).select().maybeSingle()),
+
+    // Undoes a claim whose repair quote was never saved
+    releaseDiagnosticCredit: (claimed) => row(table().update({ diagnostic_credited_at: null })
+      .eq('id', claimed.id).eq('shop_id', claimed.shop_id).eq('diagnostic_credited_at', claimed.diagnostic_credited_at)
+      .select('id').maybeSingle()),
+
+    // Like updateIfStatus, and only if no one has revised the estimate
+    // since it was read → the updated job, or null
+    updateIfVersion(job, fields) {
+      const query = table().update(fields).eq('id', job.id).eq('shop_id', job.shop_id).eq('status', job.status);
+      const version = job.estimate_version ?? null;
+      return row((version === null ? query.is('estimate_version', null) : query.eq('estimate_version', version))
+        .select().maybeSingle());
+    },
+
+    reassignCustomer: (shopId, fromCustomerId, toCustomerId) => rows(table()
+      .update({ customer_id: toCustomerId }).eq('shop_id', shopId).eq('customer_id', fromCustomerId).select('id'))
+  };
+}
+
+// ----- Invoice numbers -----
+
+const INVOICE_NUMBER_ATTEMPTS = 10;
+
+function createInvoiceNumberRepository(db) {
+  const table = () => db.from('invoice_counters');
+
+  return {
+    // The shop's next number for `year`. A compare-and-swap on last_number,
+    // so two invoices made at once never share one. A year with no counter
+    // yet starts after `highestIssued()`, the numbers already on jobs.
+    async next(shopId, year, highestIssued) {
+      for (let attempt = 0; attempt < INVOICE_NUMBER_ATTEMPTS; attempt++) {
+        const current = await row(table().select('last_number').eq('shop_id', shopId).eq('year', year).maybeSingle());
+        const next = (current ? Number(current.last_number) : await highestIssued()) + 1;
+        const write = current
+          ? table().update({ last_number: next, updated_at: now() })
+            .eq('shop_id', shopId).eq('year', year).eq('last_number', current.last_number).select('last_number')
+          : table().upsert({ shop_id: shopId, year, last_number: next, updated_at: now() },
+            { onConflict: 'shop_id,year', ignoreDuplicates: true }).select('last_number');
+        // Nothing written: another invoice took this number first
+        if ((await rows(write)).length) return next;
+      }
+      throw new Error(`Invoice numbering for shop ${shopId} is too busy - try again`);
+    }
+  };
+}
+
+// ----- Estimate revisions -----
+
+function createRevisionRepository(db) {
+  const table = () => db.from('job_revisions');
+
+  return {
+    // Oldest first, so version N is at N - 1
+    forJob: (job) => rows(table().select('*')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).order('version', { ascending: true })),
+
+    get: (job, version) => row(table().select('*')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).eq('version', version).maybeSingle()),
+
+    // One row or several; each carries its own shop_id and job_id
+    add: (revisions) => rows(table().insert(revisions).select())
+  };
+}
+
+// ----- Approval links -----
+
+function createApprovalRepository(db) {
+  const table = () => db.from('approval_requests');
+
+  return {
+    // By the link's token, which is all the customer has: no shop to scope to
+    findByToken: (token) => row(table().select('*').eq('token', token).maybeSingle()),
+
+    forJob: (job) => rows(table().select('*')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).order('created_at', { ascending: true })),
+
+    create: (fields) => row(table().insert(fields).select().single()),
+
+    // Pending links for the change order, or for the estimate itself without one
+    supersedePending(job, changeOrder = null) {
+      const pending = table().update({ status: 'superseded' })
+        .eq('shop_id', job.shop_id).eq('job_id', job.id).eq('status', 'pending');
+      return rows(changeOrder ? pending.eq('change_order_id', changeOrder.id) : pending.is('change_order_id', null));
+    },
+
+    // Only while still pending, so a double-submit signs once → the decided row, or null
+    decide: (approval, fields) => row(table().update(fields)
+      .eq('id', approval.id).eq('shop_id', approval.shop_id).eq('status', 'pending').select().maybeSingle()),
+
+    // Undoes decide() when the job couldn't take the decision
+    reopen: (approval, decidedStatus) => rows(table().update({
+      status: 'pending', signature_name: null, signer_ip: null, signer_user_agent: null,
+      selected_tier: null, comment: null, decided_at: null
+    }).eq('id', approval.id).eq('shop_id', approval.shop_id).eq('status', decidedStatus).select('id'))
+  };
+}
+
+// ----- Change orders -----
+
+const CHANGE_ORDER_NUMBER_ATTEMPTS = 5;
+
+function createChangeOrderRepository(db) {
+  const table = () => db.from('change_orders');
+
+  return {
+    get: (shopId, id) => row(table().select('*').eq('id', id).eq('shop_id', shopId).maybeSingle()),
+
+    forJob: (job) => rows(table().select('*')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).order('number', { ascending: true })),
+
+    // Numbered 1, 2, ... per job. Two created at once read the same highest
+    // number; the one that loses the unique (job_id, number) insert takes the next.
+    async create(job, fields) {
+      for (let attempt = 0; attempt < CHANGE_ORDER_NUMBER_ATTEMPTS; attempt++) {
+        const [previous] = await rows(table().select('number')
+          .eq('job_id', job.id).eq('shop_id', job.shop_id).order('number', { ascending: false }).limit(1));
+        const { data, error } = await table().insert({
+          shop_id: job.shop_id,
+          job_id: job.id,
+          number: previous ? previous.number + 1 : 1,
+          ...fields
+        }).select().single();
+        if (!error) return data;
+        if (error.code !== '23505') throw error;
+      }
+      throw new Error(`Job ${job.id} kept getting new change orders - try again`);
+    },
+
+    // Only while still pending → the decided row, or null
+    decide: (changeOrder, status, decidedAt) => row(table().update({ status, decided_at: decidedAt })
+      .eq('id', changeOrder.id).eq('shop_id', changeOrder.shop_id).eq('status', 'pending').select().maybeSingle()),
+
+    reopen: (changeOrder, decidedStatus) => rows(table().update({ status: 'pending', decided_at: null })
+      .eq('id', changeOrder.id).eq('shop_id', changeOrder.shop_id).eq('status', decidedStatus).select('id'))
+  };
+}
+
+// ----- Job payments -----
+
+function createPaymentRepository(db) {
+  const table = () => db.from('job_payments');
+
+  return {
+    forJob: (job) => rows(table().select('*')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).order('created_at', { ascending: true })),
+
+    // Money that came in for the job, refunds included so they can be netted off
+    collectedForJob: (job) => rows(table().select('amount, refunded_amount')
+      .eq('job_id', job.id).eq('shop_id', job.shop_id).in('status', ['succeeded', 'refunded'])),
+
+    // Money that came in during `year`, by when it was paid
+    receivedInYear: (shopId, year) => rows(table().select('*')
+      .eq('shop_id', shopId).in('status', ['succeeded', 'refunded'])
+      .gte('paid_at', `${year}-01-01`).lt('paid_at', `${year + 1}-01-01`)
+      .order('paid_at', { ascending: true })),
+
+    // Which of `jobIds` have had any money come in, in any year
+    async jobsWithPayments(shopId, jobIds) {
+      if (!jobIds.length) return [];
+      const found = await rows(table().select('job_id')
+        .eq('shop_id', shopId).in('job_id', jobIds).in('status', ['succeeded', 'refunded']));
+      return [...new Set(found.map(payment => String(payment.job_id)))];
+    },
+
+    // The webhook only has Stripe's ids; the row says which shop it is
+    findByCheckoutSession: (sessionId) => row(table().select('*').eq('stripe_checkout_session_id', sessionId).maybeSingle()),
+    findByPaymentIntent: (paymentIntentId) => row(table().select('*').eq('stripe_payment_intent_id', paymentIntentId).maybeSingle()),
+
+    create: (fields) => row(table().insert(fields).select().single()),
+
+    update: (payment, fields) => row(table().update(fields)
+      .eq('id', payment.id).eq('shop_id', payment.shop_id).select().single())
+  };
+}
+
+// ----- Expenses -----
+
+function createExpenseRepository(db) {
+  const table = () => db.from('expenses');
+
+  return {
+    get: (shopId, id) => row(table().select('*').eq('id', id).eq('shop_id', shopId).maybeSingle()),
+
+    // Newest first; `from` and `to` are inclusive YYYY-MM-DD dates
+    list(shopId, { year = null, category = null, from = null, to = null } = {}) {
+      let query = table().select('*').eq('shop_id', shopId);
+      if (year) query = query.eq('tax_year', year);
+      if (category) query = query.eq('category', category);
+      if (from) query = query.gte('expense_date', from);
+      if (to) query = query.lte('expense_date', to);
+      return rows(query.order('expense_date', { ascending: false }));
+    },
+
+    forTaxYear: (shopId, year) => rows(table().select('*')
+      .eq('shop_id', shopId).eq('tax_year', year).order('expense_date', { ascending: true })),
+
+    create: (shopId, fields) => row(table().insert({ ...fields, shop_id: shopId }).select().single()),
+
+    update: (shopId, id, fields) => row(table().update(fields).eq('id', id).eq('shop_id', shopId).select().single()),
+
+    // → the deleted row, or null
+    async remove(shopId, id) {
+      const [deleted] = await rows(table().delete().eq('id', id).eq('shop_id', shopId).select());
+      return deleted || null;
+    }
+  };
+}
+
+// ----- Stripe events -----
+// Keyed by Stripe's event id; an event arrives before we know whose it is.
+
+function createStripeEventRepository(db) {
+  const table = () => db.from('stripe_events');
+
+  return {
+    get: (id) => row(table().select('*').eq('id', id).maybeSingle()),
+
+    // → true if this is the first delivery, false if the event was already logged
+    async logNew(event) {
+      const inserted = await rows(table().upsert({
+        id: event.id,
+        type: event.type,
+        status: 'processing',
+        attempts: 1,
+        received_at: now()
+      }, { onConflict: 'id', ignoreDuplicates: true }).select('id'));
+      return inserted.length > 0;
+    },
+
+    // Takes a failed or abandoned event back to processing, unless a
+    // parallel retry already has → true if this one got it
+    async retake(existing) {
+      const retaken = await rows(table()
+        .update({ status: 'processing', attempts: (existing.attempts || 1) + 1, error: null, updated_at: now() })
+        .eq('id', existing.id).eq('status', existing.status).select('id'));
+      return retaken.length > 0;
+    },
+
+    finish: (id, fields) => rows(table().update({ ...fields, updated_at: now() }).eq('id', id).select('id'))
+  };
+}
+
+function createRepositories(db) {
+  return {
+    accessCodes: createAccessCodeRepository(db),
+    customers: createCustomerRepository(db),
+    vehicles: createVehicleRepository(db),
+    jobs: createJobRepository(db),
+    invoiceNumbers: createInvoiceNumberRepository(db),
+    revisions: createRevisionRepository(db),
+    approvals: createApprovalRepository(db),
+    changeOrders: createChangeOrderRepository(db),
+    payments: createPaymentRepository(db),
+    expenses: createExpenseRepository(db),
+    stripeEvents: createStripeEventRepository(db)
+  };
+}
+
+module.exports = {
+  createAccessCodeRepository,
+  createCustomerRepository,
+  createVehicleRepository,
+  createJobRepository,
+  createInvoiceNumberRepository,
+  createRevisionRepository,
+  createApprovalRepository,
+  createChangeOrderRepository,
+  createPaymentRepository,
+  createExpenseRepository,
+  createStripeEventRepository,
+  createRepositories
+};
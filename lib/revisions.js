@@ -0,0 +1,174 @@
+const { partPrice } = require('./parts');
+
+// ========================================
+// ESTIMATE REVISIONS
+// Every version of a job's estimate is a row in job_revisions holding a
+// snapshot of the estimate columns as they stood. Rows are only ever
+// inserted, so any two versions can be compared without replaying edits.
+// ========================================
+
+const SNAPSHOT_COLUMNS = [
+  'description', 'raw_description', 'job_type',
+  'estimated_labor_hours', 'estimated_labor_rate', 'estimated_labor_cost',
+  'estimated_line_items', 'estimated_labor_discount_hours',
+  'estimated_parts', 'estimated_parts_cost', 'estimated_parts_our_cost',
+  'estimate_options', 'selected_option', 'diagnosis_causes', 'dtc_codes', 'diagnostic_credit',
+  'estimated_shop_supplies_percent', 'estimated_shop_supplies_cost',
+  'estimated_subtotal', 'estimated_sales_tax', 'estimated_total',
+  'shop_supplies_basis', 'shop_supplies_cap', 'sales_tax_percent', 'sales_tax_applies_to',
+  'estimated_tax_setaside', 'tax_rate',
+  'service_address', 'service_latitude', 'service_longitude', 'travel_miles', 'travel_fee', 'travel_zone',
+  'timeline', 'work_steps', 'warnings', 'notes'
+];
+
+function estimateSnapshot(job) {
+  return Object.fromEntries(SNAPSHOT_COLUMNS.map(column => [column, job[column] ?? null]));
+}
+
+// Reported in this order; money unless noted
+const FIGURES = [
+  ['estimated_labor_hours', 'Labor hours', 'hours'],
+  ['estimated_labor_rate', 'Labor rate'],
+  ['estimated_labor_cost', 'Labor'],
+  ['estimated_labor_discount_hours', 'Overlap discount', 'hours'],
+  ['estimated_parts_cost', 'Parts'],
+  ['estimated_parts_our_cost', 'Parts (our cost)'],
+  ['estimated_shop_supplies_percent', 'Shop supplies %', 'percent'],
+  ['estimated_shop_supplies_cost', 'Shop supplies'],
+  ['diagnostic_credit', 'Diagnostic credit'],
+  ['travel_fee', 'Trip fee'],
+  ['estimated_subtotal', 'Subtotal'],
+  ['estimated_sales_tax', 'Sales tax'],
+  ['estimated_total', 'Total']
+];
+
+const TEXT_FIELDS = [
+  ['description', 'Description'],
+  ['job_type', 'Job type'],
+  ['selected_option', 'Chosen option'],
+  ['service_address', 'Service address'],
+  ['timeline', 'Timeline'],
+  ['notes', 'Notes']
+];
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// { from, to, change, percent } - percent is null when starting from zero
+function delta(from, to) {
+  const a = round2(from);
+  const b = round2(to);
+  return { from: a, to: b, change: round2(b - a), percent: a ? Math.round((b - a) / a * 1000) / 10 : null };
+}
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n).toFixed(2)}`;
+
+// Parts are matched by name; a name listed twice pairs up in order
+function diffParts(fromParts, toParts) {
+  const key = (part) => String(part.name || '').trim().toLowerCase();
+  const remaining = new Map();
+  for (const part of fromParts || []) {
+    remaining.set(key(part), [...(remaining.get(key(part)) || []), part]);
+  }
+
+  const changes = [];
+  for (const part of toParts || []) {
+    const previous = (remaining.get(key(part)) || []).shift();
+    if (!previous) {
+      changes.push({ name: part.name, change: 'added', price: delta(0, partPrice(part)), cost: delta(0, part.cost) });
+      continue;
+    }
+    const price = delta(partPrice(previous), partPrice(part));
+    const cost = delta(previous.cost, part.cost);
+    const supplied = !!previous.customerSupplied !== !!part.customerSupplied;
+    if (price.change || cost.change || supplied) {
+      changes.push({ name: part.name, change: 'changed', price, cost, ...(supplied ? { customerSupplied: !!part.customerSupplied } : {}) });
+    }
+  }
+  for (const parts of remaining.values()) {
+    for (const part of parts) {
+      changes.push({ name: part.name, change: 'removed', price: delta(partPrice(part), 0), cost: delta(part.cost, 0) });
+    }
+  }
+  return changes;
+}
+
+// Line items keep their position across revisions (change orders append)
+function diffLineItems(fromLines, toLines) {
+  const a = fromLines || [];
+  const b = toLines || [];
+  const changes = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const before = a[i];
+    const after = b[i];
+    const figures = (line) => line ? { hours: line.laborHours, labor: line.laborCost, parts: line.partsCost } : { hours: 0, labor: 0, parts: 0 };
+    const x = figures(before);
+    const y = figures(after);
+    const entry = {
+      index: i,
+      description: (after || before).description,
+      change: !before ? 'added' : !after ? 'removed' : 'changed',
+      laborHours: delta(x.hours, y.hours),
+      laborCost: delta(x.labor, y.labor),
+      partsCost: delta(x.parts, y.parts)
+    };
+    const renamed = before && after && before.description !== after.description;
+    if (renamed) entry.previousDescription = before.description;
+    if (entry.change !== 'changed' || renamed || entry.laborHours.change || entry.laborCost.change || entry.partsCost.change) {
+      changes.push(entry);
+    }
+  }
+  return changes;
+}
+
+function diffOptions(fromOptions, toOptions) {
+  const a = fromOptions || [];
+  const b = toOptions || [];
+  const tiers = [...new Set([...a, ...b].map(option => option.tier))];
+  return tiers.map(tier => {
+    const before = a.find(option => option.tier === tier);
+    const after = b.find(option => option.tier === tier);
+    return {
+      tier,
+      change: !before ? 'added' : !after ? 'removed' : 'changed',
+      total: delta(before ? before.total : 0, after ? after.total : 0)
+    };
+  }).filter(option => option.change !== 'changed' || option.total.change);
+}
+
+function diffList(fromList, toList) {
+  const a = fromList || [];
+  const b = toList || [];
+  return { added: b.filter(item => !a.includes(item)), removed: a.filter(item => !b.includes(item)) };
+}
+
+// What moved between two snapshots, and by how much. Only changes are listed.
+function diffSnapshots(from, to) {
+  const figures = FIGURES
+    .map(([field, label, unit]) => ({ field, label, unit: unit || 'money', ...delta(from[field], to[field]) }))
+    .filter(figure => figure.change);
+  const text = TEXT_FIELDS
+    .filter(([field]) => (from[field] ?? null) !== (to[field] ?? null))
+    .map(([field, label]) => ({ field, label, from: from[field] ?? null, to: to[field] ?? null }));
+  const warnings = diffList(from.warnings, to.warnings);
+  const workSteps = diffList(from.work_steps, to.work_steps);
+
+  const diff = {
+    figures,
+    text,
+    lineItems: diffLineItems(from.estimated_line_items, to.estimated_line_items),
+    parts: diffParts(from.estimated_parts, to.estimated_parts),
+    options: diffOptions(from.estimate_options, to.estimate_options),
+    warnings: warnings.added.length || warnings.removed.length ? warnings : null,
+    workSteps: workSteps.added.length || workSteps.removed.length ? workSteps : null
+  };
+  diff.unchanged = !figures.length && !text.length && !diff.lineItems.length && !diff.parts.length &&
+    !diff.options.length && !diff.warnings && !diff.workSteps;
+
+  const total = delta(from.estimated_total, to.estimated_total);
+  diff.summary = total.change
+    ? `Total ${money(total.from)} → ${money(total.to)} (${total.change > 0 ? '+' : ''}${money(total.change)})`
+    : `Total unchanged at ${money(total.to)}`;
+  return diff;
+}
+
+module.exports = { SNAPSHOT_COLUMNS, estimateSnapshot, diffSnapshots };
@@ -0,0 +1,185 @@
+// ========================================
+// MOBILE SCHEDULING
+// Appointments, trip fees and the order to drive the day's jobs in.
+// Distances are straight-line miles between coordinates the shop enters -
+// there's no map service - so they come in a little under the real drive.
+// Points are { lat, lng }.
+// ========================================
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const round1 = (value) => Math.round(Number(value || 0) * 10) / 10;
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Checked in order; upToMiles is inclusive and the last zone has upToMiles: null
+const DEFAULT_TRAVEL_ZONES = [
+  { upToMiles: 10, fee: 0 },
+  { upToMiles: 25, fee: 35 },
+  { upToMiles: null, fee: 60 }
+];
+
+function hasCoordinates(point) {
+  return !!point && point.lat !== null && point.lat !== undefined && point.lng !== null && point.lng !== undefined &&
+    Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lng));
+}
+
+// Haversine
+function distanceMiles(a, b) {
+  const rad = (deg) => Number(deg) * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// → { miles, fee, zone, label }, zone counting from 1
+function zoneFee(miles, zones = DEFAULT_TRAVEL_ZONES) {
+  const index = zones.findIndex(z => z.upToMiles === null || z.upToMiles === undefined || miles <= z.upToMiles);
+  const zone = zones[index];
+  const from = index ? zones[index - 1].upToMiles : 0;
+  return {
+    miles: round1(miles),
+    fee: round2(zone.fee),
+    zone: index + 1,
+    label: zone.upToMiles === null || zone.upToMiles === undefined ? `over ${from} mi` : `${from}-${zone.upToMiles} mi`
+  };
+}
+
+// Trip fee from the shop's base to the job; null when either end has no coordinates
+function tripFee(base, location, zones) {
+  if (!hasCoordinates(base) || !hasCoordinates(location)) return null;
+  return zoneFee(distanceMiles(base, location), zones);
+}
+
+// ========================================
+// APPOINTMENTS
+// { id, start: Date, minutes }. The buffer is driving time kept clear
+// between two jobs.
+// ========================================
+
+// A job's labor rounded up to the quarter hour, never under half an hour
+function appointmentMinutes(laborHours) {
+  return Math.max(30, Math.ceil(Number(laborHours || 0) * 60 / 15) * 15);
+}
+
+function appointmentEnd(appointment) {
+  return new Date(appointment.start.getTime() + appointment.minutes * 60000);
+}
+
+function overlaps(a, b, bufferMinutes = 0) {
+  const buffer = bufferMinutes * 60000;
+  return a.start.getTime() < appointmentEnd(b).getTime() + buffer &&
+    b.start.getTime() < appointmentEnd(a).getTime() + buffer;
+}
+
+function findConflicts(appointment, others, bufferMinutes = 0) {
+  return others.filter(other => String(other.id) !== String(appointment.id) && overlaps(appointment, other, bufferMinutes));
+}
+
+// ========================================
+// SHOP TIME ZONE
+// "2026-10-20" means that day where the shop is, not in UTC.
+// ========================================
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function zoneParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+// Minutes the zone is ahead of UTC at that moment
+function zoneOffsetMinutes(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Local midnight; checked twice in case the guess lands across a DST change
+function zonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  let time = guess - zoneOffsetMinutes(new Date(guess), timeZone) * 60000;
+  time = guess - zoneOffsetMinutes(new Date(time), timeZone) * 60000;
+  return new Date(time);
+}
+
+// "YYYY-MM-DD" → { start, end } of that local day, end exclusive
+function dayBounds(day, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  return { start: zonedMidnight(year, month, date, timeZone), end: zonedMidnight(year, month, date + 1, timeZone) };
+}
+
+function localDay(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+function localTime(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+// ========================================
+// DAILY ROUTE
+// Nearest stop next, starting and ending at the shop's base. Stops without
+// coordinates can't be placed and come back separately.
+// ========================================
+
+// Miles to drive base → stops in the given order → base
+function routeMiles(base, stops) {
+  let here = base;
+  let miles = 0;
+  for (const stop of stops) {
+    miles += distanceMiles(here, stop.location);
+    here = stop.location;
+  }
+  return round1(miles + (stops.length ? distanceMiles(here, base) : 0));
+}
+
+function planRoute(base, stops) {
+  const left = stops.filter(stop => hasCoordinates(stop.location));
+  const unrouted = stops.filter(stop => !hasCoordinates(stop.location));
+
+  const route = [];
+  let here = base;
+  let driven = 0;
+  while (left.length) {
+    let nearest = 0;
+    for (let i = 1; i < left.length; i++) {
+      if (distanceMiles(here, left[i].location) < distanceMiles(here, left[nearest].location)) nearest = i;
+    }
+    const [stop] = left.splice(nearest, 1);
+    const legMiles = distanceMiles(here, stop.location);
+    driven += legMiles;
+    route.push({ ...stop, legMiles: round1(legMiles), milesSoFar: round1(driven) });
+    here = stop.location;
+  }
+
+  const returnMiles = route.length ? distanceMiles(here, base) : 0;
+  return { route, unrouted, returnMiles: round1(returnMiles), totalMiles: round1(driven + returnMiles) };
+}
+
+module.exports = {
+  DEFAULT_TRAVEL_ZONES,
+  hasCoordinates,
+  distanceMiles,
+  zoneFee,
+  tripFee,
+  appointmentMinutes,
+  appointmentEnd,
+  findConflicts,
+  isTimeZone,
+  dayBounds,
+  localDay,
+  localTime,
+  routeMiles,
+  planRoute
+};
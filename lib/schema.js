@@ -0,0 +1,391 @@
+// ========================================
+// DATABASE SCHEMA
+// Every table and column the code reads or writes, in one place. The
+// migration script turns this into Postgres (Supabase) or SQLite DDL, and
+// the local backends use it for ids, defaults and JSON/boolean columns.
+// Add new columns here first.
+//
+// Types: id (auto-increment primary key), bigint, integer, numeric, text,
+// boolean, timestamptz, date, jsonb. `default: 'now'` is the insert time.
+// ========================================
+
+const id = { type: 'id' };
+const column = (type, options = {}) => ({ type, ...options });
+
+const text = column('text');
+const bigint = column('bigint');
+const integer = column('integer');
+const numeric = column('numeric');
+const jsonb = column('jsonb');
+const timestamptz = column('timestamptz');
+const createdAt = column('timestamptz', { notNull: true, default: 'now' });
+
+// A code's own id, or access_codes.shop_id when several codes share a shop
+const shopId = column('bigint', { notNull: true });
+const jobId = column('bigint', { notNull: true, references: 'jobs', onDelete: 'cascade' });
+
+const TABLES = {
+  access_codes: {
+    columns: {
+      id,
+      code: column('text', { notNull: true, unique: true }),
+      // Set when the code belongs to another code's shop
+      shop_id: bigint,
+      tier: column('text', { notNull: true, default: 'free' }),
+      customer_name: text,
+      email: text,
+      is_active: column('boolean', { notNull: true, default: true }),
+      max_uses: integer,
+      current_uses: column('integer', { notNull: true, default: 0 }),
+      expires_at: timestamptz,
+      last_used_at: timestamptz,
+      code_emailed_at: timestamptz,
+      stripe_customer_id: text,
+      stripe_subscription_id: text,
+      stripe_subscription_status: text,
+      stripe_checkout_session_id: text,
+      payment_failed_at: timestamptz,
+      trial_ends_at: timestamptz,
+      created_at: createdAt
+    },
+    indexes: [['email'], ['stripe_subscription_id'], ['stripe_customer_id']]
+  },
+
+  shop_settings: {
+    primaryKey: ['shop_id'],
+    columns: {
+      shop_id: shopId,
+      labor_rate: numeric,
+      shop_supplies_percent: numeric,
+      shop_supplies_basis: text,
+      shop_supplies_cap: numeric,
+      sales_tax_locale: text,
+      sales_tax_percent: numeric,
+      sales_tax_applies_to: text,
+      tax_setaside_percent: numeric,
+      shop_name: text,
+      shop_address: text,
+      shop_phone: text,
+      shop_email: text,
+      document_terms: text,
+      parts_markup_tiers: jsonb,
+      tier_warranties: jsonb,
+      base_latitude: numeric,
+      base_longitude: numeric,
+      travel_zones: jsonb,
+      appointment_buffer_minutes: integer,
+      time_zone: text,
+      updated_at: timestamptz
+    }
+  },
+
+  usage_counters: {
+    primaryKey: ['code_id', 'metric', 'period'],
+    columns: {
+      code_id: column('bigint', { notNull: true, references: 'access_codes', onDelete: 'cascade' }),
+      metric: column('text', { notNull: true }),
+      // "2026-10"
+      period: column('text', { notNull: true }),
+      count: column('integer', { notNull: true, default: 0 }),
+      updated_at: timestamptz
+    }
+  },
+
+  // Last invoice number handed out, per shop and year
+  invoice_counters: {
+    primaryKey: ['shop_id', 'year'],
+    columns: {
+      shop_id: shopId,
+      year: column('integer', { notNull: true }),
+      last_number: column('integer', { notNull: true, default: 0 }),
+      updated_at: timestamptz
+    }
+  },
+
+  customers: {
+    columns: {
+      id,
+      shop_id: shopId,
+      name: column('text', { notNull: true }),
+      phone: text,
+      phone_digits: text,
+      email: text,
+      address: text,
+      notes: text,
+      created_at: createdAt,
+      updated_at: timestamptz
+    },
+    indexes: [['shop_id', 'name'], ['shop_id', 'email'], ['shop_id', 'phone_digits']]
+  },
+
+  vehicles: {
+    columns: {
+      id,
+      shop_id: shopId,
+      customer_id: column('bigint', { references: 'customers', onDelete: 'set null' }),
+      vin: text,
+      year: integer,
+      make: text,
+      model: text,
+      trim: text,
+      displacement: numeric,
+      cylinders: integer,
+      drivetrain: text,
+      plate: text,
+      plate_state: text,
+      mileage: integer,
+      mileage_updated_at: timestamptz,
+      color: text,
+      notes: text,
+      created_at: createdAt,
+      updated_at: timestamptz
+    },
+    indexes: [['shop_id', 'customer_id'], ['shop_id', 'vin']]
+  },
+
+  vin_decodes: {
+    primaryKey: ['vin'],
+    columns: {
+      vin: column('text', { notNull: true }),
+      decoded: column('jsonb', { notNull: true }),
+      fetched_at: timestamptz
+    }
+  },
+
+  jobs: {
+    columns: {
+      id,
+      shop_id: shopId,
+      customer_id: column('bigint', { references: 'customers' }),
+      vehicle_id: column('bigint', { references: 'vehicles', onDelete: 'set null' }),
+      // Diagnosis visit a repair quote came out of
+      parent_job_id: column('bigint', { references: 'jobs', onDelete: 'set null' }),
+      status: column('text', { notNull: true, default: 'estimate' }),
+      vehicle: text,
+      mileage: integer,
+      tax_year: integer,
+
+      description: text,
+      raw_description: text,
+      job_type: text,
+      timeline: text,
+      work_steps: jsonb,
+      warnings: jsonb,
+      notes: text,
+      dtc_codes: jsonb,
+      diagnosis_causes: jsonb,
+      estimate_options: jsonb,
+      selected_option: text,
+      estimate_version: integer,
+
+      estimated_labor_hours: numeric,
+      estimated_labor_rate: numeric,
+      estimated_labor_cost: numeric,
+      estimated_line_items: jsonb,
+      estimated_labor_discount_hours: numeric,
+      estimated_parts: jsonb,
+      estimated_parts_cost: numeric,
+      estimated_parts_our_cost: numeric,
+      estimated_shop_supplies_percent: numeric,
+      estimated_shop_supplies_cost: numeric,
+      estimated_subtotal: numeric,
+      estimated_sales_tax: numeric,
+      estimated_total: numeric,
+      estimated_tax_setaside: numeric,
+      diagnostic_credit: numeric,
+      // On a diagnosis: when a repair quote took its fee as credit (only one may)
+      diagnostic_credited_at: timestamptz,
+      shop_supplies_basis: text,
+      shop_supplies_cap: numeric,
+      sales_tax_percent: numeric,
+      sales_tax_applies_to: text,
+      tax_rate: numeric,
+
+      service_address: text,
+      service_latitude: numeric,
+      service_longitude: numeric,
+      travel_miles: numeric,
+      travel_fee: numeric,
+      travel_zone: text,
+      scheduled_at: timestamptz,
+      appointment_minutes: integer,
+
+      actual_labor_hours: numeric,
+      actual_labor_rate: numeric,
+      actual_labor_cost: numeric,
+      actual_parts: jsonb,
+      actual_parts_cost: numeric,
+      actual_shop_supplies_cost: numeric,
+      actual_subtotal: numeric,
+      actual_sales_tax: numeric,
+      actual_total: numeric,
+      actual_notes: text,
+
+      invoice_number: text,
+      invoice_sales_tax: numeric,
+      invoice_total: numeric,
+      amount_paid: numeric,
+
+      approved_at: timestamptz,
+      declined_at: timestamptz,
+      started_at: timestamptz,
+      completed_at: timestamptz,
+      invoiced_at: timestamptz,
+      paid_at: timestamptz,
+      created_at: createdAt
+    },
+    indexes: [
+      ['shop_id', 'created_at'], ['shop_id', 'customer_id'], ['shop_id', 'vehicle_id'],
+      ['shop_id', 'status'], ['shop_id', 'scheduled_at'], ['shop_id', 'invoice_number'], ['parent_job_id']
+    ]
+  },
+
+  // Insert-only: one row per version of a job's estimate
+  job_revisions: {
+    columns: {
+      id,
+      shop_id: shopId,
+      job_id: jobId,
+      version: column('integer', { notNull: true }),
+      source: column('text', { notNull: true }),
+      note: text,
+      changed_by: jsonb,
+      snapshot: column('jsonb', { notNull: true }),
+      created_at: createdAt
+    },
+    unique: [['job_id', 'version']]
+  },
+
+  change_orders: {
+    columns: {
+      id,
+      shop_id: shopId,
+      job_id: jobId,
+      number: column('integer', { notNull: true }),
+      status: column('text', { notNull: true, default: 'pending' }),
+      description: text,
+      reason: text,
+      labor_hours: numeric,
+      labor_rate: numeric,
+      labor_source: text,
+      labor_cost: numeric,
+      parts: jsonb,
+      parts_cost: numeric,
+      shop_supplies: numeric,
+      subtotal: numeric,
+      sales_tax: numeric,
+      total: numeric,
+      decided_at: timestamptz,
+      created_at: createdAt
+    },
+    unique: [['job_id', 'number']]
+  },
+
+  approval_requests: {
+    columns: {
+      id,
+      shop_id: shopId,
+      job_id: jobId,
+      change_order_id: column('bigint', { references: 'change_orders', onDelete: 'cascade' }),
+      kind: column('text', { notNull: true }),
+      token: column('text', { notNull: true, unique: true }),
+      status: column('text', { notNull: true, default: 'pending' }),
+      // What the customer was shown, frozen when the link was made
+      shown: jsonb,
+      signature_name: text,
+      signer_ip: text,
+      signer_user_agent: text,
+      selected_tier: text,
+      comment: text,
+      expires_at: timestamptz,
+      decided_at: timestamptz,
+      created_at: createdAt
+    },
+    indexes: [['job_id']]
+  },
+
+  job_payments: {
+    columns: {
+      id,
+      shop_id: shopId,
+      job_id: jobId,
+      kind: text,
+      method: text,
+      status: column('text', { notNull: true, default: 'pending' }),
+      amount: column('numeric', { notNull: true, default: 0 }),
+      refunded_amount: numeric,
+      note: text,
+      stripe_checkout_session_id: text,
+      stripe_payment_intent_id: text,
+      paid_at: timestamptz,
+      created_at: createdAt
+    },
+    indexes: [['job_id'], ['stripe_checkout_session_id'], ['stripe_payment_intent_id']]
+  },
+
+  // Webhook deliveries, so a retried event is only applied once
+  stripe_events: {
+    columns: {
+      id: column('text', { notNull: true, primaryKey: true }),
+      type: text,
+      status: text,
+      attempts: column('integer', { notNull: true, default: 1 }),
+      error: text,
+      received_at: timestamptz,
+      processed_at: timestamptz,
+      updated_at: timestamptz
+    }
+  },
+
+  expenses: {
+    columns: {
+      id,
+      shop_id: shopId,
+      expense_date: column('date', { notNull: true }),
+      category: column('text', { notNull: true }),
+      description: text,
+      amount: column('numeric', { notNull: true, default: 0 }),
+      miles: numeric,
+      vendor: text,
+      payment_method: text,
+      job_id: column('bigint', { references: 'jobs', onDelete: 'set null' }),
+      receipt: text,
+      notes: text,
+      tax_year: integer,
+      deductible_amount: numeric,
+      created_at: createdAt
+    },
+    indexes: [['shop_id', 'tax_year'], ['shop_id', 'expense_date']]
+  },
+
+  parts_catalog: {
+    columns: {
+      id,
+      shop_id: shopId,
+      supplier: column('text', { notNull: true }),
+      part_number: column('text', { notNull: true }),
+      brand: text,
+      name: column('text', { notNull: true }),
+      cost: column('numeric', { notNull: true, default: 0 }),
+      core_charge: column('numeric', { notNull: true, default: 0 }),
+      updated_at: timestamptz
+    },
+    unique: [['shop_id', 'supplier', 'part_number']],
+    indexes: [['shop_id', 'name']]
+  }
+};
+
+function primaryKey(table) {
+  const spec = TABLES[table];
+  if (spec.primaryKey) return spec.primaryKey;
+  return Object.entries(spec.columns).filter(([, c]) => c.type === 'id' || c.primaryKey).map(([name]) => name);
+}
+
+// Column sets an upsert can conflict on: the primary key, then unique keys
+function uniqueKeys(table) {
+  const spec = TABLES[table];
+  const single = Object.entries(spec.columns).filter(([, c]) => c.unique).map(([name]) => [name]);
+  return [primaryKey(table), ...(spec.unique || []), ...single];
+}
+
+module.exports = { TABLES, primaryKey, uniqueKeys };
@@ -0,0 +1,155 @@
+const path = require('path');
+const { DEFAULT_MARKUP_TIERS } = require('./parts');
+const { DEFAULT_TRAVEL_ZONES } = require('./schedule');
+
+// ========================================
+// SHOP SETTINGS
+// One row per shop in shop_settings. Everything that used to be a magic
+// number (labor rate, 7% supplies, 28% set-aside) is read from here.
+// ========================================
+
+const SALES_TAX_RATES = require(path.join(__dirname, '..', 'data', 'sales-tax-rates.json')).rates;
+
+const SUPPLIES_BASES = ['parts', 'labor', 'both'];
+const SALES_TAX_APPLIES_TO = ['parts', 'parts_and_supplies'];
+
+// API field → shop_settings column
+const COLUMNS = {
+  laborRate: 'labor_rate',
+  shopSuppliesPercent: 'shop_supplies_percent',
+  shopSuppliesBasis: 'shop_supplies_basis',
+  shopSuppliesCap: 'shop_supplies_cap',
+  salesTaxLocale: 'sales_tax_locale',
+  salesTaxPercent: 'sales_tax_percent',
+  salesTaxAppliesTo: 'sales_tax_applies_to',
+  taxSetAsidePercent: 'tax_setaside_percent',
+  shopName: 'shop_name',
+  shopAddress: 'shop_address',
+  shopPhone: 'shop_phone',
+  shopEmail: 'shop_email',
+  documentTerms: 'document_terms',
+  partsMarkupTiers: 'parts_markup_tiers',
+  tierWarranties: 'tier_warranties',
+  baseLatitude: 'base_latitude',
+  baseLongitude: 'base_longitude',
+  travelZones: 'travel_zones',
+  appointmentBufferMinutes: 'appointment_buffer_minutes',
+  timeZone: 'time_zone'
+};
+
+// Parts & labor warranty printed on each good / better / best option
+const DEFAULT_TIER_WARRANTIES = {
+  economy: '90 days / 3,000 miles',
+  standard: '12 months / 12,000 miles',
+  premium: '24 months / 24,000 miles'
+};
+
+const DEFAULT_TERMS = 'Estimate valid for 30 days. Parts prices subject to change. ' +
+  'Additional work requires customer approval. Payment due on completion.';
+
+// Postgres numerics come back from PostgREST as strings
+const NUMERIC_FIELDS = ['laborRate', 'shopSuppliesPercent', 'shopSuppliesCap', 'salesTaxPercent', 'taxSetAsidePercent', 'baseLatitude', 'baseLongitude'];
+
+function defaultSettings(env = process.env) {
+  return {
+    laborRate: Number(env.DEFAULT_LABOR_RATE || 65),
+    shopSuppliesPercent: 7,
+    shopSuppliesBasis: 'parts',
+    shopSuppliesCap: null,
+    salesTaxLocale: null,
+    salesTaxPercent: null,
+    salesTaxAppliesTo: 'parts',
+    taxSetAsidePercent: Number(env.TAX_SETASIDE_PERCENT || 28),
+    shopName: 'SKSK ProTech',
+    shopAddress: null,
+    shopPhone: null,
+    shopEmail: null,
+    documentTerms: DEFAULT_TERMS,
+    partsMarkupTiers: DEFAULT_MARKUP_TIERS,
+    tierWarranties: DEFAULT_TIER_WARRANTIES,
+    // Where trips are measured from; no trip fees until it's set
+    baseLatitude: null,
+    baseLongitude: null,
+    travelZones: DEFAULT_TRAVEL_ZONES,
+    appointmentBufferMinutes: 30,
+    timeZone: env.SHOP_TIME_ZONE || 'America/New_York'
+  };
+}
+
+// "OH-Summit" → county rate if we have it, else the state rate
+function localeSalesTaxPercent(locale) {
+  if (!locale) return 0;
+  const code = String(locale).toUpperCase().trim();
+  if (SALES_TAX_RATES[code] !== undefined) return SALES_TAX_RATES[code];
+  const state = code.split('-')[0];
+  return SALES_TAX_RATES[state] ?? 0;
+}
+
+// An explicit percent beats the locale lookup
+function effectiveSalesTaxPercent(settings) {
+  if (settings.salesTaxPercent !== null && settings.salesTaxPercent !== undefined) return Number(settings.salesTaxPercent);
+  return localeSalesTaxPercent(settings.salesTaxLocale);
+}
+
+function fromRow(row, env) {
+  const settings = defaultSettings(env);
+  if (!row) return settings;
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (row[column] !== null && row[column] !== undefined) {
+      settings[field] = NUMERIC_FIELDS.includes(field) ? Number(row[column]) : row[column];
+    }
+  }
+  return settings;
+}
+
+function toRow(fields) {
+  const row = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (fields[field] !== undefined) row[column] = fields[field];
+  }
+  return row;
+}
+
+// Public shape returned by /api/settings, with the resolved sales tax rate
+function describeSettings(settings) {
+  return { ...settings, effectiveSalesTaxPercent: effectiveSalesTaxPercent(settings) };
+}
+
+// Cached per shop; PUT /api/settings clears the entry
+function createSettingsStore(db, { ttlMs = 30000 } = {}) {
+  const cache = new Map();
+
+  async function get(shopId) {
+    const hit = cache.get(shopId);
+    if (hit && hit.expires > Date.now()) return hit.settings;
+
+    const { data, error } = await db.from('shop_settings').select('*').eq('shop_id', shopId).maybeSingle();
+    if (error) throw error;
+
+    const settings = fromRow(data);
+    cache.set(shopId, { settings, expires: Date.now() + ttlMs });
+    return settings;
+  }
+
+  async function update(shopId, fields) {
+    const row = { ...toRow(fields), shop_id: shopId, updated_at: new Date().toISOString() };
+    const { data, error } = await db.from('shop_settings')
+      .upsert(row, { onConflict: 'shop_id' }).select().single();
+    if (error) throw error;
+
+    cache.delete(shopId);
+    return fromRow(data);
+  }
+
+  return { get, update };
+}
+
+module.exports = {
+  SUPPLIES_BASES,
+  SALES_TAX_APPLIES_TO,
+  SALES_TAX_RATES,
+  defaultSettings,
+  effectiveSalesTaxPercent,
+  describeSettings,
+  createSettingsStore
+};
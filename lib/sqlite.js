@@ -0,0 +1,233 @@
+const { TABLES } = require('./schema');
+const { StorageError, checkColumns, conflictKey } = require('./storage');
+const { sqlitePending } = require('./migrations');
+
+// ========================================
+// SQLITE BACKEND
+// One file, for a shop self-hosting on a single box. Uses node:sqlite
+// (Node 22.13+, or 22.5+ with --experimental-sqlite), so there's nothing
+// native to install. Queries arrive as
+// the same specs lib/storage.js builds and become parameterized SQL.
+// JSON columns are stored as text, booleans as 0/1 and timestamps as
+// ISO-8601 UTC text, which sorts and compares correctly as text.
+// ========================================
+
+const quote = (name) => `"${name}"`;
+
+function openDatabase(file) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (err) {
+    throw new Error(`SQLite storage needs node:sqlite: Node 22.13 or newer, or 22.5+ run with --experimental-sqlite (this is ${process.version}). `
+      + 'Or set SUPABASE_URL, or STORAGE=memory to keep nothing between restarts.');
+  }
+  const database = new sqlite.DatabaseSync(file);
+  database.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;');
+  return database;
+}
+
+// ----- Values in and out -----
+
+function encode(spec, value) {
+  if (value === undefined || value === null) return null;
+  switch (spec.type) {
+    case 'jsonb': return JSON.stringify(value);
+    case 'boolean': return value ? 1 : 0;
+    case 'timestamptz': {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+    }
+    default: return value;
+  }
+}
+
+function decodeRow(table, row) {
+  const columns = TABLES[table].columns;
+  const decoded = {};
+  for (const [name, value] of Object.entries(row)) {
+    const spec = columns[name];
+    if (value === null || !spec) decoded[name] = value;
+    else if (spec.type === 'jsonb') decoded[name] = JSON.parse(value);
+    else if (spec.type === 'boolean') decoded[name] = !!value;
+    else decoded[name] = value;
+  }
+  return decoded;
+}
+
+// Filter values are compared against the stored form
+function filterValue(table, column, value) {
+  const spec = TABLES[table].columns[column];
+  if (!spec) throw new StorageError(`column ${table}.${column} does not exist`, { code: '42703' });
+  if (spec.type === 'boolean') return value === true || value === 'true' ? 1 : value === false || value === 'false' ? 0 : value;
+  // Full timestamps are normalized; bare dates ("2026-01-01") already compare correctly as text
+  if (spec.type === 'timestamptz' && /T/.test(String(value))) return encode(spec, value);
+  return value;
+}
+
+// ----- WHERE -----
+
+// like patterns use % and _; GLOB (case-sensitive, like Postgres LIKE) uses * and ?
+function globPattern(pattern) {
+  return String(pattern).replace(/[[\]*?]/g, char => `[${char}]`).replace(/%/g, '*').replace(/_/g, '?');
+}
+
+function condition(table, { column, op, value }, params) {
+  const col = quote(column);
+  const add = (v) => {
+    params.push(filterValue(table, column, v));
+    return '?';
+  };
+  switch (op) {
+    case 'eq': return `${col} = ${add(value)}`;
+    case 'neq': return `${col} <> ${add(value)}`;
+    case 'gt': return `${col} > ${add(value)}`;
+    case 'gte': return `${col} >= ${add(value)}`;
+    case 'lt': return `${col} < ${add(value)}`;
+    case 'lte': return `${col} <= ${add(value)}`;
+    case 'like':
+      params.push(globPattern(value));
+      return `${col} GLOB ?`;
+    case 'ilike':
+      params.push(String(value).toLowerCase());
+      return `lower(${col}) LIKE ? ESCAPE '\\'`;
+    case 'is':
+      if (value === null) return `${col} IS NULL`;
+      return `${col} = ${add(value)}`;
+    case 'in':
+      if (!value.length) return '0';
+      return `${col} IN (${value.map(add).join(', ')})`;
+    default:
+      throw new StorageError(`Unsupported filter "${op}"`, { code: 'PGRST100' });
+  }
+}
+
+function whereClause(spec, params) {
+  const parts = spec.filters.map(filter => condition(spec.table, filter, params));
+  for (const group of spec.orFilters) {
+    parts.push(`(${group.map(filter => condition(spec.table, filter, params)).join(' OR ')})`);
+  }
+  return parts.length ? ` WHERE ${parts.join(' AND ')}` : '';
+}
+
+function orderClause(spec) {
+  if (!spec.order.length) return '';
+  return ` ORDER BY ${spec.order.map(({ column, ascending, nullsFirst }) => (
+    `${quote(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`
+  )).join(', ')}`;
+}
+
+function rowValues(table, values) {
+  checkColumns(table, values);
+  const columns = Object.keys(values).filter(column => values[column] !== undefined);
+  return { columns, params: columns.map(column => encode(TABLES[table].columns[column], values[column])) };
+}
+
+// ----- Statements -----
+
+function createSqliteBackend(file) {
+  const database = openDatabase(file);
+  const pending = sqlitePending(database);
+  if (pending.length) {
+    database.close();
+    throw new Error(`${file} is missing ${pending.length} table(s)/column(s) (${pending.slice(0, 3).join(', ')}${pending.length > 3 ? ', ...' : ''}) - run npm run migrate`);
+  }
+
+  const all = (sql, params) => database.prepare(sql).all(...params).map(row => ({ ...row }));
+
+  function insertRow(table, values, conflict = null) {
+    const { columns, params } = rowValues(table, values);
+    const into = columns.length
+      ? `(${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      : 'DEFAULT VALUES';
+    let sql = `INSERT INTO ${quote(table)} ${into}`;
+    if (conflict) {
+      const updates = columns.filter(column => !conflict.key.includes(column));
+      sql += ` ON CONFLICT (${conflict.key.map(quote).join(', ')}) `;
+      sql += conflict.ignoreDuplicates || !updates.length
+        ? 'DO NOTHING'
+        : `DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`;
+    }
+    return all(`${sql} RETURNING *`, params);
+  }
+
+  // Several statements that must land together
+  function transaction(work) {
+    database.exec('BEGIN');
+    try {
+      const result = work();
+      database.exec('COMMIT');
+      return result;
+    } catch (err) {
+      database.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function execute(spec) {
+    const table = quote(spec.table);
+    const params = [];
+
+    switch (spec.action) {
+      case 'select': {
+        const where = whereClause(spec, params);
+        let sql = `SELECT * FROM ${table}${where}${orderClause(spec)}`;
+        const pageParams = [];
+        if (spec.limit !== null || spec.offset !== null) {
+          sql += ' LIMIT ? OFFSET ?';
+          pageParams.push(spec.limit === null ? -1 : spec.limit, spec.offset || 0);
+        }
+        const rows = all(sql, [...params, ...pageParams]);
+        const count = spec.count ? database.prepare(`SELECT COUNT(*) AS n FROM ${table}${where}`).get(...params).n : null;
+        return { rows, count };
+      }
+
+      case 'insert':
+        return { rows: transaction(() => spec.values.flatMap(values => insertRow(spec.table, values))) };
+
+      case 'upsert': {
+        const conflict = { key: conflictKey(spec.table, spec.onConflict), ignoreDuplicates: spec.ignoreDuplicates };
+        return { rows: transaction(() => spec.values.flatMap(values => insertRow(spec.table, values, conflict))) };
+      }
+
+      case 'update': {
+        const { columns, params: values } = rowValues(spec.table, spec.values);
+        if (!columns.length) return { rows: [] };
+        const set = columns.map(column => `${quote(column)} = ?`).join(', ');
+        const where = whereClause(spec, params);
+        return { rows: all(`UPDATE ${table} SET ${set}${where} RETURNING *`, [...values, ...params]) };
+      }
+
+      case 'delete': {
+        const where = whereClause(spec, params);
+        return { rows: all(`DELETE FROM ${table}${where} RETURNING *`, params) };
+      }
+
+      default:
+        throw new StorageError(`Unsupported action "${spec.action}"`);
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    file,
+    async execute(spec) {
+      try {
+        const { rows, count = null } = execute(spec);
+        return { rows: rows.map(row => decodeRow(spec.table, row)), count };
+      } catch (err) {
+        if (err instanceof StorageError) throw err;
+        // Postgres error codes, so callers can treat every backend alike
+        const message = String(err.message || err);
+        const code = /UNIQUE constraint/.test(message) ? '23505'
+          : /NOT NULL constraint/.test(message) ? '23502'
+            : /FOREIGN KEY constraint/.test(message) ? '23503'
+              : null;
+        throw new StorageError(message, { code });
+      }
+    },
+    close: () => database.close()
+  };
+}
+
+module.exports = { openDatabase, createSqliteBackend };
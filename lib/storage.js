@@ -0,0 +1,479 @@
+const path = require('path');
+const { TABLES, uniqueKeys } = require('./schema');
+
+// ========================================
+// STORAGE
+// STORAGE=supabase|sqlite|memory. Every backend answers the same
+// supabase-js style query - db.from('jobs').select('*').eq('id', 5) - and
+// resolves to { data, error, count }, so the repositories and lib/ stores
+// never know which one they're on. The local backends implement the
+// filters this codebase uses, not all of PostgREST.
+//
+// Without STORAGE: Supabase when SUPABASE_URL is set, else SQLite - which
+// fails to start on a Node without node:sqlite rather than quietly keeping
+// a shop's jobs in memory. Memory is only ever asked for by name.
+// ========================================
+
+class StorageError extends Error {
+  constructor(message, { code = null, details = null } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ----- Filters -----
+// { column, op, value }; like patterns use % (PostgREST's * is accepted too)
+
+const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in'];
+
+// Split on commas outside parentheses: "a.eq.1,id.in.(1,2)" → ["a.eq.1", "id.in.(1,2)"]
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function parseFilterValue(op, raw) {
+  if (op === 'in') return raw.replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+  if (op === 'is') return raw === 'null' ? null : raw === 'true';
+  return raw;
+}
+
+// .or('name.ilike.*smith*,id.in.(4,7)') → filters, any of which may match
+function parseOrFilter(expression) {
+  return splitTopLevel(expression).map(part => {
+    const [column, op, ...rest] = part.split('.');
+    if (!FILTER_OPS.includes(op)) throw new StorageError(`Unsupported filter "${part}"`, { code: 'PGRST100' });
+    return { column, op, value: parseFilterValue(op, rest.join('.')) };
+  });
+}
+
+function likePattern(pattern) {
+  return String(pattern).replace(/\*/g, '%');
+}
+
+// ----- Query builder -----
+// Collects the query into a spec; awaiting it hands the spec to the backend,
+// which returns full rows. Column lists, single() and "no .select() after a
+// write means no data" are handled here, the same for every backend.
+
+class Query {
+  constructor(backend, table) {
+    this.backend = backend;
+    this.spec = {
+      table, action: 'select', columns: '*', count: null, values: null,
+      onConflict: null, ignoreDuplicates: false, filters: [], orFilters: [],
+      order: [], limit: null, offset: null, returning: false, single: null
+    };
+  }
+
+  select(columns = '*', { count = null } = {}) {
+    if (this.spec.action === 'select') this.spec.count = count;
+    else this.spec.returning = true;
+    this.spec.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    Object.assign(this.spec, { action: 'insert', values: [].concat(values) });
+    return this;
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+    Object.assign(this.spec, { action: 'upsert', values: [].concat(values), onConflict, ignoreDuplicates });
+    return this;
+  }
+
+  update(values) {
+    Object.assign(this.spec, { action: 'update', values });
+    return this;
+  }
+
+  delete() {
+    this.spec.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.spec.filters.push({ column, op, value: op === 'like' || op === 'ilike' ? likePattern(value) : value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, pattern) { return this.filter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+
+  or(expression) {
+    this.spec.orFilters.push(parseOrFilter(expression).map(f => (
+      f.op === 'like' || f.op === 'ilike' ? { ...f, value: likePattern(f.value) } : f
+    )));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.spec.order.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.spec.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.spec.offset = from;
+    this.spec.limit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.spec.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.spec.single = 'maybe';
+    return this;
+  }
+
+  async run() {
+    const spec = this.spec;
+    try {
+      if (!TABLES[spec.table]) throw new StorageError(`Unknown table "${spec.table}"`, { code: '42P01' });
+      const { rows, count } = await this.backend.execute(spec);
+      const returnsRows = spec.action === 'select' || spec.returning;
+      if (!returnsRows) return { data: null, error: null, count: null };
+
+      const data = rows.map(row => project(row, spec.columns));
+      if (spec.single) {
+        if (data.length > 1 || (!data.length && spec.single === 'single')) {
+          throw new StorageError('JSON object requested, multiple (or no) rows returned', {
+            code: 'PGRST116',
+            details: `The result contains ${data.length} rows`
+          });
+        }
+        return { data: data[0] || null, error: null, count };
+      }
+      return { data, error: null, count };
+    } catch (err) {
+      return { data: null, error: err instanceof StorageError ? err : new StorageError(err.message, { code: err.code || null }), count: null };
+    }
+  }
+
+  then(resolve, reject) {
+    return this.run().then(resolve, reject);
+  }
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return row;
+  const picked = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    if (!(column in row)) throw new StorageError(`column "${column}" does not exist`, { code: '42703' });
+    picked[column] = row[column];
+  }
+  return picked;
+}
+
+// ----- Shared row handling for the local backends -----
+
+function checkColumns(table, row) {
+  const columns = TABLES[table].columns;
+  for (const column of Object.keys(row)) {
+    if (!columns[column]) {
+      throw new StorageError(`Could not find the '${column}' column of '${table}'`, { code: 'PGRST204' });
+    }
+  }
+}
+
+function defaultValue(spec) {
+  if (spec.default === 'now') return new Date().toISOString();
+  return spec.default === undefined ? null : spec.default;
+}
+
+// Which unique key an upsert conflicts on; the primary key unless onConflict says otherwise
+function conflictKey(table, onConflict) {
+  if (!onConflict) return uniqueKeys(table)[0];
+  const key = onConflict.split(',').map(c => c.trim());
+  const known = uniqueKeys(table).some(k => k.length === key.length && k.every(c => key.includes(c)));
+  if (!known) {
+    throw new StorageError(`there is no unique or exclusion constraint matching the ON CONFLICT specification`, { code: '42P10' });
+  }
+  return key;
+}
+
+// ========================================
+// MEMORY BACKEND
+// Plain arrays of rows, gone when the process exits. For tests and trying
+// the app out; values are copied in and out so callers can't mutate rows.
+// ========================================
+
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const NUMBER_TYPES = ['id', 'bigint', 'integer', 'numeric'];
+
+// Stored the way the other backends hand values back: numbers as numbers,
+// timestamps as ISO-8601 UTC
+function coerce(spec, value) {
+  if (value === null || value === undefined) return value;
+  if (NUMBER_TYPES.includes(spec.type) && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (spec.type === 'timestamptz') {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+  return copy(value);
+}
+
+function coerceRow(table, values) {
+  const columns = TABLES[table].columns;
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([column, value]) => [column, coerce(columns[column], value)]));
+}
+
+function compare(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(x) && !Number.isNaN(y) && typeof a !== 'boolean') return x - y;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeRegex(pattern, caseInsensitive) {
+  const source = pattern.split('%').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '.')).join('.*');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+function matchesFilter(row, { column, op, value }) {
+  const actual = row[column];
+  switch (op) {
+    case 'eq': return actual !== null && actual !== undefined && compare(actual, value) === 0;
+    case 'neq': return actual !== null && actual !== undefined && compare(actual, value) !== 0;
+    case 'gt': return actual !== null && actual !== undefined && compare(actual, value) > 0;
+    case 'gte': return actual !== null && actual !== undefined && compare(actual, value) >= 0;
+    case 'lt': return actual !== null && actual !== undefined && compare(actual, value) < 0;
+    case 'lte': return actual !== null && actual !== undefined && compare(actual, value) <= 0;
+    case 'like': return actual !== null && actual !== undefined && likeRegex(value, false).test(String(actual));
+    case 'ilike': return actual !== null && actual !== undefined && likeRegex(value, true).test(String(actual));
+    case 'is': return value === null ? actual === null || actual === undefined : actual === value;
+    case 'in': return actual !== null && actual !== undefined && value.some(v => compare(actual, v) === 0);
+    default: throw new StorageError(`Unsupported filter "${op}"`, { code: 'PGRST100' });
+  }
+}
+
+function matchesSpec(row, spec) {
+  return spec.filters.every(filter => matchesFilter(row, filter)) &&
+    spec.orFilters.every(group => group.some(filter => matchesFilter(row, filter)));
+}
+
+function sortRows(rows, order) {
+  if (!order.length) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of order) {
+      const x = a[column];
+      const y = b[column];
+      const xNull = x === null || x === undefined;
+      const yNull = y === null || y === undefined;
+      if (xNull || yNull) {
+        if (xNull && yNull) continue;
+        return (xNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+      }
+      const result = compare(x, y);
+      if (result) return ascending ? result : -result;
+    }
+    return 0;
+  });
+}
+
+function createMemoryBackend() {
+  const tables = new Map(Object.keys(TABLES).map(table => [table, []]));
+  const sequences = new Map();
+
+  function fill(table, input) {
+    checkColumns(table, input);
+    const values = coerceRow(table, input);
+    const row = {};
+    for (const [column, spec] of Object.entries(TABLES[table].columns)) {
+      if (values[column] !== undefined) row[column] = values[column];
+      else if (spec.type === 'id') {
+        const next = (sequences.get(table) || 0) + 1;
+        sequences.set(table, next);
+        row[column] = next;
+      } else row[column] = copy(defaultValue(spec));
+    }
+    // Seeded rows bring their own ids; later generated ids carry on after them
+    if (typeof row.id === 'number' && row.id > (sequences.get(table) || 0)) sequences.set(table, row.id);
+    for (const [column, spec] of Object.entries(TABLES[table].columns)) {
+      if (spec.notNull && (row[column] === null || row[column] === undefined)) {
+        throw new StorageError(`null value in column "${column}" of relation "${table}" violates not-null constraint`, { code: '23502' });
+      }
+    }
+    return row;
+  }
+
+  const sameKey = (key, a, b) => key.every(column => a[column] !== null && a[column] !== undefined && compare(a[column], b[column]) === 0);
+
+  function duplicateOf(table, row, ignore = null) {
+    for (const key of uniqueKeys(table)) {
+      const existing = tables.get(table).find(other => other !== ignore && sameKey(key, other, row));
+      if (existing) return { key, existing };
+    }
+    return null;
+  }
+
+  function uniqueViolation(table, key) {
+    return new StorageError(`duplicate key value violates unique constraint "${table}_${key.join('_')}_key"`, { code: '23505' });
+  }
+
+  function execute(spec) {
+    const rows = tables.get(spec.table);
+
+    switch (spec.action) {
+      case 'select': {
+        const matched = sortRows(rows.filter(row => matchesSpec(row, spec)), spec.order);
+        const start = spec.offset || 0;
+        const page = spec.limit === null ? matched.slice(start) : matched.slice(start, start + spec.limit);
+        return { rows: copy(page), count: spec.count ? matched.length : null };
+      }
+
+      case 'insert': {
+        const added = spec.values.map(values => fill(spec.table, values));
+        // All or nothing, like one INSERT statement
+        for (const [i, row] of added.entries()) {
+          const others = rows.concat(added.slice(0, i));
+          const key = uniqueKeys(spec.table).find(k => others.some(other => sameKey(k, other, row)));
+          if (key) throw uniqueViolation(spec.table, key);
+        }
+        rows.push(...added);
+        return { rows: copy(added) };
+      }
+
+      case 'upsert': {
+        const key = conflictKey(spec.table, spec.onConflict);
+        const written = [];
+        for (const values of spec.values) {
+          const existing = rows.find(row => sameKey(key, row, values));
+          if (existing) {
+            if (spec.ignoreDuplicates) continue;
+            checkColumns(spec.table, values);
+            Object.assign(existing, coerceRow(spec.table, values));
+            written.push(existing);
+          } else {
+            const row = fill(spec.table, values);
+            const clash = duplicateOf(spec.table, row);
+            if (clash) throw uniqueViolation(spec.table, clash.key);
+            rows.push(row);
+            written.push(row);
+          }
+        }
+        return { rows: copy(written) };
+      }
+
+      case 'update': {
+        checkColumns(spec.table, spec.values);
+        const values = coerceRow(spec.table, spec.values);
+        const matched = rows.filter(row => matchesSpec(row, spec));
+        for (const row of matched) {
+          const clash = duplicateOf(spec.table, { ...row, ...values }, row);
+          if (clash) throw uniqueViolation(spec.table, clash.key);
+        }
+        for (const row of matched) Object.assign(row, copy(values));
+        return { rows: copy(matched) };
+      }
+
+      case 'delete': {
+        const removed = rows.filter(row => matchesSpec(row, spec));
+        tables.set(spec.table, rows.filter(row => !removed.includes(row)));
+        return { rows: copy(removed) };
+      }
+
+      default:
+        throw new StorageError(`Unsupported action "${spec.action}"`);
+    }
+  }
+
+  return { name: 'memory', execute: async (spec) => execute(spec) };
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+function storageClient(backend) {
+  return {
+    backend: backend.name,
+    from: (table) => new Query(backend, table),
+    close: () => (backend.close ? backend.close() : undefined)
+  };
+}
+
+function supabaseClient(env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('STORAGE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  const { createClient } = require('@supabase/supabase-js');
+  const client = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY);
+  return { backend: 'supabase', from: (table) => client.from(table), close: () => {} };
+}
+
+function storageBackendName(env = process.env) {
+  if (env.STORAGE) return env.STORAGE.toLowerCase();
+  if (env.SUPABASE_URL) return 'supabase';
+  return 'sqlite';
+}
+
+function sqliteFile(env = process.env) {
+  return env.SQLITE_FILE || path.join(__dirname, '..', 'estimator.sqlite');
+}
+
+function createStorage({ env = process.env } = {}) {
+  const name = storageBackendName(env);
+  switch (name) {
+    case 'supabase':
+      return supabaseClient(env);
+    case 'sqlite': {
+      // Loaded here so the other backends don't need a Node with node:sqlite
+      const { createSqliteBackend } = require('./sqlite');
+      return storageClient(createSqliteBackend(sqliteFile(env)));
+    }
+    case 'memory':
+      return storageClient(createMemoryBackend());
+    default:
+      throw new Error(`Unknown STORAGE "${name}" (expected supabase, sqlite or memory)`);
+  }
+}
+
+module.exports = {
+  StorageError,
+  Query,
+  conflictKey,
+  checkColumns,
+  defaultValue,
+  createMemoryBackend,
+  storageClient,
+  storageBackendName,
+  sqliteFile,
+  createStorage
+};
@@ -0,0 +1,217 @@
+// ========================================
+// EXPENSES & SCHEDULE C
+// Expense categories mapped to Schedule C lines, and the yearly report
+// built from payments received + expenses. Cash basis: income counts when
+// it comes in - deposits and partial payments included - not when a job is
+// finally paid off.
+// ========================================
+
+const EXPENSE_CATEGORIES = {
+  parts: { label: 'Parts (resold to customers)', scheduleC: 'Part III line 36', cogs: true },
+  tools: { label: 'Tools & equipment', scheduleC: 'Line 22' },
+  shop_supplies: { label: 'Shop supplies', scheduleC: 'Line 22' },
+  fuel_mileage: { label: 'Fuel / mileage', scheduleC: 'Line 9' },
+  vehicle_repairs: { label: 'Service vehicle repairs', scheduleC: 'Line 9' },
+  insurance: { label: 'Insurance', scheduleC: 'Line 15' },
+  advertising: { label: 'Advertising', scheduleC: 'Line 8' },
+  phone_internet: { label: 'Phone & internet', scheduleC: 'Line 25' },
+  software: { label: 'Software & subscriptions', scheduleC: 'Line 18' },
+  licenses_fees: { label: 'Licenses & fees', scheduleC: 'Line 23' },
+  training: { label: 'Training & certifications', scheduleC: 'Line 27a' },
+  meals: { label: 'Business meals', scheduleC: 'Line 24b', deductiblePercent: 50 },
+  other: { label: 'Other', scheduleC: 'Line 27a' }
+};
+
+// IRS standard mileage rate (dollars/mile) by tax year
+const MILEAGE_RATES = { 2023: 0.655, 2024: 0.67, 2025: 0.70 };
+
+// Self-employment tax: 15.3% on 92.35% of net profit
+const SE_TAX_RATE = 0.153;
+const SE_TAXABLE_SHARE = 0.9235;
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+function mileageRate(year) {
+  if (process.env.IRS_MILEAGE_RATE) return Number(process.env.IRS_MILEAGE_RATE);
+  const years = Object.keys(MILEAGE_RATES).map(Number).sort((a, b) => a - b);
+  const known = years.filter(y => y <= year).pop() ?? years[0];
+  return MILEAGE_RATES[known];
+}
+
+function deductibleAmount(category, amount) {
+  const percent = EXPENSE_CATEGORIES[category]?.deductiblePercent ?? 100;
+  return round2(amount * percent / 100);
+}
+
+// Quarterly estimated-payment periods per the IRS (they aren't even quarters)
+function quarterPeriods(year) {
+  return [
+    { quarter: 'Q1', from: `${year}-01-01`, to: `${year}-03-31`, due: `${year}-04-15` },
+    { quarter: 'Q2', from: `${year}-04-01`, to: `${year}-05-31`, due: `${year}-06-15` },
+    { quarter: 'Q3', from: `${year}-06-01`, to: `${year}-08-31`, due: `${year}-09-15` },
+    { quarter: 'Q4', from: `${year}-09-01`, to: `${year}-12-31`, due: `${year + 1}-01-15` }
+  ];
+}
+
+// Sales tax collected on parts belongs to the state, so it stays out of gross receipts
+function jobIncome(job) {
+  if (job.invoice_total !== null && job.invoice_total !== undefined) {
+    return round2(job.invoice_total - Number(job.invoice_sales_tax || 0));
+  }
+  return round2(job.actual_subtotal ?? job.estimated_subtotal);
+}
+
+// The part of what the customer pays that is sales tax, from the latest
+// figures the job has: invoice, then actuals, then the quote
+function salesTaxShare(job) {
+  const [total, tax] = job.invoice_total != null
+    ? [job.invoice_total, job.invoice_sales_tax]
+    : job.actual_total != null ? [job.actual_total, job.actual_sales_tax] : [job.estimated_total, job.estimated_sales_tax];
+  return Number(total) > 0 ? Number(tax || 0) / Number(total) : 0;
+}
+
+function receipt(job, date, income) {
+  return {
+    date,
+    jobId: job.id,
+    reference: job.invoice_number || `EST-${job.id}`,
+    description: job.description,
+    income,
+    // What the job's quote said to put aside, on the share received
+    setAside: round2(income * Number(job.tax_rate || 0) / 100)
+  };
+}
+
+// Income received in the year, one receipt per payment: succeeded or
+// refunded job_payments rows paid in the year, less refunds and their sales
+// tax. `jobs` has the job for every payment. Jobs marked paid with no
+// payments recorded (`paidWithoutPayments`) count in full on their paid date.
+function yearReceipts({ payments, jobs, paidWithoutPayments = [] }) {
+  const byId = new Map(jobs.map(job => [String(job.id), job]));
+  const received = payments.map(payment => {
+    const job = byId.get(String(payment.job_id)) || { id: payment.job_id };
+    const net = Number(payment.amount) - Number(payment.refunded_amount || 0);
+    return receipt(job, String(payment.paid_at || payment.created_at).slice(0, 10), round2(net * (1 - salesTaxShare(job))));
+  });
+  const unrecorded = paidWithoutPayments.map(job => (
+    receipt(job, (job.paid_at || job.invoiced_at || job.created_at || '').slice(0, 10), jobIncome(job))
+  ));
+  return [...received, ...unrecorded].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// receipts: yearReceipts(); expenses: expense rows for the year
+function buildTaxReport({ year, receipts, expenses, setAsidePercent }) {
+  const grossReceipts = round2(receipts.reduce((s, r) => s + r.income, 0));
+
+  const byLine = {};
+  const byCategory = {};
+  let cogs = 0;
+  let deductions = 0;
+
+  for (const expense of expenses) {
+    const category = EXPENSE_CATEGORIES[expense.category] ? expense.category : 'other';
+    const info = EXPENSE_CATEGORIES[category];
+    const amount = round2(expense.amount);
+    const deductible = round2(expense.deductible_amount ?? deductibleAmount(category, amount));
+
+    byCategory[category] = byCategory[category] || { category, label: info.label, scheduleC: info.scheduleC, amount: 0, deductible: 0 };
+    byCategory[category].amount = round2(byCategory[category].amount + amount);
+    byCategory[category].deductible = round2(byCategory[category].deductible + deductible);
+
+    if (info.cogs) {
+      cogs += deductible;
+    } else {
+      byLine[info.scheduleC] = round2((byLine[info.scheduleC] || 0) + deductible);
+      deductions += deductible;
+    }
+  }
+
+  cogs = round2(cogs);
+  deductions = round2(deductions);
+  const grossProfit = round2(grossReceipts - cogs);
+  const netProfit = round2(grossProfit - deductions);
+  const taxableProfit = Math.max(netProfit, 0);
+  const selfEmploymentTax = round2(taxableProfit * SE_TAXABLE_SHARE * SE_TAX_RATE);
+  const estimatedTax = round2(taxableProfit * setAsidePercent / 100);
+  const setAsideSoFar = round2(receipts.reduce((s, r) => s + r.setAside, 0));
+
+  const inPeriod = (date, period) => date >= period.from && date <= period.to;
+  const quarters = quarterPeriods(year).map(period => {
+    const income = round2(receipts.filter(r => inPeriod(r.date, period)).reduce((s, r) => s + r.income, 0));
+    const spent = round2(expenses
+      .filter(e => inPeriod(String(e.expense_date), period))
+      .reduce((s, e) => s + Number(e.deductible_amount ?? deductibleAmount(e.category, e.amount)), 0));
+    const periodProfit = round2(income - spent);
+    return {
+      ...period,
+      income,
+      expenses: spent,
+      netProfit: periodProfit,
+      // Pay-as-you-earn target for this period, and the flat "annual / 4" target
+      paymentTarget: round2(Math.max(periodProfit, 0) * setAsidePercent / 100),
+      evenTarget: round2(estimatedTax / 4)
+    };
+  });
+
+  return {
+    year,
+    basis: 'cash',
+    grossReceipts,
+    payments: receipts.length,
+    paidJobs: new Set(receipts.map(r => String(r.jobId))).size,
+    costOfGoodsSold: cogs,
+    grossProfit,
+    expensesByLine: byLine,
+    expensesByCategory: Object.values(byCategory),
+    totalDeductions: deductions,
+    netProfit,
+    setAsidePercent,
+    estimatedTax,
+    selfEmploymentTax,
+    setAsideSoFar,
+    quarters
+  };
+}
+
+// ========================================
+// CSV EXPORT
+// One row per income/expense item, followed by the summary lines
+// ========================================
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function taxReportCsv(report, receipts, expenses) {
+  const rows = [['type', 'date', 'reference', 'description', 'category', 'schedule_c_line', 'amount', 'deductible_amount']];
+
+  for (const r of receipts) {
+    rows.push(['income', r.date, r.reference, r.description, '', 'Line 1', r.income, '']);
+  }
+  for (const e of expenses) {
+    const info = EXPENSE_CATEGORIES[e.category] || EXPENSE_CATEGORIES.other;
+    rows.push(['expense', e.expense_date, e.vendor || e.id, e.description, info.label, info.scheduleC, round2(e.amount), round2(e.deductible_amount ?? deductibleAmount(e.category, e.amount))]);
+  }
+
+  rows.push(['summary', '', '', 'Gross receipts', '', 'Line 1', report.grossReceipts, '']);
+  rows.push(['summary', '', '', 'Cost of goods sold', '', 'Line 4', report.costOfGoodsSold, '']);
+  for (const [line, amount] of Object.entries(report.expensesByLine)) {
+    rows.push(['summary', '', '', 'Expenses', '', line, amount, amount]);
+  }
+  rows.push(['summary', '', '', 'Net profit', '', 'Line 31', report.netProfit, '']);
+  rows.push(['summary', '', '', 'Self-employment tax (est.)', '', 'Schedule SE', report.selfEmploymentTax, '']);
+  for (const q of report.quarters) {
+    rows.push(['quarterly', q.due, q.quarter, `Estimated payment ${q.from} to ${q.to}`, '', '1040-ES', q.paymentTarget, '']);
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  mileageRate,
+  deductibleAmount,
+  yearReceipts,
+  buildTaxReport,
+  taxReportCsv
+};
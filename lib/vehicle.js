@@ -0,0 +1,112 @@
+// ========================================
+// VEHICLE PARSING
+// Pull year/make/model/engine out of free text like "2008 Ford F-150 5.4L V8"
+// ========================================
+
+const TWO_WORD_MAKES = ['land rover', 'mercedes benz', 'alfa romeo', 'aston martin', 'rolls royce'];
+
+function parseVehicleString(text) {
+  const vehicle = {};
+  if (!text) return vehicle;
+  let rest = ` ${text.toLowerCase()} `;
+
+  const take = (regex) => {
+    const match = rest.match(regex);
+    if (match) rest = rest.replace(match[0], ' ');
+    return match;
+  };
+
+  const year = take(/\b(19[5-9]\d|20\d\d)\b/);
+  if (year) vehicle.year = Number(year[1]);
+
+  const displacement = take(/\b(\d{1,2}\.\d)\s*l?\b/);
+  if (displacement) vehicle.displacement = Number(displacement[1]);
+
+  const cylinders = take(/\b[vwhil]-?(3|4|5|6|8|10|12)\b/) || take(/\b(3|4|5|6|8|10|12)\s*-?\s*cyl(inder)?s?\b/);
+  if (cylinders) vehicle.cylinders = Number(cylinders[1]);
+
+  const drivetrain = take(/\b(4x4|4x2|4wd|awd|fwd|rwd)\b/);
+  if (drivetrain) vehicle.drivetrain = drivetrain[1];
+
+  const words = rest.trim().split(/\s+/).filter(Boolean);
+  const twoWord = words.length > 1 && TWO_WORD_MAKES.includes(`${words[0]} ${words[1]}`);
+  if (twoWord) {
+    vehicle.make = `${words[0]} ${words[1]}`;
+    if (words[2]) vehicle.model = words[2];
+  } else {
+    if (words[0]) vehicle.make = words[0];
+    if (words[1]) vehicle.model = words[1];
+  }
+
+  return vehicle;
+}
+
+// Structured fields (from VIN lookup) win over whatever the free text implied
+function resolveVehicle(vehicleText, vehicleInfo) {
+  const parsed = parseVehicleString(vehicleText);
+  const info = vehicleInfo || {};
+  const merged = { ...parsed };
+  for (const [key, value] of Object.entries(info)) {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  }
+  return Object.keys(merged).length ? merged : null;
+}
+
+// ========================================
+// VEHICLE RECORDS
+// Rows from the vehicles table → display label, flat-rate spec, history
+// ========================================
+
+// "2012 Ford F-150 XLT 5.0L 8 cyl"
+function vehicleLabel(record) {
+  const parts = [record.year, record.make, record.model, record.trim].filter(Boolean);
+  if (record.displacement) parts.push(`${Number(record.displacement).toFixed(1)}L`);
+  if (record.cylinders) parts.push(`${record.cylinders} cyl`);
+  return parts.join(' ');
+}
+
+// The fields resolveVehicle() and the flat-rate overrides key on
+function specFromRecord(record) {
+  const spec = {};
+  for (const key of ['year', 'make', 'model', 'displacement', 'cylinders', 'drivetrain']) {
+    if (record[key] !== null && record[key] !== undefined && record[key] !== '') spec[key] = record[key];
+  }
+  return spec;
+}
+
+function timeAgo(date, now = new Date()) {
+  const days = Math.floor((now - new Date(date)) / 86400000);
+  if (days < 1) return 'today';
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'} ago`;
+  if (days < 60) return `${Math.round(days / 7)} weeks ago`;
+  const months = Math.round(days / 30.44);
+  if (months < 24) return `${months} months ago`;
+  return `${Math.floor(months / 12)} years ago`;
+}
+
+// Work that was actually done, not just quoted
+const DONE_STATUSES = ['completed', 'invoiced', 'paid'];
+
+// Completed jobs on a vehicle, newest first, each with a one-line summary
+// like "water pump, thermostat - 8 months ago at 84,000 mi"
+function summarizeServiceHistory(jobs, now = new Date()) {
+  return jobs
+    .filter(job => DONE_STATUSES.includes(job.status))
+    .map(job => {
+      const date = job.completed_at || job.invoiced_at || job.paid_at || job.created_at;
+      const lines = (job.estimated_line_items || []).map(line => line.description).filter(Boolean);
+      const work = lines.length > 1 ? lines.join(', ') : (job.description || lines[0] || 'Service');
+      const mileage = job.mileage ? ` at ${Number(job.mileage).toLocaleString('en-US')} mi` : '';
+      return {
+        jobId: job.id,
+        date,
+        mileage: job.mileage ?? null,
+        status: job.status,
+        work,
+        summary: `${work} - ${timeAgo(date, now)}${mileage}`
+      };
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+module.exports = { parseVehicleString, resolveVehicle, vehicleLabel, specFromRecord, summarizeServiceHistory };
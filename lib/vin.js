@@ -0,0 +1,367 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ========================================
+// VIN VALIDATION
+// 17 characters, no I/O/Q, and position 9 is a check digit computed
+// from the other 16. The check digit is mandatory on North American
+// VINs (first character 1-5); elsewhere a mismatch is only a warning.
+// ========================================
+
+const WMI_DATA = require('../data/wmi.json');
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+function charValue(ch) {
+  return /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+}
+
+function checkDigit(vin) {
+  const sum = [...vin].reduce((total, ch, i) => total + charValue(ch) * WEIGHTS[i], 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+const isNorthAmerican = (vin) => /^[1-5]/.test(vin);
+
+// { valid, vin, errors, warnings, checkDigitValid }
+function validateVin(input) {
+  const vin = String(input || '').trim().toUpperCase();
+  const errors = [];
+  const warnings = [];
+
+  if (vin.length !== 17) errors.push(`VIN must be 17 characters (got ${vin.length})`);
+  const illegal = [...new Set(vin.match(/[IOQ]/g) || [])];
+  if (illegal.length) errors.push(`VINs never contain ${illegal.join(', ')} - check for 1 or 0`);
+  if (/[^A-Z0-9]/.test(vin)) errors.push('VIN can only contain letters and digits');
+
+  let checkDigitValid = null;
+  if (!errors.length) {
+    const expected = checkDigit(vin);
+    checkDigitValid = vin[8] === expected;
+    if (!checkDigitValid) {
+      const message = `Check digit is ${vin[8]} but should be ${expected} - a character is probably mistyped`;
+      if (isNorthAmerican(vin)) errors.push(message);
+      else warnings.push(message);
+    }
+  }
+
+  return { valid: errors.length === 0, vin, errors, warnings, checkDigitValid };
+}
+
+// ========================================
+// LOCAL DECODE
+// What we can read without NHTSA: manufacturer (WMI, positions 1-3),
+// model year (position 10) and assembly plant (position 11).
+// ========================================
+
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const REGIONS = [
+  [/^[1457]/, 'United States'],
+  [/^2/, 'Canada'],
+  [/^3/, 'Mexico'],
+  [/^J/, 'Japan'],
+  [/^K/, 'South Korea'],
+  [/^L/, 'China'],
+  [/^S/, 'United Kingdom'],
+  [/^W/, 'Germany'],
+  [/^Y/, 'Sweden'],
+  [/^Z/, 'Italy'],
+  [/^V/, 'France / Spain'],
+  [/^9/, 'Brazil'],
+  [/^6/, 'Australia']
+];
+
+// Codes repeat every 30 years. On North American light vehicles position 7
+// says which cycle: a digit means 1980-2009, a letter 2010-2039. Otherwise
+// take the newest year that isn't in the future.
+function modelYear(vin, now = new Date()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+  const older = 1980 + index;
+  const newer = 2010 + index;
+  if (isNorthAmerican(vin)) return /\d/.test(vin[6]) ? older : newer;
+  return newer <= now.getFullYear() + 1 ? newer : older;
+}
+
+function decodeVinLocally(vin, now = new Date()) {
+  const wmi = WMI_DATA.wmi[vin.slice(0, 3)] || null;
+  const region = REGIONS.find(([pattern]) => pattern.test(vin));
+  const plantCode = vin[10];
+  const plants = wmi ? WMI_DATA.plants[wmi.make] : null;
+
+  return {
+    vin,
+    year: modelYear(vin, now),
+    make: wmi ? wmi.make : null,
+    manufacturer: wmi ? wmi.manufacturer : null,
+    country: region ? region[1] : null,
+    plant: plants && plants[plantCode] ? plants[plantCode] : null,
+    plantCode,
+    serial: vin.slice(11)
+  };
+}
+
+// ========================================
+// ENGINE DESCRIPTION
+// "2.5L I4 Hybrid", "3.0L V6 Turbo Diesel", "2.0L H4", "Electric"
+// ========================================
+
+function engineLayout(configuration, cylinders) {
+  const text = String(configuration || '').toLowerCase();
+  if (/v-shaped|^v$|\bv\b/.test(text)) return 'V';
+  if (/in-line|inline|straight/.test(text)) return 'I';
+  if (/horizontal|opposed|boxer|flat/.test(text)) return 'H';
+  if (/w-shaped|^w$/.test(text)) return 'W';
+  if (/rotary|wankel/.test(text)) return 'Rotary';
+  // Without a configuration, 3s and 4s are almost always inline
+  if (cylinders && cylinders <= 4) return 'I';
+  return null;
+}
+
+function engineDescription({ displacement, cylinders, configuration, fuel, electrification, turbo } = {}) {
+  const fuelText = String(fuel || '').toLowerCase();
+  const electric = String(electrification || '').toLowerCase();
+
+  if (/\bbev\b|battery electric/.test(electric) || (fuelText === 'electric' && !cylinders)) return 'Electric';
+
+  const parts = [];
+  const liters = Number(displacement);
+  if (liters > 0) parts.push(`${liters.toFixed(1)}L`);
+
+  const cyl = Number(cylinders);
+  const layout = engineLayout(configuration, cyl);
+  if (layout === 'Rotary') parts.push('Rotary');
+  else if (cyl > 0) parts.push(layout ? `${layout}${cyl}` : `${cyl} cyl`);
+
+  if (turbo === true || /^yes$/i.test(String(turbo || ''))) parts.push('Turbo');
+
+  if (/phev|plug-in/.test(electric)) parts.push('Plug-in Hybrid');
+  else if (/hev|hybrid/.test(electric) || /hybrid/.test(fuelText)) parts.push('Hybrid');
+
+  if (/diesel/.test(fuelText)) parts.push('Diesel');
+  else if (/flex|e85/.test(fuelText)) parts.push('Flex Fuel');
+  else if (/natural gas|cng/.test(fuelText)) parts.push('CNG');
+
+  return parts.join(' ') || null;
+}
+
+// ========================================
+// NHTSA vPIC
+// DecodeVinValues returns one flat row keyed by name, so we don't have
+// to chase numeric VariableIds.
+// ========================================
+
+const NHTSA_URL = 'https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVinValues';
+
+const blankToNull = (value) => (value === undefined || value === null || String(value).trim() === '' || value === 'Not Applicable' ? null : String(value).trim());
+const numberOrNull = (value) => {
+  const n = Number(blankToNull(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+function fromNhtsaRow(row) {
+  return {
+    year: numberOrNull(row.ModelYear),
+    make: blankToNull(row.Make),
+    model: blankToNull(row.Model),
+    trim: blankToNull(row.Trim) || blankToNull(row.Series),
+    bodyClass: blankToNull(row.BodyClass),
+    displacement: numberOrNull(row.DisplacementL) ? Number(Number(row.DisplacementL).toFixed(1)) : null,
+    cylinders: numberOrNull(row.EngineCylinders),
+    configuration: blankToNull(row.EngineConfiguration),
+    fuel: blankToNull(row.FuelTypePrimary),
+    electrification: blankToNull(row.ElectrificationLevel),
+    turbo: blankToNull(row.Turbo),
+    drivetrain: blankToNull(row.DriveType),
+    manufacturer: blankToNull(row.Manufacturer),
+    plant: [blankToNull(row.PlantCity), blankToNull(row.PlantState), blankToNull(row.PlantCountry)].filter(Boolean).join(', ') || null
+  };
+}
+
+async function fetchNhtsa(vin, { fetchImpl = fetch, timeoutMs = 8000 } = {}) {
+  const response = await fetchImpl(`${NHTSA_URL}/${vin}?format=json`, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) throw new Error(`NHTSA API failed (${response.status})`);
+  const data = await response.json();
+  const row = data.Results && data.Results[0];
+  if (!row || !blankToNull(row.Make)) return null;
+  return fromNhtsaRow(row);
+}
+
+// ========================================
+// CACHE
+// VIN_CACHE=db|file|none (db is the app's storage, whichever backend;
+// "supabase" still means the same). Decodes never change, so entries don't
+// expire; only successful NHTSA decodes are stored. An in-process map
+// sits in front of either store.
+// ========================================
+
+function dbStore(db) {
+  return {
+    name: 'db',
+    async get(vin) {
+      const { data, error } = await db.from('vin_decodes').select('decoded').eq('vin', vin).maybeSingle();
+      if (error) throw error;
+      return data ? data.decoded : null;
+    },
+    async set(vin, decoded) {
+      const { error } = await db.from('vin_decodes')
+        .upsert({ vin, decoded, fetched_at: new Date().toISOString() }, { onConflict: 'vin' });
+      if (error) throw error;
+    }
+  };
+}
+
+function fileStore(dir) {
+  const file = (vin) => path.join(dir, `${vin}.json`);
+  return {
+    name: 'file',
+    async get(vin) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file(vin), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(vin, decoded) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file(vin), JSON.stringify(decoded, null, 2));
+    }
+  };
+}
+
+function createVinCache({ db, env = process.env } = {}) {
+  const name = (env.VIN_CACHE || (db ? 'db' : 'file')).toLowerCase();
+  let store;
+  switch (name) {
+    case 'db':
+    case 'supabase':
+      if (!db) throw new Error(`VIN_CACHE=${name} needs a storage client`);
+      store = dbStore(db);
+      break;
+    case 'file':
+      store = fileStore(env.VIN_CACHE_DIR || path.join(os.tmpdir(), 'sksk-vin-cache'));
+      break;
+    case 'none':
+      store = { name: 'none', get: async () => null, set: async () => {} };
+      break;
+    default:
+      throw new Error(`Unknown VIN_CACHE "${name}" (expected db, file or none)`);
+  }
+
+  const memory = new Map();
+  const MEMORY_LIMIT = 500;
+
+  return {
+    store: store.name,
+    async get(vin) {
+      if (memory.has(vin)) return memory.get(vin);
+      const decoded = await store.get(vin);
+      if (decoded) memory.set(vin, decoded);
+      return decoded;
+    },
+    async set(vin, decoded) {
+      if (memory.size >= MEMORY_LIMIT) memory.delete(memory.keys().next().value);
+      memory.set(vin, decoded);
+      await store.set(vin, decoded);
+    }
+  };
+}
+
+// ========================================
+// DECODER
+// cache → NHTSA → local fallback. A cache or network failure never fails
+// the decode; it just falls through to the next source.
+// ========================================
+
+function vinDisplayString(decoded) {
+  return [decoded.year, decoded.make, decoded.model, decoded.trim, decoded.engine].filter(Boolean).join(' ');
+}
+
+function finishDecode(vin, fields, local, source, cached) {
+  const decoded = {
+    vin,
+    year: fields.year || local.year,
+    // NHTSA shouts ("FORD"); keep the WMI table's spelling when they agree
+    make: local.make && String(fields.make || '').toLowerCase() === local.make.toLowerCase() ? local.make : (fields.make || local.make),
+    model: fields.model || null,
+    trim: fields.trim || null,
+    bodyClass: fields.bodyClass || null,
+    displacement: fields.displacement || null,
+    cylinders: fields.cylinders || null,
+    drivetrain: fields.drivetrain || null,
+    fuel: fields.fuel || null,
+    engine: engineDescription(fields),
+    manufacturer: fields.manufacturer || local.manufacturer,
+    country: local.country,
+    plant: fields.plant || local.plant,
+    source,
+    cached
+  };
+  decoded.displayString = vinDisplayString(decoded);
+  return decoded;
+}
+
+function createVinDecoder({ cache, fetchImpl, timeoutMs = 8000, logger = console } = {}) {
+  // Returns the decode, or null if neither NHTSA nor the WMI table knows the VIN.
+  // Callers validate first; an invalid VIN here is a programming error.
+  async function decode(input) {
+    const check = validateVin(input);
+    if (!check.valid) throw new Error(check.errors.join('; '));
+    const { vin } = check;
+    const local = decodeVinLocally(vin);
+
+    if (cache) {
+      try {
+        const hit = await cache.get(vin);
+        if (hit) return { ...finishDecode(vin, hit, local, 'nhtsa', true), warnings: check.warnings };
+      } catch (err) {
+        logger.warn(`[VIN CACHE] read failed: ${err.message}`);
+      }
+    }
+
+    let fields = null;
+    try {
+      fields = await fetchNhtsa(vin, { fetchImpl, timeoutMs });
+    } catch (err) {
+      logger.warn(`[VIN] NHTSA unavailable for ${vin}: ${err.message} - decoding locally`);
+    }
+
+    if (fields) {
+      if (cache) {
+        try {
+          await cache.set(vin, fields);
+        } catch (err) {
+          logger.warn(`[VIN CACHE] write failed: ${err.message}`);
+        }
+      }
+      return { ...finishDecode(vin, fields, local, 'nhtsa', false), warnings: check.warnings };
+    }
+
+    if (!local.make) return null;
+    return {
+      ...finishDecode(vin, {}, local, 'local', false),
+      warnings: [...check.warnings, 'Decoded offline - model and engine need to be filled in by hand']
+    };
+  }
+
+  return { decode };
+}
+
+module.exports = {
+  validateVin,
+  checkDigit,
+  modelYear,
+  decodeVinLocally,
+  engineDescription,
+  createVinCache,
+  createVinDecoder
+};
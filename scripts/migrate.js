@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// ========================================
+// MIGRATE
+// Creates the tables and columns in lib/schema.js for the configured
+// STORAGE backend. Safe to run again after every upgrade.
+//
+//   npm run migrate                      SQLite: applied to SQLITE_FILE
+//   npm run migrate -- --sql             Postgres DDL on stdout, for Supabase
+//   npm run migrate -- --access-code ABC123 [--tier pro_plus]
+//                                        also make sure that code exists (SQLite)
+//
+// Supabase's API can't run DDL, so for STORAGE=supabase the SQL is printed
+// to paste into the SQL editor (or pipe into psql). The memory backend
+// has nothing to migrate.
+// ========================================
+require('dotenv').config();
+const { postgresSql, migrateSqlite } = require('../lib/migrations');
+const { storageBackendName, sqliteFile, createStorage } = require('../lib/storage');
+const { createAccessCodeRepository } = require('../lib/repositories');
+const { normalizeTier } = require('../lib/entitlements');
+
+function option(args, name) {
+  const at = args.indexOf(name);
+  return at === -1 ? null : args[at + 1] || null;
+}
+
+async function main(args) {
+  const backend = storageBackendName();
+
+  if (args.includes('--sql') || backend === 'supabase') {
+    process.stdout.write(postgresSql());
+    if (backend === 'supabase' && !args.includes('--sql')) {
+      console.error('[MIGRATE] STORAGE=supabase: run the SQL above in the Supabase SQL editor');
+    }
+    return;
+  }
+
+  if (backend === 'memory') {
+    console.log('[MIGRATE] STORAGE=memory starts empty every time - nothing to do');
+    return;
+  }
+  if (backend !== 'sqlite') throw new Error(`Unknown STORAGE "${backend}" (expected supabase, sqlite or memory)`);
+
+  const { openDatabase } = require('../lib/sqlite');
+  const file = sqliteFile();
+  const database = openDatabase(file);
+  try {
+    const { added, filled } = migrateSqlite(database);
+    if (added.length) console.log(`[MIGRATE] ${file}: added ${added.join(', ')}`);
+    for (const { name, rows } of filled) console.log(`[MIGRATE] ${file}: filled ${name} on ${rows} row(s)`);
+    if (!added.length && !filled.length) console.log(`[MIGRATE] ${file} is up to date`);
+  } finally {
+    database.close();
+  }
+
+  const code = option(args, '--access-code');
+  if (code) {
+    const db = createStorage();
+    try {
+      const tier = normalizeTier(option(args, '--tier') || 'pro_plus');
+      const { code: row, created } = await createAccessCodeRepository(db).ensure(code.trim().toUpperCase(), tier);
+      console.log(`[MIGRATE] Access code ${row.code} (${row.tier}) ${created ? 'created' : 'already exists'}`);
+    } finally {
+      db.close();
+    }
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error('[MIGRATE ERROR]', err.message);
+  process.exit(1);
+});
@@ -1,8 +1,38 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 const { z } = require('zod');
+const path = require('path');
+const crypto = require('crypto');
+const { loadFlatRates } = require('./lib/flatRates');
+const { resolveVehicle, vehicleLabel, specFromRecord, summarizeServiceHistory } = require('./lib/vehicle');
+const { createLLM, LLMError, LLMCancelledError } = require('./lib/llm');
+const { EXPENSE_CATEGORIES, mileageRate, deductibleAmount, yearReceipts, buildTaxReport, taxReportCsv } = require('./lib/taxReport');
+const { signToken, verifyToken, bearerToken, sessionSecret } = require('./lib/auth');
+const {
+  SUPPLIES_BASES, SALES_TAX_APPLIES_TO, effectiveSalesTaxPercent, describeSettings, createSettingsStore
+} = require('./lib/settings');
+const {
+  TIER_LABELS, FEATURE_LABELS, METRIC_LABELS, tierEntitlements, normalizeTier, requiredTier, upgradeTierFor,
+  usagePeriod, periodResetsAt, createUsageMeter
+} = require('./lib/entitlements');
+const { customerDocument, renderDocumentPdf } = require('./lib/documents');
+const { createMailer, accessCodeEmail, recoveryEmail, approvalRequestEmail } = require('./lib/mailer');
+const { normalizePhone, normalizeEmail, findDuplicates, duplicatePairs } = require('./lib/customers');
+const { validateVin, createVinCache, createVinDecoder } = require('./lib/vin');
+const {
+  markupPercent, customerPrice, partPrice, partsTotals, priceParts, parsePriceList, createPartsCatalog
+} = require('./lib/parts');
+const { isDtc, normalizeDtc, describeDtc, collectDtcs } = require('./lib/dtc');
+const { estimateSnapshot, diffSnapshots } = require('./lib/revisions');
+const { splitJobDescription, calculateLaborOverlap } = require('./lib/lineItems');
+const { calculateTotals } = require('./lib/estimateMath');
+const {
+  hasCoordinates, tripFee, appointmentMinutes, appointmentEnd, findConflicts,
+  isTimeZone, dayBounds, localDay, localTime, routeMiles, planRoute
+} = require('./lib/schedule');
+const { createStorage, sqliteFile } = require('./lib/storage');
+const { createRepositories } = require('./lib/repositories');
 
 const app = express();
 
@@ -16,24 +46,179 @@ app.use(cors({
   credentials: false
 }));
 app.options('*', cors());
-app.use(express.json());
+
+// Behind a hosting proxy req.ip is the proxy unless we trust X-Forwarded-For
+// (TRUST_PROXY = hop count, "true" or a subnet list). Approvals record it.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
+// The Stripe webhook verifies its signature against the raw body, so JSON
+// parsing has to leave that one path alone
+const STRIPE_WEBHOOK_PATH = '/api/stripe-webhook';
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === STRIPE_WEBHOOK_PATH ? next() : jsonParser(req, res, next)));
 
 // ========================================
 // ENVIRONMENT VARIABLES
 // ========================================
 const PORT = process.env.PORT || 4000;
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const DEFAULT_LABOR_RATE = Number(process.env.DEFAULT_LABOR_RATE || 65);
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_HOURS || 12) * 3600;
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://sksk-protech.netlify.app';
+const FLAT_RATES_FILE = process.env.FLAT_RATES_FILE || path.join(__dirname, 'data', 'flat-rates.json');
+
+// Supabase, a SQLite file or memory (STORAGE); see lib/storage.js
+const db = createStorage();
+const repos = createRepositories(db);
+console.log(`[STORAGE] ${db.backend}${db.backend === 'sqlite' ? ` (${sqliteFile()})` : ''}`);
+if (db.backend === 'memory') console.warn('[STORAGE] In-memory: everything is lost when the server stops');
+
+// Groq / OpenAI-compatible / offline stub, tried in LLM_PROVIDERS order
+const llm = createLLM();
+if (!llm.providers.length) {
+  console.warn('[AI] No provider configured (GROQ_API_KEY or LLM_BASE_URL) - AI estimates answer 503; LLM_PROVIDERS=stub for offline testing');
+}
+
+const settingsStore = createSettingsStore(db);
+
+// SMTP, or file/console transports for local dev (MAIL_TRANSPORT)
+const mailer = createMailer();
+
+function shopSettings(req) {
+  return settingsStore.get(req.auth.shopId);
+}
+
+// ========================================
+// AUTH
+// Access code → signed session token → requireSession on every data route.
+// req.auth = { codeId, shopId, tier } and all shop data is filtered by shopId.
+// ========================================
+const SESSION_SECRET = sessionSecret();
+
+// A subscriber's data lives under their own shop unless the code is tied to one
+function shopIdForCode(code) {
+  return String(code.shop_id || code.id);
+}
+
+// Codes get deactivated mid-session (cancellations, refunds) or change tier
+// (upgrades), so the code behind a token is re-checked, cached briefly to keep it cheap
+const CODE_CHECK_TTL_MS = 60 * 1000;
+const codeStatusCache = new Map();
+
+async function accessCodeStatus(codeId) {
+  const hit = codeStatusCache.get(codeId);
+  if (hit && hit.expires > Date.now()) return hit.status;
+
+  const data = await repos.accessCodes.get(codeId, 'id, is_active, expires_at, tier');
+
+  const status = {
+    active: !!data && data.is_active && !(data.expires_at && new Date(data.expires_at) < new Date()),
+    tier: data ? normalizeTier(data.tier) : null
+  };
+  codeStatusCache.set(codeId, { status, expires: Date.now() + CODE_CHECK_TTL_MS });
+  return status;
+}
+
+async function requireSession(req, res, next) {
+  const payload = verifyToken(bearerToken(req), SESSION_SECRET);
+  if (!payload) {
+    return res.status(401).json({ ok: false, error: 'Sign in with your access code', code: 'AUTH_REQUIRED' });
+  }
+
+  let status;
+  try {
+    status = await accessCodeStatus(payload.sub);
+  } catch (err) {
+    console.error('[AUTH ERROR]', err);
+    return res.status(500).json({ ok: false, error: 'Could not verify session' });
+  }
+  if (!status.active) {
+    return res.status(401).json({ ok: false, error: 'Access code is no longer active', code: 'CODE_INACTIVE' });
+  }
+
+  // The tier on the code wins over the one baked into the token
+  req.auth = { codeId: payload.sub, shopId: payload.shop, tier: status.tier };
+  next();
+}
+
+// ========================================
+// TIER ENFORCEMENT & USAGE METERING
+// requireFeature('invoices') → 402 UPGRADE_REQUIRED if the tier lacks it
+// meterUsage('ai_estimates') → 429 USAGE_LIMIT once the monthly quota is used;
+// each request reserves a unit up front and gives it back if it fails
+// ========================================
+const ENTITLEMENTS = tierEntitlements();
+const usageMeter = createUsageMeter(db);
+const vinDecoder = createVinDecoder({ cache: createVinCache({ db }) });
 
-if (!GROQ_API_KEY) throw new Error('GROQ_API_KEY missing');
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) throw new Error('SUPABASE creds missing');
+function hasFeature(req, feature) {
+  return ENTITLEMENTS[req.auth.tier].features.includes(feature);
+}
+
+function upgradeRequired(req, res, feature) {
+  const upgradeTo = requiredTier(ENTITLEMENTS, feature);
+  return res.status(402).json({
+    ok: false,
+    error: `${FEATURE_LABELS[feature]} requires ${TIER_LABELS[upgradeTo]}`,
+    code: 'UPGRADE_REQUIRED',
+    feature,
+    tier: req.auth.tier,
+    upgradeTo
+  });
+}
+
+function requireFeature(feature) {
+  return (req, res, next) => (hasFeature(req, feature) ? next() : upgradeRequired(req, res, feature));
+}
+
+// Without an AI provider the routes that need one answer 503 before
+// anything is metered
+function requireAI(req, res, next) {
+  if (llm.providers.length) return next();
+  res.status(503).json({ ok: false, error: 'AI estimates are not set up on this server', code: 'AI_UNAVAILABLE' });
+}
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+function meterUsage(metric) {
+  return async (req, res, next) => {
+    const { codeId, tier } = req.auth;
+    const limit = ENTITLEMENTS[tier].limits[metric] ?? null;
+
+    // Unlimited tiers are still counted so /api/usage has numbers to show
+    let reservation;
+    try {
+      reservation = await usageMeter.reserve(codeId, metric, limit);
+    } catch (err) {
+      console.error('[USAGE ERROR]', err);
+      return res.status(500).json({ ok: false, error: 'Could not check usage' });
+    }
+    if (!reservation.reserved) {
+      const upgradeTo = upgradeTierFor(ENTITLEMENTS, tier, metric);
+      return res.status(429).json({
+        ok: false,
+        error: `Monthly limit reached: ${reservation.used} of ${limit} ${METRIC_LABELS[metric]} used`,
+        code: 'USAGE_LIMIT',
+        metric,
+        tier,
+        limit,
+        used: reservation.used,
+        resetsAt: periodResetsAt(),
+        upgradeTo
+      });
+    }
+
+    // 'close' also fires when the client goes away before the response is done
+    res.on('close', () => {
+      if (res.writableFinished && res.statusCode < 400 && !res.locals.usageFailed) return;
+      usageMeter.release(codeId, metric, reservation.period)
+        .catch(err => console.error(`[USAGE ERROR] releasing ${metric} for code ${codeId}:`, err.message));
+    });
+    next();
+  };
+}
 
 // Initialize Stripe (only if key exists)
 let stripe = null;
@@ -44,71 +229,64 @@ if (STRIPE_SECRET_KEY) {
 
 // ========================================
 // FLAT RATES TABLE
+// Loaded from data/flat-rates.json (or FLAT_RATES_FILE, JSON or CSV)
 // ========================================
-const FLAT_RATES = {
-  'oil change': 0.5, 'oil change basic': 0.5, 'oil change synthetic': 0.5,
-  'oil and filter': 0.5, 'oil change + rotation': 1.0, 'oil change and tire rotation': 1.0,
-  'tire rotation': 0.5, 'rotate tires': 0.5,
-  'battery replacement': 0.3, 'battery install': 0.3, 'replace battery': 0.3,
-  'wiper blades': 0.2, 'windshield wipers': 0.2,
-  'air filter': 0.3, 'engine air filter': 0.3,
-  'cabin filter': 0.4, 'cabin air filter': 0.4,
-  'brake fluid flush': 0.75, 'brake fluid change': 0.75,
-  'coolant flush': 1.0, 'radiator flush': 1.0, 'coolant change': 1.0,
-  'transmission fluid': 1.0, 'transmission fluid change': 1.0, 'trans fluid': 1.0,
-  'power steering flush': 0.5, 'power steering fluid': 0.5,
-  'differential fluid': 0.75, 'diff fluid': 0.75,
-  'thermostat': 1.0, 'thermostat replacement': 1.0,
-  'water pump': 2.5, 'water pump replacement': 2.5, 'coolant pump': 2.5,
-  'radiator': { min: 2.0, max: 3.5 }, 'radiator replacement': { min: 2.0, max: 3.5 },
-  'radiator hose': 0.5, 'coolant hose': 0.5,
-  'brake pads front': { min: 1.5, max: 2.0 }, 'front brake pads': { min: 1.5, max: 2.0 },
-  'brake pads rear': { min: 1.5, max: 2.0 }, 'rear brake pads': { min: 1.5, max: 2.0 },
-  'brake pads and rotors front': { min: 2.0, max: 2.5 },
-  'brake pads and rotors rear': { min: 2.0, max: 2.5 },
-  'brake caliper': { min: 1.0, max: 1.5 },
-  'alternator': { min: 1.5, max: 3.5 }, 'alternator replacement': { min: 1.5, max: 3.5 },
-  'starter': { min: 1.5, max: 3.5 }, 'starter motor': { min: 1.5, max: 3.5 },
-  'spark plugs': { min: 0.75, max: 2.0 }, 'spark plug replacement': { min: 0.75, max: 2.0 },
-  'ignition coil': { min: 0.5, max: 1.0 },
-  'serpentine belt': { min: 0.5, max: 1.0 }, 'drive belt': { min: 0.5, max: 1.0 },
-  'timing belt': { min: 4.0, max: 8.0 },
-  'belt tensioner': 0.75,
-  'tie rod': { min: 1.0, max: 1.5 },
-  'ball joint': { min: 1.5, max: 2.5 },
-  'control arm': { min: 1.5, max: 2.5 },
-  'sway bar link': 0.75,
-  'shock absorber': { min: 1.0, max: 1.5 },
-  'strut': { min: 1.5, max: 2.5 },
-  'fuel pump': { min: 2.0, max: 3.5 },
-  'fuel filter': 0.5,
-  'fuel injector': { min: 1.0, max: 2.0 },
-  'muffler': { min: 1.0, max: 1.5 },
-  'catalytic converter': { min: 1.5, max: 2.5 },
-  'oxygen sensor': 0.5, 'o2 sensor': 0.5,
-  'headlight bulb': 0.3,
-  'window regulator': { min: 1.5, max: 2.5 },
-  'wheel bearing': { min: 1.5, max: 2.5 }
-};
+const flatRates = loadFlatRates(FLAT_RATES_FILE);
 
-function getFlatRate(description) {
-  const desc = description.toLowerCase().trim();
-  for (const [job, hours] of Object.entries(FLAT_RATES)) {
-    if (desc.includes(job)) return { job, hours };
-  }
-  return null;
+function getFlatRate(description, vehicle) {
+  const [first] = flatRates.findMatches(description.trim(), vehicle);
+  return first ? { job: first.job, hours: first.hours, basis: first.basis } : null;
 }
 
-function getHourGuidance(description) {
-  const flatRate = getFlatRate(description);
+function getHourGuidance(description, flatRate = getFlatRate(description)) {
   if (!flatRate) {
     return { type: 'custom', message: '⚠️ CUSTOM JOB: Estimate realistic hours. Max 6hrs standard, 12hrs major.' };
   }
-  const { job, hours } = flatRate;
+  const { job, hours, basis } = flatRate;
+  const forVehicle = basis ? ` (${basis})` : '';
   if (typeof hours === 'number') {
-    return { type: 'fixed', message: `🔒 LOCKED: Use EXACTLY ${hours} hours for "${job}".`, hours };
+    return { type: 'fixed', message: `🔒 LOCKED: Use EXACTLY ${hours} hours for "${job}"${forVehicle}.`, hours };
+  }
+  return { type: 'range', message: `📊 RANGE: Use ${hours.min}-${hours.max} hours for "${job}"${forVehicle}.`, hours };
+}
+
+// ========================================
+// LINE ITEM PRICING
+// ========================================
+// Locked jobs use the book time, ranged jobs are clamped into the range,
+// custom jobs take whatever the AI quoted
+function lineLaborHours(line, aiHours) {
+  const quoted = parseFloat(aiHours);
+  if (typeof line.hours === 'number') return line.hours;
+  if (line.hours) {
+    if (isNaN(quoted)) return line.hours.min;
+    return Math.min(line.hours.max, Math.max(line.hours.min, quoted));
   }
-  return { type: 'range', message: `📊 RANGE: Use ${hours.min}-${hours.max} hours for "${job}".`, hours };
+  return isNaN(quoted) ? 0 : quoted;
+}
+
+function priceLineItems(lines, estimate) {
+  // A single job keeps the old flat JSON shape, so the top-level estimate is its line
+  const aiLines = Array.isArray(estimate.lineItems) ? estimate.lineItems : (lines.length === 1 ? [estimate] : []);
+
+  return lines.map((line, i) => {
+    const ai = aiLines[i] || {};
+    const laborHours = lineLaborHours(line, ai.laborHours);
+    if (typeof line.hours === 'number') {
+      console.log(`[FLAT RATE] Forced ${line.hours}hrs for "${line.job}"${line.basis ? ` (${line.basis})` : ''}`);
+    }
+    return {
+      description: (lines.length > 1 && ai.description) || line.description,
+      job: line.job,
+      flatRateBasis: line.basis,
+      axle: line.axle,
+      laborHours,
+      parts: (ai.parts || []).map(p => ({
+        name: p.name || 'Part',
+        cost: Number(Number(p.cost || 0).toFixed(2))
+      }))
+    };
+  });
 }
 
 // ========================================
@@ -117,7 +295,7 @@ function getHourGuidance(description) {
 // REPLACE YOUR EXISTING buildPrompt() FUNCTION WITH THIS
 // ========================================
 
-function buildPrompt({ customer, vehicle, description, laborRate }) {
+function buildPrompt({ customer, vehicle, mileage = null, description, laborRate, shopSuppliesPercent = 7, lineItems = [], serviceHistory = [], tiered = false, confirmedDiagnosis = null, troubleCodes = [], revision = null }) {
   const effectiveRate = laborRate || DEFAULT_LABOR_RATE;
   
   // ========================================
@@ -134,8 +312,11 @@ function buildPrompt({ customer, vehicle, description, laborRate }) {
     'sluggish', 'loss of power', 'no power', 'running rough'
   ];
   
-  const isSymptom = symptomKeywords.some(keyword => 
-    description.toLowerCase().includes(keyword)
+  // A confirmed diagnosis is quoted as a repair even if it still reads like a symptom.
+  // Trouble codes alone are a symptom too, unless a known repair was asked for.
+  const isSymptom = !confirmedDiagnosis && (
+    symptomKeywords.some(keyword => description.toLowerCase().includes(keyword)) ||
+    (troubleCodes.length > 0 && !lineItems.some(line => line.job))
   );
   
   // ========================================
@@ -151,7 +332,7 @@ DIAGNOSTIC APPROACH REQUIRED:
 3. Set "laborHours": 1.0-1.5 (diagnostic time only)
 4. Set "parts": [] (empty - no parts until diagnosis confirms issue)
 5. In "workSteps": List diagnostic steps (not repair steps)
-6. In "warnings": List POSSIBLE causes ranked by probability
+6. In "possibleCauses": List POSSIBLE causes ranked by probability, each with the repair it would need
 7. In "notes": Explain diagnostic fee applies toward repair if approved
 
 DIAGNOSTIC STEP DETAIL LEVEL (Goldilocks - not too basic, not excessive):
@@ -161,11 +342,13 @@ DIAGNOSTIC STEP DETAIL LEVEL (Goldilocks - not too basic, not excessive):
 
 ❌ TOO DETAILED: "Using 19mm socket, turn lug nuts counterclockwise exactly 12 rotations, lift with floor jack rated 3-ton minimum..."
 
-PROBABILITY RANKING (in warnings):
+PROBABILITY RANKING (in possibleCauses):
 - List MOST LIKELY cause first (60-80% probability)
 - Then COMMON causes (15-25%)
 - Then LESS COMMON (5-10%)
-- Include cost estimate for each: "Thermostat ($20 + 1.0hr)"
+- "probability" is a whole-number percent
+- "test" is how the mechanic confirms or rules it out
+- "laborHours" and "parts" are for the REPAIR if this cause is confirmed, not the test
 
 EXAMPLE for "no heat" symptom:
 {
@@ -182,22 +365,33 @@ EXAMPLE for "no heat" symptom:
     "Check cabin air filter - severely clogged reduces airflow",
     "If available, scan for HVAC fault codes"
   ],
-  "shopSuppliesPercent": 7,
+  "shopSuppliesPercent": ${shopSuppliesPercent},
   "timeline": "1-2 hours",
   "notes": "Diagnostic fee applies toward repair cost if work is approved. Multiple possible causes require testing before accurate parts quote.",
   "tips": [
     "Start with easiest checks first - coolant level is free",
     "Heater core clogs are less common but expensive - diagnose thoroughly first"
   ],
+  "possibleCauses": [
+    {"cause": "Low coolant or air in system", "probability": 50, "test": "Check level cold, look for leaks, bleed system", "laborHours": 0.5, "parts": [{"name": "Engine coolant (1 gal)", "cost": 20}]},
+    {"cause": "Stuck open thermostat", "probability": 20, "test": "Engine slow to reach temperature, upper hose warm early", "laborHours": 1.0, "parts": [{"name": "Thermostat with gasket", "cost": 25}]},
+    {"cause": "Blend door actuator failure", "probability": 15, "test": "Listen for clicking behind dash when changing temperature", "laborHours": 2.0, "parts": [{"name": "Blend door actuator", "cost": 80}]},
+    {"cause": "Clogged heater core", "probability": 10, "test": "Both heater hoses hot but outlet hose much cooler", "laborHours": 3.0, "parts": [{"name": "Heater core flush kit", "cost": 40}]},
+    {"cause": "Failed heater control valve (if equipped)", "probability": 5, "test": "Valve not opening with heat on", "laborHours": 1.5, "parts": [{"name": "Heater control valve", "cost": 60}]}
+  ],
   "warnings": [
-    "MOST LIKELY (70%): Low coolant or air in system - refill/bleed ($20 + 0.5hr)",
-    "COMMON (20%): Stuck thermostat - replace ($25 + 1.0hr)",
-    "COMMON (15%): Blend door actuator failure - replace ($80 + 2.0hrs)",
-    "LESS LIKELY (10%): Clogged heater core - flush or replace ($150 + 3.0hrs)",
-    "RARE (5%): Failed heater control valve (if equipped) - replace ($60 + 1.5hrs)",
     "Additional labor/parts determined after diagnosis confirms root cause"
   ]
 }
+` : confirmedDiagnosis ? `
+
+DIAGNOSIS COMPLETE - QUOTE THE REPAIR:
+The vehicle was already diagnosed. Confirmed cause: ${confirmedDiagnosis.cause}
+${confirmedDiagnosis.test ? `Confirmed by: ${confirmedDiagnosis.test}\n` : ''}- Set "jobType": "Repair" (do NOT quote more diagnosis)
+- The diagnostic visit suggested ${confirmedDiagnosis.laborHours} hrs and these parts: ${(confirmedDiagnosis.parts || []).map(p => p.name).join(', ') || 'none listed'}
+- Use those as a starting point; correct them if they are wrong for this vehicle
+- Provide detailed work steps (Goldilocks detail level)
+- Do NOT mention the diagnostic fee credit - it is applied automatically
 ` : `
 
 CONFIRMED REPAIR APPROACH:
@@ -207,13 +401,96 @@ This is a specific repair request (not just a symptom).
 - Include possible complications in warnings
 - Tips should help mechanic do job efficiently
 `;
+
+  // ========================================
+  // TROUBLE CODES (definitions from data/dtc.json)
+  // ========================================
+  const troubleCodeGuidance = troubleCodes.length ? `
+
+🔎 TROUBLE CODES READ FROM THE VEHICLE (definitions are from the code database - trust them):
+${troubleCodes.map(dtc => `- ${dtc.code}: ${dtc.description} [${dtc.system}]${dtc.causes.length ? `\n  Common causes: ${dtc.causes.join('; ')}` : ''}`).join('\n')}
+${confirmedDiagnosis ? `- The repair must address these codes; add "Clear codes and verify repair with a road test" to "workSteps"
+- Mention in "warnings" any code above the confirmed cause does NOT explain
+` : `- Base the diagnosis on these codes, not on the generic symptom
+- Every entry in "possibleCauses" must name the code(s) it explains: "codes": ["P0301"]
+- Prefer the common causes listed for each code; rank them using the vehicle, mileage and history
+- Codes that share a root cause (e.g. P0171 + P0174 = lean on both banks, likely one vacuum leak) are ONE cause listing both codes
+- A misfire (P030x) can damage the catalyst - with P0420/P0430 present, the misfire is fixed first
+- Do NOT invent a definition for a code that is "not in the local code list" - say it needs the factory service information
+`}` : '';
+
+  // ========================================
+  // MULTI-JOB LINE ITEMS
+  // ========================================
+  const lineItemGuidance = lineItems.length > 1 ? `
+
+📋 MULTIPLE JOBS REQUESTED - quote each one as its own line item:
+${lineItems.map((line, i) => `${i + 1}. ${line.description} - ${getHourGuidance(line.description, line.job ? line : null).message}`).join('\n')}
+
+Add a "lineItems" array to the JSON with one entry per job above, IN THE SAME ORDER:
+"lineItems": [
+  {"description": "Front brake pads", "laborHours": 1.5, "parts": [{"name": "Ceramic brake pads (front)", "cost": 45}]}
+]
+- Quote each line's labor as if it were done alone (overlap discounts are applied automatically)
+- Put each part under the line it belongs to
+- Top-level "laborHours" and "parts" are ignored when "lineItems" is present
+` : (lineItems[0] && lineItems[0].job ? `
+
+${getHourGuidance(description, lineItems[0]).message}
+` : '');
+
+  // ========================================
+  // SERVICE HISTORY (vehicle record)
+  // ========================================
+  const historyGuidance = serviceHistory.length ? `
+
+🗂️ SERVICE HISTORY FOR THIS VEHICLE (most recent first):
+${serviceHistory.slice(0, 10).map(h => `- ${h.summary}`).join('\n')}
+- Do NOT recommend parts or services that were done recently unless the job description says that work failed
+- If the requested work repeats a recent job, flag it in "warnings" (possible warranty/comeback)
+- Use the history when ranking possible causes (a new part is a less likely culprit)
+` : '';
   
+  // ========================================
+  // GOOD / BETTER / BEST OPTIONS
+  // ========================================
+  const optionGuidance = tiered ? `
+
+🏷️ QUOTE THREE OPTIONS (good / better / best) for the same job:
+Add an "options" array with exactly one entry per tier:
+"options": [
+  {"tier": "economy", "description": "Budget pads, resurface rotors", "extraLaborHours": 0, "parts": [{"name": "Economy semi-metallic brake pads (front)", "cost": 25}], "notes": "Noisier, shorter life"},
+  {"tier": "standard", "description": "Ceramic pads", "extraLaborHours": 0, "parts": [...]},
+  {"tier": "premium", "description": "Ceramic pads with new coated rotors", "extraLaborHours": 0.5, "parts": [...]}
+]
+- Every option is a complete parts list for the whole job (top-level and line item "parts" are ignored)
+- "economy" = cheapest safe repair, "standard" = what you would normally install, "premium" = best parts and any worthwhile extras
+- "extraLaborHours" = labor beyond the base job for that option only (e.g. replacing rotors instead of reusing them), 0 if none
+- Never offer an unsafe economy option; if there is no cheaper safe choice, make it match standard
+` : '';
+
+  // ========================================
+  // REVISION (re-quoting a saved estimate)
+  // ========================================
+  const revisionGuidance = revision ? `
+
+🔁 REVISING AN ESTIMATE ALREADY GIVEN TO THE CUSTOMER (version ${revision.version}):
+${revision.lines.map(line => `- ${line.description}: ${line.laborHours} hrs`).join('\n')}
+Parts: ${revision.parts.map(p => `${p.name} ($${Number(p.cost || 0).toFixed(2)}${p.customerSupplied ? ', customer supplied' : ''})`).join(', ') || 'none'}
+Previous total: $${Number(revision.total || 0).toFixed(2)}
+WHAT SHOULD CHANGE: ${revision.instructions}
+- Start from the previous quote and change ONLY what is asked above; keep everything else as it was
+- Keep the same line items in the same order
+- Parts the customer supplies themselves are left out of "parts" entirely; say so in "notes" and quote the labor
+- Part costs above are what the shop pays - keep them unless asked to change them
+` : '';
+
   return `You are an experienced mobile mechanic estimator with 20+ years diagnostic experience.
 
 🔒 MANDATORY LABOR RATE: $${effectiveRate}/hour
 NEVER change this rate. This is what the customer is being charged.
 
-${diagnosticGuidance}
+${diagnosticGuidance}${troubleCodeGuidance}${lineItemGuidance}${historyGuidance}${optionGuidance}${revisionGuidance}
 
 📋 REALISTIC MOBILE MECHANIC LABOR TIMES:
 
@@ -266,7 +543,7 @@ JSON RESPONSE REQUIRED:
   "parts": [
     {"name": "Part Name", "cost": 50}
   ],
-  "shopSuppliesPercent": 7,
+  "shopSuppliesPercent": ${shopSuppliesPercent},
   "timeline": "Same day" OR "2-3 hours" OR "Next day",
   "notes": "Important context for customer",
   "tips": [
@@ -289,10 +566,10 @@ JSON RESPONSE REQUIRED:
 7. Warnings = possible complications ranked by probability
 8. Filter out irrelevant issues (don't list water pump for starter problem)
 9. Be conservative with labor hours - mobile mechanics work faster
-10. Parts should be aftermarket pricing (not OEM dealer prices)
+10. Part "cost" = what a shop pays at the parts store for aftermarket (not OEM dealer) parts, in dollars and cents - the shop adds its own markup
 
 CUSTOMER: ${customer.name}
-VEHICLE: ${vehicle || 'Not specified'}
+VEHICLE: ${vehicle || 'Not specified'}${mileage ? ` (${Number(mileage).toLocaleString('en-US')} miles)` : ''}
 JOB DESCRIPTION: ${description}
 
 Generate estimate now (JSON only, no other text):`;
@@ -301,323 +578,3727 @@ Generate estimate now (JSON only, no other text):`;
 // ========================================
 // END SECTION 4
 // ========================================
+// ========================================
+// ESTIMATE POLICY
+// The policy calculateTotals (lib/estimateMath.js) prices a job under
+// ========================================
+function settingsPolicy(settings) {
+  return {
+    shopSuppliesBasis: settings.shopSuppliesBasis,
+    shopSuppliesCap: settings.shopSuppliesCap,
+    salesTaxPercent: effectiveSalesTaxPercent(settings),
+    salesTaxAppliesTo: settings.salesTaxAppliesTo
+  };
+}
+
+// Actuals reuse whatever policy the job was quoted under. The basis and cap
+// are saved together, so a job with a basis was quoted with its cap - null
+// there means no cap, not the shop's current one. Only jobs quoted before
+// the policy was saved fall back to settings.
+function jobPolicy(job, settings) {
+  const fallback = settingsPolicy(settings);
+  const quoted = !!job.shop_supplies_basis;
+  return {
+    shopSuppliesBasis: quoted ? job.shop_supplies_basis : fallback.shopSuppliesBasis,
+    shopSuppliesCap: quoted ? job.shop_supplies_cap : fallback.shopSuppliesCap,
+    salesTaxPercent: job.sales_tax_percent ?? fallback.salesTaxPercent,
+    salesTaxAppliesTo: job.sales_tax_applies_to || fallback.salesTaxAppliesTo
+  };
+}
+
 // ========================================
 // VALIDATION SCHEMAS
 // ========================================
+
+// Where a mobile job is done. Coordinates come from the browser or are typed
+// in - without them the address is kept but no trip fee can be worked out.
+const ServiceLocationSchema = z.object({
+  address: z.string().trim().max(300).optional(),
+  latitude: z.number().min(-90).max(90).optional(),
+  longitude: z.number().min(-180).max(180).optional()
+}).refine(loc => (loc.latitude === undefined) === (loc.longitude === undefined), {
+  message: 'latitude and longitude go together',
+  path: ['latitude']
+});
+
 const GenerateSchema = z.object({
   customer: z.object({
     name: z.string().min(1),
     phone: z.string().optional(),
     email: z.string().optional()
-  }),
+  }).optional(),
   vehicle: z.string().optional(),
+  vehicleInfo: z.object({
+    year: z.coerce.number().optional(),
+    make: z.string().optional(),
+    model: z.string().optional(),
+    displacement: z.coerce.number().optional(),
+    cylinders: z.coerce.number().optional(),
+    drivetrain: z.string().optional()
+  }).optional(),
+  vehicleId: z.coerce.number().int().positive().optional(),
+  mileage: z.coerce.number().int().min(0).optional(),
+  tiered: z.boolean().optional(),
+  dtcs: z.array(z.string().refine(isDtc, 'not an OBD-II trouble code (e.g. P0301)')).max(20).optional(),
+  serviceLocation: ServiceLocationSchema.optional(),
   description: z.string().min(3),
   jobType: z.string().optional(),
   laborRate: z.number().optional()
+}).refine(body => body.customer || body.vehicleId, {
+  message: 'customer is required unless vehicleId is given',
+  path: ['customer']
 });
 
-// ========================================
-// HEALTH CHECK
-// ========================================
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    service: 'SKSK ProTech Backend',
-    version: '3.0.0',
-    features: ['Groq AI', 'Flat Rates', 'Tax Tracking', 'Invoice System', 'VIN Lookup', 'Stripe Payments']
-  });
+// What the model must send back. Types are strict on purpose: "$50" for a
+// cost or "repair" for a jobType is sent back to the model to fix rather than
+// coerced. Ranges are handled separately by clampEstimate().
+const AIPartSchema = z.object({
+  name: z.string().min(1),
+  cost: z.number()
 });
 
-// ========================================
-// ESTIMATE GENERATION
-// ========================================
-app.post('/api/generate-estimate', async (req, res) => {
-  try {
-    const parsed = GenerateSchema.parse(req.body);
-    const { customer, vehicle, description } = parsed;
-    const laborRate = parsed.laborRate || DEFAULT_LABOR_RATE;
+const AILineItemSchema = z.object({
+  description: z.string().min(1),
+  laborHours: z.number(),
+  parts: z.array(AIPartSchema)
+});
 
-    console.log(`[ESTIMATE] ${customer.name} | ${vehicle || 'N/A'} | $${laborRate}/hr`);
+// Ranked causes on a Diagnosis job, each quoted as the repair it would need
+const AICauseSchema = z.object({
+  cause: z.string().min(1),
+  probability: z.number(),
+  test: z.string().optional(),
+  codes: z.array(z.string()).optional(),
+  laborHours: z.number(),
+  parts: z.array(AIPartSchema)
+});
 
-    const prompt = buildPrompt({ customer, vehicle, description, laborRate });
+// Good / better / best. Options differ in parts (and sometimes a little
+// extra labor, e.g. rotors on top of pads); the base labor is shared.
+const OPTION_TIERS = ['economy', 'standard', 'premium'];
+const OPTION_LABELS = { economy: 'Good', standard: 'Better', premium: 'Best' };
 
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: 'Expert automotive estimator. Return valid JSON only.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1500,
-        temperature: 0.1
-      })
-    });
+const AIOptionSchema = z.object({
+  tier: z.enum(OPTION_TIERS),
+  description: z.string().min(1),
+  extraLaborHours: z.number().default(0),
+  parts: z.array(AIPartSchema),
+  notes: z.string().optional()
+});
 
-    if (!response.ok) throw new Error(`Groq API error: ${response.status}`);
+const AIEstimateSchema = z.object({
+  jobType: z.enum(['Diagnosis', 'Repair', 'Service']),
+  shortDescription: z.string().min(1),
+  laborHours: z.number(),
+  laborRate: z.number().optional(),
+  parts: z.array(AIPartSchema),
+  lineItems: z.array(AILineItemSchema).optional(),
+  options: z.array(AIOptionSchema).optional(),
+  possibleCauses: z.array(AICauseSchema).optional(),
+  workSteps: z.array(z.string()).min(1),
+  shopSuppliesPercent: z.number().optional(),
+  timeline: z.string().optional(),
+  notes: z.string().optional(),
+  tips: z.array(z.string()).default([]),
+  warnings: z.array(z.string()).default([])
+});
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content;
-    if (!text) throw new Error('No AI response');
+const ReceiptSchema = z.object({
+  url: z.string().url().optional(),
+  filename: z.string().optional(),
+  mimeType: z.string().optional(),
+  size: z.number().int().nonnegative().optional(),
+  uploadedAt: z.string().optional(),
+  notes: z.string().optional()
+});
 
-    let cleanText = text.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-    const jsonText = jsonMatch ? jsonMatch[0] : cleanText;
+const ExpenseFields = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD'),
+  category: z.enum(Object.keys(EXPENSE_CATEGORIES)),
+  description: z.string().min(1),
+  amount: z.number().min(0).optional(),
+  miles: z.number().positive().optional(),
+  vendor: z.string().optional(),
+  paymentMethod: z.string().optional(),
+  jobId: z.union([z.string(), z.number()]).optional(),
+  receipt: ReceiptSchema.optional(),
+  notes: z.string().optional()
+});
 
-    let estimate;
-    try {
-      estimate = JSON.parse(jsonText);
-    } catch (err) {
-      console.error('[JSON ERROR]', text.substring(0, 200));
-      return res.status(500).json({ error: 'AI returned invalid JSON', raw: text.substring(0, 500) });
-    }
+// Mileage can stand in for an amount: miles × the IRS standard rate
+const ExpenseSchema = ExpenseFields.refine(
+  e => e.amount !== undefined || (e.category === 'fuel_mileage' && e.miles),
+  { message: 'amount is required (or miles for fuel_mileage)', path: ['amount'] }
+);
 
-    estimate.laborRate = laborRate;
-    
-    const flatRateMatch = getFlatRate(description);
-    if (flatRateMatch && typeof flatRateMatch.hours === 'number') {
-      estimate.laborHours = flatRateMatch.hours;
-      console.log(`[FLAT RATE] Forced ${flatRateMatch.hours}hrs for "${flatRateMatch.job}"`);
-    }
-    
-    estimate.shopSuppliesPercent = estimate.shopSuppliesPercent ?? 7;
-    estimate.laborHours = parseFloat(estimate.laborHours || 0);
-    estimate.parts = (estimate.parts || []).map(p => ({ 
-      name: p.name || 'Part', 
-      cost: Math.round(Number(p.cost || 0)) 
-    }));
-    estimate.tips = estimate.tips || [];
-    estimate.warnings = estimate.warnings || [];
-    estimate.workSteps = estimate.workSteps || [];
-
-    const laborCost = Number((estimate.laborHours * estimate.laborRate).toFixed(2));
-    const partsCost = estimate.parts.reduce((s, p) => s + Number(p.cost || 0), 0);
-    const shopSupplies = Number((partsCost * (estimate.shopSuppliesPercent / 100)).toFixed(2));
-    const subtotal = Number((laborCost + partsCost + shopSupplies).toFixed(2));
-    const taxRate = 28;
-    const recommendedTaxSetaside = Number((subtotal * 0.28).toFixed(2));
-    const netAfterTax = Number((subtotal - recommendedTaxSetaside).toFixed(2));
-
-    let customerRecord = null;
-    if (customer.email) {
-      const { data } = await supabase.from('customers').select('*').eq('email', customer.email).limit(1);
-      if (data && data.length) customerRecord = data[0];
-    }
-    if (!customerRecord && customer.phone) {
-      const { data } = await supabase.from('customers').select('*').eq('phone', customer.phone).limit(1);
-      if (data && data.length) customerRecord = data[0];
-    }
-    if (!customerRecord) {
-      const { data, error } = await supabase.from('customers')
-        .insert({ name: customer.name, phone: customer.phone || null, email: customer.email || null })
-        .select().single();
-      if (error) throw error;
-      customerRecord = data;
-    }
-
-    const { data: savedJob, error: jobErr } = await supabase.from('jobs').insert({
-      customer_id: customerRecord.id,
-      status: 'estimate',
-      description: estimate.shortDescription || description,
-      raw_description: description,
-      job_type: estimate.jobType || 'Auto Repair',
-      vehicle: vehicle || null,
-      estimated_labor_hours: estimate.laborHours,
-      estimated_labor_rate: estimate.laborRate,
-      estimated_labor_cost: laborCost,
-      estimated_parts: estimate.parts,
-      estimated_parts_cost: partsCost,
-      estimated_shop_supplies_percent: estimate.shopSuppliesPercent,
-      estimated_shop_supplies_cost: shopSupplies,
-      estimated_subtotal: subtotal,
-      estimated_tax_setaside: recommendedTaxSetaside,
-      tax_year: new Date().getFullYear(),
-      tax_rate: taxRate,
-      timeline: estimate.timeline || 'TBD',
-      work_steps: estimate.workSteps,
-      notes: estimate.notes || ''
-    }).select().single();
-    
-    if (jobErr) throw jobErr;
+// [{ upTo: 50, percent: 50 }, { upTo: null, percent: 30 }] - ascending, last one open-ended
+const MarkupTiersSchema = z.array(z.object({
+  upTo: z.number().positive().nullable(),
+  percent: z.number().min(0).max(300)
+})).min(1).max(10).refine(tiers => tiers[tiers.length - 1].upTo === null, {
+  message: 'The last tier must have upTo: null'
+}).refine(tiers => tiers.slice(0, -1).every((t, i) => t.upTo !== null && (i === 0 || t.upTo > tiers[i - 1].upTo)), {
+  message: 'Tier limits must be ascending'
+});
 
-    console.log(`[SAVED] Job ${savedJob.id} | $${subtotal}`);
+// [{ upToMiles: 10, fee: 0 }, { upToMiles: 25, fee: 35 }, { upToMiles: null, fee: 60 }]
+const TravelZonesSchema = z.array(z.object({
+  upToMiles: z.number().positive().nullable(),
+  fee: z.number().min(0).max(1000)
+})).min(1).max(10).refine(zones => zones[zones.length - 1].upToMiles === null, {
+  message: 'The last zone must have upToMiles: null'
+}).refine(zones => zones.slice(0, -1).every((z, i) => z.upToMiles !== null && (i === 0 || z.upToMiles > zones[i - 1].upToMiles)), {
+  message: 'Zone distances must be ascending'
+});
 
-    res.json({
-      ok: true,
-      estimate: { ...estimate, laborCost, partsCost, shopSupplies, subtotal, taxRate, recommendedTaxSetaside, netAfterTax },
-      savedJob,
-      customer: customerRecord
-    });
+const SettingsSchema = z.object({
+  laborRate: z.number().positive().max(1000),
+  shopSuppliesPercent: z.number().min(0).max(25),
+  shopSuppliesBasis: z.enum(SUPPLIES_BASES),
+  shopSuppliesCap: z.number().min(0).nullable(),
+  salesTaxLocale: z.string().max(40).nullable(),
+  salesTaxPercent: z.number().min(0).max(20).nullable(),
+  salesTaxAppliesTo: z.enum(SALES_TAX_APPLIES_TO),
+  taxSetAsidePercent: z.number().min(0).max(60),
+  shopName: z.string().min(1).max(100),
+  shopAddress: z.string().max(200).nullable(),
+  shopPhone: z.string().max(30).nullable(),
+  shopEmail: z.string().email().nullable(),
+  documentTerms: z.string().max(2000),
+  partsMarkupTiers: MarkupTiersSchema,
+  tierWarranties: z.object({
+    economy: z.string().max(200),
+    standard: z.string().max(200),
+    premium: z.string().max(200)
+  }),
+  baseLatitude: z.number().min(-90).max(90).nullable(),
+  baseLongitude: z.number().min(-180).max(180).nullable(),
+  travelZones: TravelZonesSchema,
+  appointmentBufferMinutes: z.number().int().min(0).max(240),
+  timeZone: z.string().refine(isTimeZone, 'Unknown time zone (use e.g. America/New_York)')
+}).partial();
 
-  } catch (err) {
-    console.error('[ESTIMATE ERROR]', err);
-    res.status(500).json({ error: err.message || 'Server error' });
-  }
+const PaymentLinkSchema = z.object({
+  amount: z.number().positive().optional(),
+  kind: z.enum(['deposit', 'partial', 'balance']).optional(),
+  customerEmail: z.string().email().optional()
 });
 
-// ========================================
-// CUSTOMERS
-// ========================================
-app.get('/api/customers', async (req, res) => {
-  try {
-    const { data, error } = await supabase.from('customers').select('*').order('name', { ascending: true });
-    if (error) throw error;
-    res.json({ ok: true, customers: data || [] });
-  } catch (err) {
-    console.error('[CUSTOMERS ERROR]', err);
-    res.status(500).json({ error: err.message });
-  }
+const ManualPaymentSchema = z.object({
+  amount: z.number().positive(),
+  method: z.enum(['cash', 'check', 'card', 'other']),
+  kind: z.enum(['deposit', 'partial', 'balance']).optional(),
+  paidAt: z.string().regex(/^\d{4}-\d{2}-\d{2}/).optional(),
+  note: z.string().max(500).optional()
 });
 
-// ========================================
-// ACCESS CODE VALIDATION
-// ========================================
-app.post('/api/validate-access', async (req, res) => {
-  try {
-    const { accessCode } = req.body;
-    if (!accessCode || accessCode.trim().length === 0) {
-      return res.json({ valid: false, error: 'Access code required' });
-    }
-    
-    const code = accessCode.trim().toUpperCase();
-    
-    const { data, error } = await supabase.from('access_codes')
-      .select('*').eq('code', code).eq('is_active', true).single();
-    
-    if (error || !data) {
-      return res.json({ valid: false, error: 'Invalid or expired code' });
-    }
-    
-    if (data.expires_at && new Date(data.expires_at) < new Date()) {
-      return res.json({ valid: false, error: 'Code expired' });
-    }
-    
-    if (data.max_uses && data.current_uses >= data.max_uses) {
-      return res.json({ valid: false, error: 'Code max uses reached' });
-    }
-    
-    await supabase.from('access_codes').update({ 
-      current_uses: (data.current_uses || 0) + 1,
-      last_used_at: new Date().toISOString()
-    }).eq('id', data.id);
-    
-    res.json({
-      valid: true,
-      tier: data.tier || 'pro',
-      customer: data.customer_name || 'Pro User',
-      expires: data.expires_at,
-      message: `Welcome to SKSK ProTech ${data.tier === 'pro_plus' ? 'Pro Plus' : 'Pro'}!`
-    });
-  } catch (err) {
-    console.error('[VALIDATE ACCESS ERROR]', err);
-    res.status(500).json({ valid: false, error: 'Server error' });
-  }
+const CustomerFields = z.object({
+  name: z.string().trim().min(1).max(100),
+  phone: z.string().max(30).nullable(),
+  email: z.string().trim().email().nullable(),
+  address: z.string().max(200).nullable(),
+  notes: z.string().max(2000).nullable()
 });
 
-// ========================================
-// VIN LOOKUP
-// ========================================
-app.get('/api/vin-lookup/:vin', async (req, res) => {
-  try {
-    const vin = req.params.vin.trim().toUpperCase();
-    if (vin.length !== 17) {
-      return res.status(400).json({ ok: false, error: 'VIN must be 17 characters' });
-    }
-    
-    const nhtsaUrl = `https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVin/${vin}?format=json`;
-    const response = await fetch(nhtsaUrl);
-    if (!response.ok) throw new Error('NHTSA API failed');
-    
-    const data = await response.json();
-    if (!data.Results || data.Results.length === 0) {
-      return res.json({ ok: false, error: 'VIN not found' });
-    }
-    
-    const results = data.Results;
-    const getField = (variableId) => {
-      const field = results.find(r => r.VariableId === variableId);
-      return field?.Value || null;
-    };
-    
-    const year = getField(29) || getField(26);
-    const make = getField(26);
-    const model = getField(28);
-    const trim = getField(109);
-    const displacement = getField(11);
-    const cylinders = getField(9);
-    
-    let displayString = '';
-    if (year) displayString += `${year} `;
-    if (make) displayString += `${make} `;
-    if (model) displayString += `${model} `;
-    if (trim) displayString += `${trim} `;
-    if (displacement && cylinders) displayString += `${displacement}L V${cylinders}`;
-    
-    res.json({
-      ok: true,
-      vin,
-      year, make, model, trim, displacement, cylinders,
-      displayString: displayString.trim()
-    });
-  } catch (err) {
-    console.error('[VIN LOOKUP ERROR]', err);
-    res.status(500).json({ ok: false, error: err.message });
-  }
+const CustomerSchema = CustomerFields.partial().required({ name: true }).extend({
+  // Create anyway even though it looks like an existing customer
+  force: z.boolean().optional()
 });
 
-// ========================================
-// JOBS
-// ========================================
-app.get('/api/jobs', async (req, res) => {
-  const { data, error } = await supabase.from('jobs').select('*').order('created_at', { ascending: false }).limit(50);
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ ok: true, data });
+const MergeCustomerSchema = z.object({
+  mergeId: z.coerce.number().int().positive()
+});
+
+const VehicleFields = z.object({
+  customerId: z.coerce.number().int().positive().nullable(),
+  vin: z.string().trim().toUpperCase().superRefine((vin, ctx) => {
+    const check = validateVin(vin);
+    if (!check.valid) ctx.addIssue({ code: z.ZodIssueCode.custom, message: check.errors[0] });
+  }).nullable(),
+  year: z.coerce.number().int().min(1950).max(new Date().getFullYear() + 2).nullable(),
+  make: z.string().max(40).nullable(),
+  model: z.string().max(60).nullable(),
+  trim: z.string().max(60).nullable(),
+  displacement: z.coerce.number().min(0).max(15).nullable(),
+  cylinders: z.coerce.number().int().min(1).max(16).nullable(),
+  drivetrain: z.string().max(20).nullable(),
+  plate: z.string().max(15).nullable(),
+  plateState: z.string().max(3).nullable(),
+  mileage: z.coerce.number().int().min(0).nullable(),
+  color: z.string().max(30).nullable(),
+  notes: z.string().max(2000).nullable()
+}).partial();
+
+const SelectOptionSchema = z.object({
+  tier: z.enum(OPTION_TIERS)
+});
+
+// Either one of the diagnosis job's possibleCauses by id, or a cause the
+// tech found that wasn't on the list
+const RepairFollowUpSchema = z.object({
+  causeId: z.coerce.number().int().positive().optional(),
+  cause: z.string().min(3).optional(),
+  notes: z.string().optional(),
+  tiered: z.boolean().optional(),
+  creditDiagnostic: z.boolean().default(true),
+  laborRate: z.number().optional()
+}).refine(body => body.causeId || body.cause, {
+  message: 'causeId or cause is required',
+  path: ['causeId']
+});
+
+const JobStatusSchema = z.object({
+  status: z.enum(['estimate', 'approved', 'declined', 'in_progress', 'completed', 'invoiced', 'paid'])
+});
+
+const ApprovalLinkSchema = z.object({
+  send: z.boolean().default(false),
+  email: z.string().email().optional()
+});
+
+// A typed name is the signature; approving also needs the terms box ticked
+const ApprovalDecisionSchema = z.object({
+  decision: z.enum(['approve', 'decline']),
+  signatureName: z.string().trim().min(2).max(120),
+  agree: z.boolean().optional(),
+  tier: z.enum(OPTION_TIERS).optional(),
+  comment: z.string().max(1000).optional()
+}).refine(body => body.decision === 'decline' || body.agree === true, {
+  message: 'Tick the box to agree to the estimate terms',
+  path: ['agree']
+});
+
+// Extra work found mid-job. Parts are entered at the shop's cost and marked
+// up like any estimate; laborHours falls back to the flat-rate table.
+const ChangeOrderSchema = z.object({
+  description: z.string().min(3).optional(),
+  warningIndex: z.number().int().min(0).optional(),
+  reason: z.string().max(500).optional(),
+  laborHours: z.number().min(0).max(40).optional(),
+  parts: z.array(z.object({
+    name: z.string().min(1),
+    cost: z.number().min(0)
+  })).default([]),
+  send: z.boolean().default(false)
+}).refine(body => body.description || body.warningIndex !== undefined, {
+  message: 'description or warningIndex is required',
+  path: ['description']
+});
+
+// scheduledAt: null takes the job off the calendar. durationMinutes: null
+// goes back to the length worked out from the labor hours.
+const ScheduleSchema = z.object({
+  scheduledAt: z.string().datetime({ offset: true }).nullable().optional(),
+  durationMinutes: z.number().int().min(15).max(720).nullable().optional(),
+  serviceLocation: ServiceLocationSchema.optional(),
+  // Book it even though it overlaps another appointment
+  force: z.boolean().default(false)
+}).refine(body => body.scheduledAt !== undefined || body.durationMinutes !== undefined || body.serviceLocation, {
+  message: 'Nothing to schedule'
+});
+
+const ActualsSchema = z.object({
+  laborHours: z.number().min(0),
+  laborRate: z.number().positive().optional(),
+  parts: z.array(z.object({
+    name: z.string().min(1),
+    cost: z.number().min(0)
+  })).default([]),
+  shopSuppliesPercent: z.number().min(0).optional(),
+  notes: z.string().optional()
+});
+
+// Hand edits to a saved estimate. lineItems go by position, one entry per
+// existing line; laborHours is for single-line jobs. parts replaces the
+// whole list at the shop's cost (marked up unless a price is given).
+const ManualRevisionSchema = z.object({
+  mode: z.literal('manual'),
+  note: z.string().max(500).optional(),
+  lineItems: z.array(z.object({
+    description: z.string().min(1).max(200).optional(),
+    laborHours: z.number().min(0).max(40).optional()
+  })).optional(),
+  laborHours: z.number().min(0).max(40).optional(),
+  laborRate: z.number().positive().max(1000).optional(),
+  parts: z.array(z.object({
+    name: z.string().min(1),
+    cost: z.number().min(0),
+    price: z.number().min(0).optional()
+  })).max(50).optional(),
+  customerSuppliesParts: z.boolean().default(false),
+  shopSuppliesPercent: z.number().min(0).max(25).optional(),
+  description: z.string().min(1).max(200).optional(),
+  timeline: z.string().max(100).optional(),
+  notes: z.string().max(2000).optional()
+});
+
+// Re-quote with the AI, which sees the current version and the instructions.
+// description replaces the work requested (e.g. to add or drop a job).
+const AIRevisionSchema = z.object({
+  mode: z.literal('ai'),
+  note: z.string().max(500).optional(),
+  instructions: z.string().min(3).max(1000),
+  description: z.string().min(3).optional()
 });
 
+const ReviseEstimateSchema = z.discriminatedUnion('mode', [ManualRevisionSchema, AIRevisionSchema]);
+
 // ========================================
-// STRIPE INTEGRATION
+// AI OUTPUT VALIDATION & SELF-REPAIR
+// Parse → validate against AIEstimateSchema → on failure, re-prompt the model
+// with the exact errors, up to AI_REPAIR_ATTEMPTS extra times
 // ========================================
+const AI_REPAIR_ATTEMPTS = Number(process.env.AI_REPAIR_ATTEMPTS ?? 2);
 
-const PRICING = {
-  pro_monthly: {
-    price: 2900,
-    interval: 'month',
-    name: 'SKSK ProTech Pro - Monthly'
-  },
-  pro_yearly: {
-    price: 29000,
-    interval: 'year',
-    name: 'SKSK ProTech Pro - Yearly'
-  }
+// Clamping rules, applied after the schema passes:
+// - labor hours (total and per line) are held to 0-12; anything bigger is a
+//   multi-day job that needs a human to quote it
+// - part costs can't be negative, and no single part over $5000
+// - shop supplies stay between 0% and 25%
+// - a tier option adds at most 4 hours over the base labor
+const ESTIMATE_LIMITS = {
+  laborHours: { min: 0, max: 12 },
+  extraLaborHours: { min: 0, max: 4 },
+  probability: { min: 0, max: 100 },
+  partCost: { min: 0, max: 5000 },
+  shopSuppliesPercent: { min: 0, max: 25 }
 };
 
-// Generate random access code
-function generateAccessCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+class EstimateValidationError extends Error {
+  constructor(errors, raw) {
+    super('AI returned an invalid estimate');
+    this.errors = errors;
+    this.raw = raw || '';
   }
-  return code;
 }
 
-// Create Stripe checkout session
-app.post('/api/create-checkout-session', async (req, res) => {
-  if (!stripe) {
-    return res.status(500).json({ error: 'Stripe not configured' });
-  }
+function extractJson(text) {
+  const cleanText = text.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+  return JSON.parse(jsonMatch ? jsonMatch[0] : cleanText);
+}
 
+function validateEstimate(text, lineCount, tiered = false, dtcs = []) {
+  let json;
   try {
-    const { plan, customerEmail, customerName } = req.body;
-    
-    if (!plan || !PRICING[plan]) {
-      return res.status(400).json({ error: 'Invalid plan' });
-    }
-    
+    json = extractJson(text);
+  } catch (err) {
+    return { errors: [`Response is not valid JSON (${err.message})`] };
+  }
+
+  const result = AIEstimateSchema.safeParse(json);
+  if (!result.success) {
+    return {
+      errors: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    };
+  }
+
+  if (lineCount > 1 && (result.data.lineItems || []).length !== lineCount) {
+    return {
+      errors: [`lineItems: expected exactly ${lineCount} entries (one per job, in order), got ${(result.data.lineItems || []).length}`]
+    };
+  }
+
+  if (result.data.jobType === 'Diagnosis' && !(result.data.possibleCauses || []).length) {
+    return { errors: ['possibleCauses: a Diagnosis job needs at least one possible cause'] };
+  }
+
+  // With codes on the vehicle, every cause has to explain at least one of them
+  if (result.data.jobType === 'Diagnosis' && dtcs.length) {
+    const errors = [];
+    result.data.possibleCauses.forEach((cause, i) => {
+      const codes = (cause.codes || []).map(code => code.toUpperCase());
+      const unknown = codes.filter(code => !dtcs.includes(code));
+      if (!codes.length) errors.push(`possibleCauses[${i}].codes: name which of ${dtcs.join(', ')} this cause explains`);
+      if (unknown.length) errors.push(`possibleCauses[${i}].codes: ${unknown.join(', ')} not read from this vehicle (codes: ${dtcs.join(', ')})`);
+    });
+    if (errors.length) return { errors };
+  }
+
+  if (tiered) {
+    const tiers = (result.data.options || []).map(o => o.tier);
+    const missing = OPTION_TIERS.filter(tier => !tiers.includes(tier));
+    if (missing.length || tiers.length !== OPTION_TIERS.length) {
+      return {
+        errors: [`options: expected exactly one each of ${OPTION_TIERS.join(', ')}, got [${tiers.join(', ')}]`]
+      };
+    }
+  }
+  return { estimate: result.data, errors: [] };
+}
+
+function clampEstimate(estimate) {
+  const adjustments = [];
+  const clamp = (value, { min, max }, label) => {
+    const clamped = Math.min(max, Math.max(min, value));
+    if (clamped !== value) adjustments.push(`${label} ${value} → ${clamped}`);
+    return clamped;
+  };
+  const clampParts = (parts, prefix) => parts.map((part, i) => ({
+    ...part,
+    cost: clamp(part.cost, ESTIMATE_LIMITS.partCost, `${prefix}parts[${i}].cost`)
+  }));
+
+  estimate.laborHours = clamp(estimate.laborHours, ESTIMATE_LIMITS.laborHours, 'laborHours');
+  estimate.parts = clampParts(estimate.parts, '');
+  if (estimate.shopSuppliesPercent !== undefined) {
+    estimate.shopSuppliesPercent = clamp(estimate.shopSuppliesPercent, ESTIMATE_LIMITS.shopSuppliesPercent, 'shopSuppliesPercent');
+  }
+  if (estimate.lineItems) {
+    estimate.lineItems = estimate.lineItems.map((line, i) => ({
+      ...line,
+      laborHours: clamp(line.laborHours, ESTIMATE_LIMITS.laborHours, `lineItems[${i}].laborHours`),
+      parts: clampParts(line.parts, `lineItems[${i}].`)
+    }));
+  }
+  if (estimate.possibleCauses) {
+    estimate.possibleCauses = estimate.possibleCauses.map((cause, i) => ({
+      ...cause,
+      probability: clamp(cause.probability, ESTIMATE_LIMITS.probability, `possibleCauses[${i}].probability`),
+      laborHours: clamp(cause.laborHours, ESTIMATE_LIMITS.laborHours, `possibleCauses[${i}].laborHours`),
+      parts: clampParts(cause.parts, `possibleCauses[${i}].`)
+    }));
+  }
+  if (estimate.options) {
+    estimate.options = estimate.options.map((option, i) => ({
+      ...option,
+      extraLaborHours: clamp(option.extraLaborHours, ESTIMATE_LIMITS.extraLaborHours, `options[${i}].extraLaborHours`),
+      parts: clampParts(option.parts, `options[${i}].`)
+    }));
+  }
+  return adjustments;
+}
+
+function repairPrompt(prompt, badText, errors) {
+  return `${prompt}
+
+⚠️ YOUR PREVIOUS RESPONSE WAS REJECTED:
+${badText.substring(0, 2000)}
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix every error above and return the complete corrected JSON only (no markdown, no explanation).`;
+}
+
+// stream = { onToken, onAttempt, signal } passes straight through to llm.complete
+async function generateValidatedEstimate({ prompt, context, lineCount, tiered = false, dtcs = [], stream = {} }) {
+  let currentPrompt = prompt;
+  let lastText = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= AI_REPAIR_ATTEMPTS + 1; attempt++) {
+    const { text, provider } = await llm.complete({
+      system: 'Expert automotive estimator. Return valid JSON only.',
+      prompt: currentPrompt,
+      context,
+      ...stream,
+      ...(stream.onAttempt ? { onAttempt: (info) => stream.onAttempt({ ...info, repair: attempt > 1 }) } : {})
+    });
+
+    const result = validateEstimate(text, lineCount, tiered, dtcs);
+    if (!result.errors.length) {
+      // Options the model volunteered on a single-option request are ignored
+      if (!tiered) delete result.estimate.options;
+      const adjustments = clampEstimate(result.estimate);
+      return { estimate: result.estimate, provider, attempts: attempt, adjustments };
+    }
+
+    lastText = text;
+    errors = result.errors;
+    console.warn(`[AI REPAIR] attempt ${attempt} rejected: ${errors.slice(0, 3).join('; ')}`);
+    currentPrompt = repairPrompt(prompt, text, errors);
+  }
+
+  throw new EstimateValidationError(errors, lastText);
+}
+
+// ========================================
+// HEALTH CHECK
+// ========================================
+app.get('/', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    service: 'SKSK ProTech Backend',
+    version: '3.0.0',
+    features: ['Groq AI', 'Flat Rates', 'Tax Tracking', 'Invoice System', 'VIN Lookup', 'Stripe Payments'],
+    ai: llm.providers.map(p => `${p.name}:${p.model}`)
+  });
+});
+
+// ========================================
+// ESTIMATE GENERATION
+// vehicle + history → prompt → validated AI estimate → catalog prices →
+// totals → saved job. Used by /api/generate-estimate, by the repair
+// follow-up to a diagnosis, which passes the confirmed cause and the
+// diagnostic fee to credit, and by AI revisions, which re-quote a saved
+// job in place.
+// ========================================
+class EstimateInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A streaming caller went away before anything was saved
+class EstimateCancelledError extends Error {
+  constructor() {
+    super('Estimate cancelled - the client disconnected');
+  }
+}
+
+// Status and body for a failed estimate, shared by every route that quotes:
+// new estimates (JSON and streaming), repairs and revisions. `tag` labels the log.
+function estimateFailure(err, tag = 'ESTIMATE') {
+  if (err instanceof EstimateInputError) {
+    return { status: err.status, body: { ok: false, error: err.message } };
+  }
+  if (err instanceof EstimateValidationError) {
+    console.error(`[${tag} INVALID]`, err.errors.join('; '));
+    return { status: 502, body: { error: err.message, details: err.errors, raw: err.raw.substring(0, 500) } };
+  }
+  console.error(`[${tag} ERROR]`, err);
+  return { status: err instanceof LLMError ? 502 : 500, body: { error: err.message || 'Server error' } };
+}
+
+// A save that fails part way takes back the job and the new customer it
+// wrote, so neither is left behind. Logged rather than thrown: the caller is
+// already answering with the save's own error.
+async function discardEstimateWrites(shopId, { job, customer }) {
+  try {
+    if (job) await repos.jobs.remove(job);
+    if (customer) await repos.customers.remove(shopId, customer.id);
+  } catch (err) {
+    console.error('[ESTIMATE CLEANUP ERROR]', err.message);
+  }
+}
+
+// `parsed` is a GenerateSchema body. followUp = { parentJob, customerRecord,
+// confirmedDiagnosis, diagnosticCredit } when quoting the repair for a diagnosis,
+// or { customerRecord, diagnosticCredit, revision: { job, instructions, note } }
+// when revising a saved estimate.
+// onProgress(event, data) reports each stage as it happens (see STREAMING
+// ESTIMATES); aborting `signal` before the save throws EstimateCancelledError.
+async function createEstimateJob(req, parsed, followUp = null, { onProgress = null, signal = null } = {}) {
+  const progress = onProgress || (() => {});
+  const { description } = parsed;
+  const revision = followUp ? followUp.revision : null;
+
+  // A saved vehicle supplies the specs, the odometer, the service history
+  // and - if it has one - the owner
+  let vehicleRecord = null;
+  let owner = null;
+  let serviceHistory = [];
+  if (parsed.vehicleId) {
+    vehicleRecord = await loadVehicle(req, parsed.vehicleId);
+    if (!vehicleRecord) throw new EstimateInputError('Vehicle not found', 404);
+    serviceHistory = (await vehicleServiceHistory(req.auth.shopId, vehicleRecord.id)).history;
+    if (vehicleRecord.customer_id) owner = await loadCustomer(req, vehicleRecord.customer_id);
+  }
+  if (followUp && followUp.customerRecord) owner = followUp.customerRecord;
+  if (!owner && !parsed.customer) {
+    throw new EstimateInputError('This vehicle has no owner on file - include the customer');
+  }
+  const customer = owner
+    ? { name: owner.name, phone: owner.phone || undefined, email: owner.email || undefined }
+    : parsed.customer;
+  const vehicle = parsed.vehicle || (vehicleRecord ? vehicleLabel(vehicleRecord) : undefined);
+  const mileage = parsed.mileage ?? vehicleRecord?.mileage ?? null;
+  const vehicleSpec = resolveVehicle(vehicle, {
+    ...(vehicleRecord ? specFromRecord(vehicleRecord) : {}),
+    ...parsed.vehicleInfo
+  });
+  const settings = await shopSettings(req);
+  const policy = settingsPolicy(settings);
+  const laborRate = parsed.laborRate || settings.laborRate;
+
+  console.log(`[ESTIMATE] ${customer.name} | ${vehicle || 'N/A'} | $${laborRate}/hr`);
+
+  // The trip is charged by distance zone from the shop's base
+  const location = parsed.serviceLocation || null;
+  const trip = location ? tripFee(shopBase(settings), locationPoint(location), settings.travelZones) : null;
+  const travelFee = trip ? trip.fee : 0;
+  if (trip) console.log(`[TRIP] ${trip.miles} mi, zone ${trip.zone} | $${trip.fee}`);
+
+  // A confirmed cause is one repair however it's worded ("Stuck thermostat")
+  const lines = splitJobDescription(flatRates, description, vehicleSpec, { whole: !!(followUp && followUp.confirmedDiagnosis) });
+  if (lines.length > 1) console.log(`[LINE ITEMS] ${lines.map(l => l.description).join(' | ')}`);
+  progress('flat_rate', {
+    lines: lines.map(line => ({
+      description: line.description,
+      flatRate: line.job ? { job: line.job, hours: line.hours, basis: line.basis } : null
+    }))
+  });
+  const troubleCodes = collectDtcs(parsed.dtcs, description).map(describeDtc);
+  if (troubleCodes.length) {
+    console.log(`[DTC] ${troubleCodes.map(dtc => `${dtc.code}${dtc.known ? '' : ' (unlisted)'}`).join(', ')}`);
+  }
+  if (serviceHistory.length) console.log(`[HISTORY] ${serviceHistory.length} past jobs on vehicle ${vehicleRecord.id}`);
+
+  // Looked up now so the shop sees who it's for while the AI works; a new
+  // customer is only written along with the job. The vehicle's owner wins.
+  const existingCustomer = owner || await findCustomer(req.auth.shopId, customer);
+  progress('customer', existingCustomer
+    ? { status: owner ? 'owner' : 'matched', customer: existingCustomer }
+    : { status: 'new', customer });
+
+  const prompt = buildPrompt({
+    customer, vehicle, mileage, description, laborRate,
+    shopSuppliesPercent: settings.shopSuppliesPercent,
+    lineItems: lines,
+    serviceHistory,
+    tiered: !!parsed.tiered,
+    confirmedDiagnosis: followUp ? followUp.confirmedDiagnosis : null,
+    troubleCodes,
+    revision: revision ? {
+      version: revision.job.estimate_version || 1,
+      lines: jobLines(revision.job),
+      parts: revision.job.estimated_parts || [],
+      total: revision.job.estimated_total,
+      instructions: revision.instructions
+    } : null
+  });
+
+  const { estimate, provider, attempts, adjustments } = await generateValidatedEstimate({
+    prompt,
+    context: { description, laborRate, lineItems: lines, tiered: !!parsed.tiered },
+    lineCount: lines.length,
+    tiered: !!parsed.tiered,
+    dtcs: troubleCodes.map(dtc => dtc.code),
+    stream: onProgress ? {
+      onToken: (text) => progress('token', { text }),
+      onAttempt: (info) => progress('ai', info),
+      signal
+    } : { signal }
+  });
+  console.log(`[AI] ${provider}${attempts > 1 ? ` (valid after ${attempts} attempts)` : ''}`);
+  if (adjustments.length) console.log(`[CLAMPED] ${adjustments.join('; ')}`);
+
+  estimate.laborRate = laborRate;
+  estimate.adjustments = adjustments;
+
+  const lineItems = priceLineItems(lines, estimate);
+  for (const line of lineItems) {
+    line.parts = await catalogPricedParts(req.auth.shopId, line.parts, settings.partsMarkupTiers);
+  }
+  const laborDiscount = calculateLaborOverlap(lineItems, laborRate);
+  if (laborDiscount.hours) {
+    console.log(`[OVERLAP] -${laborDiscount.hours}hrs (${laborDiscount.overlaps.map(o => o.reason).join('; ')})`);
+  }
+
+  // The shop's supplies policy is authoritative, not whatever the model echoed back
+  estimate.shopSuppliesPercent = settings.shopSuppliesPercent;
+  estimate.lineItems = lineItems.map(line => ({
+    ...line,
+    laborCost: Number((line.laborHours * laborRate).toFixed(2)),
+    partsCost: partsTotals(line.parts).price
+  }));
+  estimate.laborDiscount = laborDiscount;
+  estimate.laborHours = Number((lineItems.reduce((s, l) => s + l.laborHours, 0) - laborDiscount.hours).toFixed(2));
+  estimate.parts = lineItems.flatMap(line => line.parts);
+  estimate.tips = estimate.tips || [];
+  estimate.warnings = estimate.warnings || [];
+  estimate.workSteps = estimate.workSteps || [];
+  estimate.troubleCodes = troubleCodes;
+
+  // A diagnosis is saved with every cause priced as the repair it leads to,
+  // most likely first, so the follow-up can quote whichever one is confirmed
+  if (estimate.possibleCauses) {
+    const causes = [...estimate.possibleCauses].sort((a, b) => b.probability - a.probability);
+    estimate.possibleCauses = [];
+    for (const [i, cause] of causes.entries()) {
+      const parts = await catalogPricedParts(req.auth.shopId, cause.parts, settings.partsMarkupTiers);
+      const totals = calculateTotals({ laborHours: cause.laborHours, laborRate, parts, shopSuppliesPercent: settings.shopSuppliesPercent, travelFee }, policy);
+      const codes = cause.codes ? { codes: cause.codes.map(normalizeDtc).filter(Boolean) } : {};
+      estimate.possibleCauses.push({ id: i + 1, ...cause, ...codes, parts, ...totals });
+    }
+  }
+  const credit = followUp ? followUp.diagnosticCredit : 0;
+
+  // Tiered quotes: each option is priced on its own, and the job is saved
+  // with the standard option until the customer picks one
+  if (parsed.tiered) {
+    estimate.options = await priceEstimateOptions(req.auth.shopId, estimate.options, {
+      laborHours: estimate.laborHours, laborRate, settings, policy, credit, travelFee
+    });
+    const standard = estimate.options.find(option => option.tier === 'standard');
+    estimate.parts = standard.parts;
+    estimate.laborHours = standard.laborHours;
+    estimate.lineItems = estimate.lineItems.map(line => ({ ...line, parts: [], partsCost: 0 }));
+  }
+
+  const { laborCost, partsCost, shopSupplies, credit: creditApplied, subtotal, salesTaxPercent, salesTax, total } = calculateTotals({ ...estimate, credit, travelFee }, policy);
+  const taxRate = settings.taxSetAsidePercent;
+  const recommendedTaxSetaside = Number((subtotal * taxRate / 100).toFixed(2));
+  const netAfterTax = Number((subtotal - recommendedTaxSetaside).toFixed(2));
+  const partsPricing = partsTotals(estimate.parts);
+  const quoted = {
+    ...estimate,
+    laborCost, partsCost, shopSupplies, shopSuppliesBasis: policy.shopSuppliesBasis,
+    diagnosticCredit: creditApplied,
+    travelFee, trip,
+    partsOurCost: partsPricing.cost, partsMargin: partsPricing.margin, coreCharges: partsPricing.coreCharges,
+    subtotal, salesTaxPercent, salesTax, total,
+    taxRate, recommendedTaxSetaside, netAfterTax
+  };
+  progress('estimate', { estimate: quoted });
+
+  // Nothing has been written yet, so a caller that's gone leaves nothing behind
+  if (signal && signal.aborted) throw new EstimateCancelledError();
+
+  // An unowned vehicle is given to this customer - unless it would be their
+  // second and the plan has no fleet accounts, when it stays unassigned
+  const createdCustomer = existingCustomer ? null : await repos.customers.create(req.auth.shopId, customerRow({
+    name: customer.name, phone: customer.phone || null, email: customer.email || null
+  }));
+  const customerRecord = existingCustomer || createdCustomer;
+
+  if (vehicleRecord) {
+    const vehicleUpdate = {};
+    if (!owner) {
+      if (await needsFleet(req, existingCustomer && existingCustomer.id, vehicleRecord.id)) {
+        console.log(`[FLEET] Vehicle ${vehicleRecord.id} left unassigned - customer ${customerRecord.id} already has one`);
+      } else {
+        vehicleUpdate.customer_id = customerRecord.id;
+      }
+    }
+    if (parsed.mileage !== undefined && parsed.mileage > Number(vehicleRecord.mileage || 0)) {
+      vehicleUpdate.mileage = parsed.mileage;
+      vehicleUpdate.mileage_updated_at = new Date().toISOString();
+    }
+    if (Object.keys(vehicleUpdate).length) await repos.vehicles.update(req.auth.shopId, vehicleRecord.id, vehicleUpdate);
+  }
+
+  const estimateColumns = {
+    description: estimate.shortDescription || description,
+    raw_description: description,
+    job_type: estimate.jobType || 'Auto Repair',
+    estimated_labor_hours: estimate.laborHours,
+    estimated_labor_rate: estimate.laborRate,
+    estimated_labor_cost: laborCost,
+    estimated_line_items: estimate.lineItems,
+    estimated_labor_discount_hours: laborDiscount.hours,
+    estimated_parts: estimate.parts,
+    estimated_parts_cost: partsCost,
+    estimated_parts_our_cost: partsPricing.cost,
+    estimate_options: estimate.options || null,
+    selected_option: null,
+    diagnosis_causes: estimate.possibleCauses || null,
+    dtc_codes: troubleCodes.length ? troubleCodes.map(dtc => dtc.code) : null,
+    diagnostic_credit: creditApplied,
+    service_address: location && location.address ? location.address : null,
+    service_latitude: location ? location.latitude ?? null : null,
+    service_longitude: location ? location.longitude ?? null : null,
+    travel_miles: trip ? trip.miles : null,
+    travel_fee: travelFee,
+    travel_zone: trip ? trip.label : null,
+    estimated_shop_supplies_percent: estimate.shopSuppliesPercent,
+    estimated_shop_supplies_cost: shopSupplies,
+    estimated_subtotal: subtotal,
+    estimated_sales_tax: salesTax,
+    estimated_total: total,
+    shop_supplies_basis: policy.shopSuppliesBasis,
+    shop_supplies_cap: policy.shopSuppliesCap,
+    sales_tax_percent: salesTaxPercent,
+    sales_tax_applies_to: policy.salesTaxAppliesTo,
+    estimated_tax_setaside: recommendedTaxSetaside,
+    tax_rate: taxRate,
+    timeline: estimate.timeline || 'TBD',
+    work_steps: estimate.workSteps,
+    // Kept for change orders: "if X is found, may need Y"
+    warnings: estimate.warnings,
+    notes: estimate.notes || ''
+  };
+
+  let savedJob;
+  let createdJob = null;
+  try {
+    if (revision) {
+      savedJob = await saveRevisedEstimate(req, revision.job, estimateColumns, { source: 'ai', note: revision.note || revision.instructions });
+    } else {
+      createdJob = await repos.jobs.create({
+        shop_id: req.auth.shopId,
+        customer_id: customerRecord.id,
+        status: 'estimate',
+        vehicle: vehicle || null,
+        vehicle_id: vehicleRecord ? vehicleRecord.id : null,
+        mileage,
+        parent_job_id: followUp && followUp.parentJob ? followUp.parentJob.id : null,
+        tax_year: new Date().getFullYear(),
+        ...estimateColumns
+      });
+      savedJob = await recordOriginalEstimate(createdJob, shopActor(req));
+    }
+  } catch (err) {
+    await discardEstimateWrites(req.auth.shopId, { job: createdJob, customer: createdCustomer });
+    throw err;
+  }
+
+  console.log(`[SAVED] Job ${savedJob.id} | $${subtotal}${revision ? ` (revision ${savedJob.estimate_version})` : ''}`);
+  progress('saved', { jobId: savedJob.id, version: savedJob.estimate_version || 1 });
+
+  return { estimate: quoted, savedJob, customer: customerRecord };
+}
+
+app.post('/api/generate-estimate', requireSession, requireAI, meterUsage('ai_estimates'), async (req, res) => {
+  try {
+    const parsed = GenerateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid estimate request', details: parsed.error.flatten() });
+    }
+    const result = await createEstimateJob(req, parsed.data);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    const { status, body } = estimateFailure(err);
+    res.status(status).json(body);
+  }
+});
+
+// ========================================
+// STREAMING ESTIMATES
+// The same pipeline, reported over Server-Sent Events as it goes:
+//   flat_rate  how the description split, and each line's flat-rate match
+//   customer   { status: owner | matched | new, customer }
+//   ai         an AI attempt starting ({ provider, attempt, repair }) -
+//              tokens from any earlier attempt are void
+//   token      { text }, a piece of the AI's reply
+//   estimate   the validated, priced estimate
+//   saved      { jobId, version }
+//   done       the same body /api/generate-estimate returns, or
+//   error      { status, error, ... } instead
+// POST because of the body, so browsers read it with fetch(), not
+// EventSource. Nothing is written until the estimate is complete; a client
+// that disconnects before then cancels the AI call and nothing is saved.
+// ========================================
+const STREAM_HEARTBEAT_MS = 15000;
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Proxies (nginx) buffer responses unless told not to
+    'X-Accel-Buffering': 'no'
+  });
+  // Comment lines keep idle proxies from closing the connection during a slow AI call
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+app.post('/api/generate-estimate/stream', requireSession, requireAI, meterUsage('ai_estimates'), async (req, res) => {
+  const parsed = GenerateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ ok: false, error: 'Invalid estimate request', details: parsed.error.flatten() });
+  }
+
+  const stream = openEventStream(res);
+  const disconnected = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) disconnected.abort();
+  });
+
+  try {
+    const result = await createEstimateJob(req, parsed.data, null, { onProgress: stream.send, signal: disconnected.signal });
+    stream.send('done', { ok: true, ...result });
+  } catch (err) {
+    // The status is already 200, so the usage meter has to be told this one doesn't count
+    res.locals.usageFailed = true;
+    if (err instanceof EstimateCancelledError || err instanceof LLMCancelledError) {
+      console.log('[ESTIMATE STREAM] Client disconnected - nothing saved');
+    } else {
+      const { status, body } = estimateFailure(err);
+      stream.send('error', { status, ...body });
+    }
+  } finally {
+    stream.end();
+  }
+});
+
+// ========================================
+// CUSTOMERS
+// Phones are matched on phone_digits ("330-555-1212" = "(330) 5551212"),
+// emails lowercased. Fuzzy matches are only ever suggested, never merged
+// automatically.
+// ========================================
+const CUSTOMER_MATCH_COLUMNS = 'id, name, phone, phone_digits, email, created_at';
+
+function customerRow(fields) {
+  const row = {};
+  if (fields.name !== undefined) row.name = fields.name.trim();
+  if (fields.phone !== undefined) {
+    row.phone = fields.phone ? fields.phone.trim() : null;
+    row.phone_digits = normalizePhone(fields.phone);
+  }
+  if (fields.email !== undefined) row.email = normalizeEmail(fields.email);
+  if (fields.address !== undefined) row.address = fields.address;
+  if (fields.notes !== undefined) row.notes = fields.notes;
+  return row;
+}
+
+function shopCustomersForMatching(shopId) {
+  return repos.customers.forMatching(shopId, CUSTOMER_MATCH_COLUMNS);
+}
+
+// Exact match on normalized email, then phone; null means a new customer
+async function findCustomer(shopId, customer) {
+  const email = normalizeEmail(customer.email);
+  const phoneDigits = normalizePhone(customer.phone);
+
+  for (const [column, value] of [['email', email], ['phone_digits', phoneDigits]]) {
+    if (!value) continue;
+    const found = await repos.customers.findBy(shopId, column, value);
+    if (found) return found;
+  }
+
+  // Not migrated yet: found on the phone as typed, and filled in so next time it's found on digits
+  if (phoneDigits) {
+    const legacy = await repos.customers.findByUnnormalizedPhone(shopId, customer.phone.trim());
+    if (legacy) return repos.customers.update(shopId, legacy.id, { phone_digits: phoneDigits });
+  }
+  return null;
+}
+
+// Strip characters that mean something inside a PostgREST or=() filter
+function searchTerm(q) {
+  return String(q || '').replace(/[,()*%:"\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 60);
+}
+
+// GET /api/customers?q=smith&limit=50&offset=0
+// q matches name, email, phone (any format) or a vehicle on one of their jobs
+app.get('/api/customers', requireSession, async (req, res) => {
+  try {
+    const shopId = req.auth.shopId;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const q = searchTerm(req.query.q);
+
+    const customerIds = q ? await repos.jobs.customerIdsForVehicle(shopId, q) : [];
+    const { customers, total } = await repos.customers.search(shopId, { q, customerIds, limit, offset });
+    res.json({ ok: true, customers, total, limit, offset });
+  } catch (err) {
+    console.error('[CUSTOMERS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Likely duplicate pairs across the shop, for a "review duplicates" screen
+app.get('/api/customers/duplicates', requireSession, async (req, res) => {
+  try {
+    const customers = await shopCustomersForMatching(req.auth.shopId);
+    const pairs = duplicatePairs(customers);
+    res.json({ ok: true, pairs, count: pairs.length });
+  } catch (err) {
+    console.error('[CUSTOMER DUPLICATES ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/customers', requireSession, async (req, res) => {
+  try {
+    const parsed = CustomerSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid customer', details: parsed.error.flatten() });
+    }
+    const { force, ...fields } = parsed.data;
+    const row = customerRow(fields);
+
+    if (!force) {
+      const duplicates = findDuplicates(row, await shopCustomersForMatching(req.auth.shopId));
+      if (duplicates.length) {
+        return res.status(409).json({
+          ok: false,
+          error: 'This looks like an existing customer',
+          code: 'POSSIBLE_DUPLICATE',
+          duplicates
+        });
+      }
+    }
+
+    const data = await repos.customers.create(req.auth.shopId, row);
+
+    console.log(`[CUSTOMER] Created ${data.id} | ${data.name}`);
+    res.status(201).json({ ok: true, customer: data });
+  } catch (err) {
+    console.error('[CUSTOMER CREATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function loadCustomer(req, id) {
+  return repos.customers.get(req.auth.shopId, id);
+}
+
+// Customer with every job, their saved vehicles (plus any free-text vehicle
+// on older jobs), what they've paid and what they still owe
+app.get('/api/customers/:id', requireSession, async (req, res) => {
+  try {
+    const customer = await loadCustomer(req, req.params.id);
+    if (!customer) return res.status(404).json({ ok: false, error: 'Customer not found' });
+
+    const [jobs, vehicleRecords] = await Promise.all([
+      repos.jobs.forCustomer(req.auth.shopId, customer.id),
+      repos.vehicles.forCustomer(req.auth.shopId, customer.id)
+    ]);
+
+    const vehicles = new Map();
+    for (const job of jobs) {
+      if (!job.vehicle || job.vehicle_id) continue;
+      const key = job.vehicle.trim().toLowerCase();
+      const seen = vehicles.get(key) || { vehicle: job.vehicle.trim(), jobs: 0, lastSeen: job.created_at };
+      seen.jobs++;
+      if (job.created_at > seen.lastSeen) seen.lastSeen = job.created_at;
+      vehicles.set(key, seen);
+    }
+
+    // Jobs marked paid by hand have no payment rows, so count their invoice instead
+    const paidOn = (job) => job.status === 'paid'
+      ? Math.max(Number(job.amount_paid || 0), jobAmountDue(job))
+      : Number(job.amount_paid || 0);
+    const totalSpent = round2(jobs.reduce((s, job) => s + paidOn(job), 0));
+    const outstanding = round2(jobs
+      .filter(job => job.status === 'invoiced')
+      .reduce((s, job) => s + Math.max(jobBalance(job), 0), 0));
+
+    const duplicates = findDuplicates(customer, await shopCustomersForMatching(req.auth.shopId));
+
+    res.json({
+      ok: true,
+      customer,
+      jobs,
+      vehicles: vehicleRecords.map(describeVehicle),
+      otherVehicles: [...vehicles.values()],
+      totals: {
+        jobs: jobs.length,
+        totalSpent,
+        outstanding,
+        lastVisit: jobs.length ? jobs[0].created_at : null
+      },
+      possibleDuplicates: duplicates
+    });
+  } catch (err) {
+    console.error('[CUSTOMER ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/customers/:id', requireSession, async (req, res) => {
+  try {
+    const parsed = CustomerFields.partial().safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid customer', details: parsed.error.flatten() });
+    }
+
+    const customer = await loadCustomer(req, req.params.id);
+    if (!customer) return res.status(404).json({ ok: false, error: 'Customer not found' });
+
+    const data = await repos.customers.update(req.auth.shopId, customer.id, customerRow(parsed.data));
+
+    res.json({ ok: true, customer: data });
+  } catch (err) {
+    console.error('[CUSTOMER UPDATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Customers with job history can't be deleted, only merged into another record
+app.delete('/api/customers/:id', requireSession, async (req, res) => {
+  try {
+    const customer = await loadCustomer(req, req.params.id);
+    if (!customer) return res.status(404).json({ ok: false, error: 'Customer not found' });
+
+    if (await repos.jobs.customerHasJobs(req.auth.shopId, customer.id)) {
+      return res.status(409).json({ ok: false, error: 'Customer has jobs - merge them into another customer instead' });
+    }
+
+    // Their vehicles stay on file, just without an owner
+    await repos.vehicles.reassignCustomer(req.auth.shopId, customer.id, null);
+    await repos.customers.remove(req.auth.shopId, customer.id);
+
+    console.log(`[CUSTOMER] Deleted ${customer.id} | ${customer.name}`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[CUSTOMER DELETE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/customers/:id/merge { mergeId } - mergeId's jobs and vehicles move to :id,
+// blanks on :id are filled from mergeId, then mergeId is deleted
+app.post('/api/customers/:id/merge', requireSession, async (req, res) => {
+  try {
+    const parsed = MergeCustomerSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'mergeId is required', details: parsed.error.flatten() });
+    }
+
+    const [target, source] = await Promise.all([
+      loadCustomer(req, req.params.id),
+      loadCustomer(req, parsed.data.mergeId)
+    ]);
+    if (!target || !source) return res.status(404).json({ ok: false, error: 'Customer not found' });
+    if (target.id === source.id) return res.status(400).json({ ok: false, error: 'Cannot merge a customer into itself' });
+
+    const moved = await repos.jobs.reassignCustomer(req.auth.shopId, source.id, target.id);
+    const movedVehicles = await repos.vehicles.reassignCustomer(req.auth.shopId, source.id, target.id);
+
+    // Blanks are filled in; a second phone or email is kept in the notes rather than lost
+    const fill = {};
+    const extraNotes = [];
+    for (const column of ['phone', 'email', 'address']) {
+      if (!source[column]) continue;
+      if (!target[column]) {
+        fill[column] = source[column];
+        if (column === 'phone') fill.phone_digits = source.phone_digits;
+      } else if (String(source[column]).toLowerCase() !== String(target[column]).toLowerCase()) {
+        extraNotes.push(`Other ${column}: ${source[column]}`);
+      }
+    }
+    const notes = [target.notes, source.notes, ...extraNotes].filter(Boolean);
+    if (notes.length) fill.notes = notes.join('\n');
+
+    const merged = await repos.customers.update(req.auth.shopId, target.id, fill);
+    await repos.customers.remove(req.auth.shopId, source.id);
+
+    console.log(`[CUSTOMER MERGE] ${source.id} -> ${target.id} | ${moved.length} jobs, ${movedVehicles.length} vehicles moved`);
+    res.json({ ok: true, customer: merged, jobsMoved: moved.length, vehiclesMoved: movedVehicles.length });
+  } catch (err) {
+    console.error('[CUSTOMER MERGE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// VEHICLES
+// One row per vehicle, linked to a customer. Specs come from the VIN decode
+// (when the tier has VIN lookup) or are typed in. Jobs point at vehicle_id
+// and record the odometer, which is where service history comes from.
+// A customer with more than one vehicle is a fleet, which is Pro Plus.
+// ========================================
+const VEHICLE_COLUMNS = {
+  customerId: 'customer_id',
+  vin: 'vin',
+  year: 'year',
+  make: 'make',
+  model: 'model',
+  trim: 'trim',
+  displacement: 'displacement',
+  cylinders: 'cylinders',
+  drivetrain: 'drivetrain',
+  plate: 'plate',
+  plateState: 'plate_state',
+  mileage: 'mileage',
+  color: 'color',
+  notes: 'notes'
+};
+
+function vehicleRow(fields) {
+  const row = {};
+  for (const [field, column] of Object.entries(VEHICLE_COLUMNS)) {
+    if (fields[field] !== undefined) row[column] = fields[field];
+  }
+  if (row.plate) row.plate = row.plate.toUpperCase().replace(/\s+/g, '');
+  if (fields.mileage !== undefined) row.mileage_updated_at = new Date().toISOString();
+  return row;
+}
+
+function describeVehicle(record) {
+  return { ...record, label: vehicleLabel(record) };
+}
+
+function loadVehicle(req, id) {
+  return repos.vehicles.get(req.auth.shopId, id);
+}
+
+async function vehicleServiceHistory(shopId, vehicleId) {
+  const jobs = await repos.jobs.forVehicle(shopId, vehicleId);
+  return { jobs, history: summarizeServiceHistory(jobs) };
+}
+
+// Fills specs the caller left blank from the VIN decode. A failed decode
+// never blocks saving the vehicle.
+async function withDecodedVin(req, fields) {
+  if (!fields.vin || !hasFeature(req, 'vin_lookup')) return fields;
+  if (fields.year && fields.make && fields.model && fields.displacement) return fields;
+  try {
+    const decoded = await vinDecoder.decode(fields.vin);
+    if (!decoded) return fields;
+    const filled = { ...fields };
+    for (const key of ['year', 'make', 'model', 'trim', 'displacement', 'cylinders', 'drivetrain']) {
+      if ((filled[key] === undefined || filled[key] === null) && decoded[key]) filled[key] = decoded[key];
+    }
+    return filled;
+  } catch (err) {
+    console.warn(`[VIN DECODE] ${fields.vin}: ${err.message}`);
+    return fields;
+  }
+}
+
+async function customerBelongsToShop(req, customerId) {
+  if (!customerId) return true;
+  return !!(await loadCustomer(req, customerId));
+}
+
+// Would putting a vehicle (other than `vehicleId`) on this customer make a fleet
+// the tier doesn't include?
+async function needsFleet(req, customerId, vehicleId = null) {
+  if (!customerId || hasFeature(req, 'fleet')) return false;
+  const vehicles = await repos.vehicles.forCustomer(req.auth.shopId, customerId);
+  return vehicles.some(vehicle => vehicle.id !== vehicleId);
+}
+
+// GET /api/vehicles?customerId=12&q=f-150
+app.get('/api/vehicles', requireSession, async (req, res) => {
+  try {
+    const vehicles = await repos.vehicles.search(req.auth.shopId, {
+      customerId: req.query.customerId ? Number(req.query.customerId) : null,
+      q: searchTerm(req.query.q)
+    });
+    res.json({ ok: true, vehicles: vehicles.map(describeVehicle) });
+  } catch (err) {
+    console.error('[VEHICLES ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/vehicles', requireSession, async (req, res) => {
+  try {
+    const parsed = VehicleFields.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid vehicle', details: parsed.error.flatten() });
+    }
+    if (!(await customerBelongsToShop(req, parsed.data.customerId))) {
+      return res.status(404).json({ ok: false, error: 'Customer not found' });
+    }
+    if (await needsFleet(req, parsed.data.customerId)) return upgradeRequired(req, res, 'fleet');
+
+    const fields = await withDecodedVin(req, parsed.data);
+    if (!fields.vin && !fields.make && !fields.model) {
+      return res.status(400).json({ ok: false, error: 'Give at least a VIN or a make/model' });
+    }
+
+    if (fields.vin) {
+      const existing = await repos.vehicles.findByVin(req.auth.shopId, fields.vin);
+      if (existing) {
+        return res.status(409).json({ ok: false, error: 'A vehicle with this VIN already exists', vehicle: describeVehicle(existing) });
+      }
+    }
+
+    const data = await repos.vehicles.create(req.auth.shopId, vehicleRow(fields));
+
+    console.log(`[VEHICLE] Created ${data.id} | ${vehicleLabel(data)}`);
+    res.status(201).json({ ok: true, vehicle: describeVehicle(data) });
+  } catch (err) {
+    console.error('[VEHICLE CREATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/vehicles/:id', requireSession, async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, req.params.id);
+    if (!vehicle) return res.status(404).json({ ok: false, error: 'Vehicle not found' });
+    res.json({ ok: true, vehicle: describeVehicle(vehicle) });
+  } catch (err) {
+    console.error('[VEHICLE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/vehicles/:id', requireSession, async (req, res) => {
+  try {
+    const parsed = VehicleFields.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid vehicle', details: parsed.error.flatten() });
+    }
+
+    const vehicle = await loadVehicle(req, req.params.id);
+    if (!vehicle) return res.status(404).json({ ok: false, error: 'Vehicle not found' });
+    if (!(await customerBelongsToShop(req, parsed.data.customerId))) {
+      return res.status(404).json({ ok: false, error: 'Customer not found' });
+    }
+    if (parsed.data.customerId && parsed.data.customerId !== vehicle.customer_id
+      && await needsFleet(req, parsed.data.customerId, vehicle.id)) {
+      return upgradeRequired(req, res, 'fleet');
+    }
+
+    const fields = parsed.data.vin && parsed.data.vin !== vehicle.vin
+      ? await withDecodedVin(req, parsed.data)
+      : parsed.data;
+
+    const data = await repos.vehicles.update(req.auth.shopId, vehicle.id, vehicleRow(fields));
+
+    res.json({ ok: true, vehicle: describeVehicle(data) });
+  } catch (err) {
+    console.error('[VEHICLE UPDATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/vehicles/:id', requireSession, async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, req.params.id);
+    if (!vehicle) return res.status(404).json({ ok: false, error: 'Vehicle not found' });
+
+    if (await repos.jobs.vehicleHasJobs(req.auth.shopId, vehicle.id)) {
+      return res.status(409).json({ ok: false, error: 'Vehicle has service history and cannot be deleted' });
+    }
+
+    await repos.vehicles.remove(req.auth.shopId, vehicle.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[VEHICLE DELETE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every job on the vehicle, plus the completed-work summary the AI sees
+app.get('/api/vehicles/:id/history', requireSession, async (req, res) => {
+  try {
+    const vehicle = await loadVehicle(req, req.params.id);
+    if (!vehicle) return res.status(404).json({ ok: false, error: 'Vehicle not found' });
+
+    const { jobs, history } = await vehicleServiceHistory(req.auth.shopId, vehicle.id);
+    res.json({
+      ok: true,
+      vehicle: describeVehicle(vehicle),
+      history,
+      jobs: jobs.map(job => ({
+        id: job.id,
+        status: job.status,
+        description: job.description,
+        mileage: job.mileage ?? null,
+        createdAt: job.created_at,
+        completedAt: job.completed_at || null,
+        total: jobAmountDue(job)
+      }))
+    });
+  } catch (err) {
+    console.error('[VEHICLE HISTORY ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// PARTS CATALOG
+// Supplier price lists imported from CSV. When the AI suggests a part that
+// matches a catalog entry we quote the supplier's cost; either way the
+// shop's markup tiers turn cost into the customer price.
+// ========================================
+const partsCatalog = createPartsCatalog(db);
+
+// A catalog lookup failure falls back to the prices given rather than failing the quote
+async function catalogPricedParts(shopId, parts, markupTiers, source = 'ai') {
+  let matches = [];
+  try {
+    matches = await Promise.all(parts.map(part => partsCatalog.match(shopId, part.name)));
+  } catch (err) {
+    console.warn(`[PARTS] Catalog lookup failed: ${err.message}`);
+  }
+  const priced = priceParts(parts, matches, markupTiers, source);
+  const matched = priced.filter(p => p.source === 'catalog');
+  if (matched.length) console.log(`[PARTS] Catalog: ${matched.map(p => `${p.name} → ${p.partNumber}`).join(' | ')}`);
+  return priced;
+}
+
+// POST /api/parts/import?supplier=NAPA  (Content-Type: text/csv)
+// Columns: part number, brand, description, cost, core charge. Rows
+// already in the catalog for this supplier are updated in place.
+app.post('/api/parts/import', requireSession, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const supplier = String(req.query.supplier || '').trim();
+    if (!supplier) return res.status(400).json({ ok: false, error: 'supplier is required (?supplier=NAPA)' });
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: 'Send the price list as text/csv' });
+    }
+
+    const { entries, errors } = parsePriceList(req.body);
+    if (!entries.length) {
+      return res.status(400).json({ ok: false, error: 'No valid rows in price list', errors: errors.slice(0, 50) });
+    }
+
+    const imported = await partsCatalog.importEntries(req.auth.shopId, supplier, entries);
+    console.log(`[PARTS IMPORT] ${supplier} | ${imported} rows, ${errors.length} skipped`);
+    res.json({ ok: true, supplier, imported, skipped: errors.length, errors: errors.slice(0, 50) });
+  } catch (err) {
+    console.error('[PARTS IMPORT ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/parts?q=rotor&supplier=NAPA&limit=50&offset=0
+app.get('/api/parts', requireSession, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const settings = await shopSettings(req);
+
+    const { entries, total } = await partsCatalog.search(req.auth.shopId, {
+      supplier: req.query.supplier ? String(req.query.supplier) : null,
+      q: searchTerm(req.query.q),
+      limit,
+      offset
+    });
+
+    // Each entry shown with the price a customer would pay for it today
+    const parts = entries.map(entry => ({
+      ...entry,
+      price: customerPrice(Number(entry.cost), settings.partsMarkupTiers),
+      markupPercent: markupPercent(Number(entry.cost), settings.partsMarkupTiers)
+    }));
+    res.json({ ok: true, parts, total });
+  } catch (err) {
+    console.error('[PARTS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/parts?supplier=NAPA drops a whole price list
+app.delete('/api/parts', requireSession, async (req, res) => {
+  try {
+    const supplier = String(req.query.supplier || '').trim();
+    if (!supplier) return res.status(400).json({ ok: false, error: 'supplier is required' });
+
+    const removed = await partsCatalog.removeSupplier(req.auth.shopId, supplier);
+
+    console.log(`[PARTS] Removed ${supplier} price list (${removed} rows)`);
+    res.json({ ok: true, removed });
+  } catch (err) {
+    console.error('[PARTS DELETE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// TIERED QUOTES
+// Good / better / best options on one job. Each option carries its own
+// parts, labor, totals and warranty; choosing one copies its figures onto
+// the job's estimated_* columns so invoices and PDFs follow the choice.
+// ========================================
+async function priceEstimateOptions(shopId, aiOptions, { laborHours, laborRate, settings, policy, credit = 0, travelFee = 0 }) {
+  const options = [];
+  for (const tier of OPTION_TIERS) {
+    const ai = aiOptions.find(option => option.tier === tier);
+    const parts = await catalogPricedParts(shopId, ai.parts, settings.partsMarkupTiers);
+    const hours = Number((laborHours + (ai.extraLaborHours || 0)).toFixed(2));
+    const totals = calculateTotals({ laborHours: hours, laborRate, parts, shopSuppliesPercent: settings.shopSuppliesPercent, credit, travelFee }, policy);
+    options.push({
+      tier,
+      label: OPTION_LABELS[tier],
+      description: ai.description,
+      notes: ai.notes || '',
+      warranty: settings.tierWarranties[tier],
+      laborHours: hours,
+      parts,
+      partsOurCost: partsTotals(parts).cost,
+      ...totals
+    });
+  }
+  return options;
+}
+
+// Only while the job is still a quote. Once approved, the customer has signed
+// for that option's price, and approved work changes through change orders.
+const OPTION_SELECTABLE_STATUSES = ['estimate'];
+
+// One option's figures as job columns. Used by the shop and by the
+// customer picking an option on their approval link.
+function estimateOptionColumns(job, tier) {
+  const option = job.estimate_options.find(o => o.tier === tier);
+  const columns = {
+    selected_option: option.tier,
+    estimated_parts: option.parts,
+    estimated_parts_cost: option.partsCost,
+    estimated_parts_our_cost: option.partsOurCost,
+    estimated_labor_hours: option.laborHours,
+    estimated_labor_cost: option.laborCost,
+    estimated_shop_supplies_cost: option.shopSupplies,
+    estimated_subtotal: option.subtotal,
+    estimated_sales_tax: option.salesTax,
+    estimated_total: option.total,
+    estimated_tax_setaside: Number((option.subtotal * Number(job.tax_rate || 0) / 100).toFixed(2))
+  };
+  return { columns, option };
+}
+
+app.post('/api/jobs/:id/option', requireSession, async (req, res) => {
+  try {
+    const parsed = SelectOptionSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'tier must be economy, standard or premium', details: parsed.error.flatten() });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!Array.isArray(job.estimate_options) || !job.estimate_options.length) {
+      return res.status(400).json({ ok: false, error: 'This estimate was not quoted with options' });
+    }
+    if (!OPTION_SELECTABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        ok: false,
+        error: job.status === 'approved'
+          ? 'The customer approved this option - add a change order instead'
+          : `Can't change the option once a job is ${job.status}`
+      });
+    }
+
+    const { columns, option } = estimateOptionColumns(job, parsed.data.tier);
+    const data = await reviseEstimate(job, columns, { source: 'option', note: `${option.label} option chosen`, changedBy: shopActor(req) });
+    if (!data) return res.status(409).json({ ok: false, error: 'This estimate was just changed - reload and try again' });
+
+    console.log(`[OPTION] Job ${job.id} | ${option.label} (${option.tier}) $${option.total}`);
+    res.json({ ok: true, job: data, option });
+  } catch (err) {
+    console.error('[OPTION ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// DIAGNOSTIC FOLLOW-UP
+// A Diagnosis job ends with a confirmed cause; quoting it creates a Repair
+// job linked back through parent_job_id. The diagnostic labor is credited
+// on the repair once the diagnosis is done, and only once - a second repair
+// quote off the same diagnosis pays full price.
+// ========================================
+// Only a diagnosis that was actually done has a fee worth crediting
+const DIAGNOSIS_CREDITABLE_STATUSES = ['completed', 'invoiced', 'paid'];
+
+function diagnosticFee(job) {
+  return Number(job.actual_labor_cost ?? job.estimated_labor_cost ?? 0);
+}
+
+app.post('/api/jobs/:id/repair', requireSession, requireAI, meterUsage('ai_estimates'), async (req, res) => {
+  try {
+    const parsed = RepairFollowUpSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid repair request', details: parsed.error.flatten() });
+    }
+    const { causeId, notes, tiered, creditDiagnostic, laborRate } = parsed.data;
+
+    const diagnosis = await loadJob(req, req.params.id);
+    if (!diagnosis) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (diagnosis.job_type !== 'Diagnosis') {
+      return res.status(400).json({ ok: false, error: 'Only a Diagnosis job can be followed by a repair quote' });
+    }
+
+    let confirmed;
+    if (causeId) {
+      confirmed = (diagnosis.diagnosis_causes || []).find(c => Number(c.id) === causeId);
+      if (!confirmed) return res.status(400).json({ ok: false, error: `Cause ${causeId} is not on this diagnosis` });
+    } else {
+      confirmed = { cause: parsed.data.cause, laborHours: 0, parts: [] };
+    }
+
+    const customerRecord = diagnosis.customer_id ? await loadCustomer(req, diagnosis.customer_id) : null;
+    if (!customerRecord) {
+      return res.status(400).json({ ok: false, error: 'The diagnosis job has no customer on file' });
+    }
+
+    let creditNote = null;
+    let claimed = null;
+    if (creditDiagnostic) {
+      if (!DIAGNOSIS_CREDITABLE_STATUSES.includes(diagnosis.status)) {
+        creditNote = `not credited - the diagnosis is ${diagnosis.status}`;
+      } else if (diagnosticFee(diagnosis) > 0) {
+        claimed = await repos.jobs.claimDiagnosticCredit(diagnosis);
+        if (!claimed) creditNote = 'already credited on another repair';
+      }
+    }
+    const diagnosticCredit = claimed ? diagnosticFee(diagnosis) : 0;
+
+    let result;
+    try {
+      result = await createEstimateJob(req, {
+        vehicleId: diagnosis.vehicle_id || undefined,
+        vehicle: diagnosis.vehicle || undefined,
+        mileage: diagnosis.mileage ?? undefined,
+        dtcs: diagnosis.dtc_codes || undefined,
+        serviceLocation: jobServiceLocation(diagnosis),
+        description: notes ? `${confirmed.cause} - ${notes}` : confirmed.cause,
+        tiered,
+        laborRate: laborRate || Number(diagnosis.estimated_labor_rate) || undefined
+      }, { parentJob: diagnosis, customerRecord, confirmedDiagnosis: confirmed, diagnosticCredit });
+    } catch (err) {
+      if (claimed) {
+        await repos.jobs.releaseDiagnosticCredit(claimed)
+          .catch(releaseErr => console.error(`[REPAIR] Diagnosis ${diagnosis.id} credit claim not released:`, releaseErr.message));
+      }
+      throw err;
+    }
+
+    console.log(`[REPAIR] Job ${result.savedJob.id} from diagnosis ${diagnosis.id} | credit $${result.estimate.diagnosticCredit}${creditNote ? ` (${creditNote})` : ''}`);
+    res.json({ ok: true, ...result, diagnosisJobId: diagnosis.id, confirmedCause: confirmed });
+  } catch (err) {
+    const { status, body } = estimateFailure(err, 'REPAIR');
+    res.status(status).json(body);
+  }
+});
+
+// ========================================
+// ESTIMATE REVISIONS
+// Re-quoting keeps the job: the estimate columns are rewritten in place
+// and the new version is added to job_revisions (lib/revisions.js). The
+// shop can edit hours, parts and supplies by hand or have the AI re-quote
+// from the current version. Only an open or declined quote is revised -
+// approved work changes through change orders.
+// ========================================
+const REVISABLE_STATUSES = ['estimate', 'declined'];
+
+function shopActor(req) {
+  return { type: 'shop', accessCodeId: req.auth.codeId };
+}
+
+function customerActor(approval) {
+  return { type: 'customer', name: approval.signature_name, approvalId: approval.id };
+}
+
+// Jobs saved before line items existed get their original work as line one
+function jobLines(job) {
+  return job.estimated_line_items && job.estimated_line_items.length
+    ? job.estimated_line_items
+    : [{ description: job.description, laborHours: Number(job.estimated_labor_hours || 0), parts: job.estimated_parts || [], laborCost: Number(job.estimated_labor_cost || 0), partsCost: Number(job.estimated_parts_cost || 0) }];
+}
+
+function revisionRow(job, version, { source, note = null, changedBy = null }) {
+  return {
+    shop_id: job.shop_id,
+    job_id: job.id,
+    version,
+    source,
+    note,
+    changed_by: changedBy,
+    snapshot: estimateSnapshot(job)
+  };
+}
+
+// Version 1 of a newly quoted job
+async function recordOriginalEstimate(job, changedBy) {
+  await repos.revisions.add(revisionRow(job, 1, { source: 'original', changedBy }));
+  return repos.jobs.update(job, { estimate_version: 1 });
+}
+
+// Writes `fields` over the job as its next estimate version and records it.
+// Only lands if the job still has the version and status it was read with
+// → the updated job, or null if someone else got there first. A job quoted
+// before revisions existed gets its old figures recorded as version 1
+// first. There's no transaction across the two tables, so if the history
+// insert fails the job is put back rather than left with figures no
+// revision records.
+async function reviseEstimate(job, fields, { source, note = null, changedBy }) {
+  let version = Number(job.estimate_version || 0);
+  const rows = [];
+  if (!version) rows.push(revisionRow(job, ++version, { source: 'original' }));
+  version++;
+
+  const updated = await repos.jobs.updateIfVersion(job, { ...fields, estimate_version: version });
+  if (!updated) return null;
+  rows.push(revisionRow(updated, version, { source, note, changedBy }));
+
+  try {
+    await repos.revisions.add(rows);
+  } catch (err) {
+    const previous = Object.fromEntries(Object.keys(fields).map(column => [column, job[column] ?? null]));
+    await repos.jobs.updateIfVersion(updated, { ...previous, estimate_version: job.estimate_version ?? null })
+      .catch(restoreErr => console.error(`[REVISION] Job ${job.id} could not be put back:`, restoreErr.message));
+    throw err;
+  }
+  return updated;
+}
+
+// Writes a revised estimate over the job and records it. A declined quote
+// is an estimate again, and links out for the old figures are withdrawn.
+async function saveRevisedEstimate(req, job, columns, { source, note = null }) {
+  const updated = await reviseEstimate(job, { ...columns, status: 'estimate' }, { source, note, changedBy: shopActor(req) });
+  if (!updated) throw new EstimateInputError('This estimate was changed while you were working on it - reload and try again', 409);
+
+  await repos.approvals.supersedePending(job);
+  return updated;
+}
+
+// Typed in by the shop: cost is what they pay, price is marked up unless given
+function manualPart(part, tiers) {
+  const cost = round2(part.cost);
+  const price = part.price !== undefined ? round2(part.price) : customerPrice(cost, tiers);
+  return {
+    name: part.name,
+    cost,
+    price,
+    markupPercent: part.price !== undefined ? (cost ? round2((price / cost - 1) * 100) : 0) : markupPercent(cost, tiers),
+    coreCharge: 0,
+    source: 'manual'
+  };
+}
+
+// Still listed so the work order says what goes on the car, but free
+function customerSuppliedPart(part) {
+  return { ...part, cost: 0, price: 0, markupPercent: 0, coreCharge: 0, customerSupplied: true };
+}
+
+const REPRICING_EDITS = ['lineItems', 'laborHours', 'laborRate', 'parts', 'shopSuppliesPercent'];
+const TEXT_EDITS = { description: 'description', timeline: 'timeline', notes: 'notes' };
+
+// ManualRevisionSchema body → the job columns to write
+function manualRevisionColumns(job, edits, settings) {
+  const columns = {};
+  for (const [field, column] of Object.entries(TEXT_EDITS)) {
+    if (edits[field] !== undefined) columns[column] = edits[field];
+  }
+  const repricing = edits.customerSuppliesParts || REPRICING_EDITS.some(field => edits[field] !== undefined);
+  if (!repricing) {
+    if (!Object.keys(columns).length) throw new EstimateInputError('Nothing to change');
+    return columns;
+  }
+
+  const lines = jobLines(job).map(line => ({ ...line, parts: line.parts || [] }));
+  if (edits.lineItems && edits.lineItems.length !== lines.length) {
+    throw new EstimateInputError(`This estimate has ${lines.length} line item(s) - send one lineItems entry for each`);
+  }
+  if (edits.laborHours !== undefined && lines.length > 1) {
+    throw new EstimateInputError('This estimate has several line items - change their hours through lineItems');
+  }
+
+  // Hours the lines don't account for (an option's extra labor) carry over
+  const lineHours = (list) => list.reduce((s, line) => s + Number(line.laborHours || 0), 0);
+  const unlined = round2(Number(job.estimated_labor_hours || 0) - (lineHours(lines) - Number(job.estimated_labor_discount_hours || 0)));
+
+  (edits.lineItems || []).forEach((edit, i) => {
+    if (edit.description) lines[i].description = edit.description;
+    if (edit.laborHours !== undefined) lines[i].laborHours = edit.laborHours;
+  });
+  if (edits.laborHours !== undefined) lines[0].laborHours = edits.laborHours;
+
+  let parts = job.estimated_parts || [];
+  if (edits.parts) {
+    parts = edits.parts.map(part => manualPart(part, settings.partsMarkupTiers));
+    // The new list belongs to the job as a whole, as on a tiered quote
+    lines.forEach(line => { line.parts = []; });
+  }
+  if (edits.customerSuppliesParts) {
+    parts = parts.map(customerSuppliedPart);
+    lines.forEach(line => { line.parts = line.parts.map(customerSuppliedPart); });
+  }
+
+  const laborRate = edits.laborRate ?? Number(job.estimated_labor_rate || settings.laborRate);
+  const shopSuppliesPercent = edits.shopSuppliesPercent ?? Number(job.estimated_shop_supplies_percent ?? settings.shopSuppliesPercent);
+  const lineItems = lines.map(line => ({
+    ...line,
+    laborCost: round2(line.laborHours * laborRate),
+    partsCost: partsTotals(line.parts).price
+  }));
+  const laborDiscount = calculateLaborOverlap(lineItems, laborRate);
+  const laborHours = round2(lineHours(lineItems) - laborDiscount.hours + (edits.laborHours !== undefined ? 0 : unlined));
+
+  const policy = settingsPolicy(settings);
+  const totals = calculateTotals({ laborHours, laborRate, parts, shopSuppliesPercent, credit: job.diagnostic_credit, travelFee: job.travel_fee }, policy);
+  const taxRate = settings.taxSetAsidePercent;
+
+  return {
+    ...columns,
+    estimated_labor_hours: laborHours,
+    estimated_labor_rate: laborRate,
+    estimated_labor_cost: totals.laborCost,
+    estimated_line_items: lineItems,
+    estimated_labor_discount_hours: laborDiscount.hours,
+    estimated_parts: parts,
+    estimated_parts_cost: totals.partsCost,
+    estimated_parts_our_cost: partsTotals(parts).cost,
+    // The options were priced on the old figures; a hand-edited quote is one price
+    estimate_options: null,
+    selected_option: null,
+    diagnostic_credit: totals.credit,
+    estimated_shop_supplies_percent: shopSuppliesPercent,
+    estimated_shop_supplies_cost: totals.shopSupplies,
+    estimated_subtotal: totals.subtotal,
+    estimated_sales_tax: totals.salesTax,
+    estimated_total: totals.total,
+    shop_supplies_basis: policy.shopSuppliesBasis,
+    shop_supplies_cap: policy.shopSuppliesCap,
+    sales_tax_percent: totals.salesTaxPercent,
+    sales_tax_applies_to: policy.salesTaxAppliesTo,
+    estimated_tax_setaside: round2(totals.subtotal * taxRate / 100),
+    tax_rate: taxRate
+  };
+}
+
+// Only the AI re-quote counts against the monthly estimate limit
+const meterAIEstimates = meterUsage('ai_estimates');
+function meterAIRevisions(req, res, next) {
+  if (req.body && req.body.mode === 'ai') return requireAI(req, res, () => meterAIEstimates(req, res, next));
+  next();
+}
+
+app.post('/api/jobs/:id/revise', requireSession, meterAIRevisions, async (req, res) => {
+  try {
+    const parsed = ReviseEstimateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid revision', details: parsed.error.flatten() });
+    }
+    const edits = parsed.data;
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!REVISABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `Job is "${job.status}" - approved work is changed with a change order` });
+    }
+
+    let revised;
+    let estimate;
+    if (edits.mode === 'manual') {
+      const settings = await shopSettings(req);
+      revised = await saveRevisedEstimate(req, job, manualRevisionColumns(job, edits, settings), { source: 'manual', note: edits.note });
+    } else {
+      const customerRecord = job.customer_id ? await loadCustomer(req, job.customer_id) : null;
+      if (!customerRecord) return res.status(400).json({ ok: false, error: 'This job has no customer on file' });
+
+      const result = await createEstimateJob(req, {
+        vehicleId: job.vehicle_id || undefined,
+        vehicle: job.vehicle || undefined,
+        mileage: job.mileage ?? undefined,
+        dtcs: job.dtc_codes || undefined,
+        serviceLocation: jobServiceLocation(job),
+        description: edits.description || job.raw_description || job.description,
+        tiered: Array.isArray(job.estimate_options) && job.estimate_options.length > 0,
+        laborRate: Number(job.estimated_labor_rate) || undefined
+      }, {
+        customerRecord,
+        // A repair quoted off a diagnosis is still that confirmed repair
+        confirmedDiagnosis: job.parent_job_id
+          ? { cause: job.raw_description || job.description, laborHours: Number(job.estimated_labor_hours || 0), parts: job.estimated_parts || [] }
+          : null,
+        diagnosticCredit: Number(job.diagnostic_credit || 0),
+        revision: { job, instructions: edits.instructions, note: edits.note }
+      });
+      revised = result.savedJob;
+      estimate = result.estimate;
+    }
+
+    const diff = diffSnapshots(estimateSnapshot(job), estimateSnapshot(revised));
+    console.log(`[REVISION] Job ${job.id} v${revised.estimate_version} (${edits.mode}) | ${diff.summary}`);
+    res.json({ ok: true, version: revised.estimate_version, job: revised, diff, ...(estimate ? { estimate } : {}) });
+  } catch (err) {
+    const { status, body } = estimateFailure(err, 'REVISION');
+    res.status(status).json(body);
+  }
+});
+
+app.get('/api/jobs/:id/revisions', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const rows = await repos.revisions.forJob(job);
+    const revisions = rows.map(({ snapshot, ...revision }, i) => ({
+      ...revision,
+      total: Number(snapshot.estimated_total || 0),
+      summary: i ? diffSnapshots(rows[i - 1].snapshot, snapshot).summary : null
+    }));
+    res.json({ ok: true, currentVersion: job.estimate_version || null, revisions });
+  } catch (err) {
+    console.error('[REVISIONS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?from=2&to=4; defaults to the latest version against the one before it
+app.get('/api/jobs/:id/revisions/diff', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const rows = await repos.revisions.forJob(job);
+    if (rows.length < 2) return res.status(400).json({ ok: false, error: 'This estimate has not been revised' });
+
+    const to = req.query.to ? Number(req.query.to) : rows[rows.length - 1].version;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+    const a = rows.find(row => row.version === from);
+    const b = rows.find(row => row.version === to);
+    if (!a || !b) {
+      return res.status(404).json({ ok: false, error: `Versions run from 1 to ${rows[rows.length - 1].version}` });
+    }
+
+    res.json({
+      ok: true,
+      from: { version: a.version, source: a.source, createdAt: a.created_at },
+      to: { version: b.version, source: b.source, note: b.note, changedBy: b.changed_by, createdAt: b.created_at },
+      diff: diffSnapshots(a.snapshot, b.snapshot)
+    });
+  } catch (err) {
+    console.error('[REVISION DIFF ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id/revisions/:version', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const revision = await repos.revisions.get(job, Number(req.params.version));
+    if (!revision) return res.status(404).json({ ok: false, error: 'Revision not found' });
+    res.json({ ok: true, revision });
+  } catch (err) {
+    console.error('[REVISION ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// SCHEDULING & ROUTES
+// Mobile jobs have a service address, an appointment and a trip fee. An
+// appointment lasts as long as the job's labor unless appointment_minutes
+// says otherwise, and the shop's buffer keeps driving time clear between
+// two jobs. Days are the shop's local days (settings.timeZone).
+// ========================================
+const SCHEDULABLE_STATUSES = ['estimate', 'approved', 'in_progress'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CALENDAR_DAYS = 62;
+// Longest appointment ScheduleSchema allows, for finding ones that started earlier
+const LONGEST_APPOINTMENT_MINUTES = 720;
+
+function shopBase(settings) {
+  return { lat: settings.baseLatitude, lng: settings.baseLongitude };
+}
+
+function locationPoint(location) {
+  return { lat: location.latitude, lng: location.longitude };
+}
+
+function jobPoint(job) {
+  return { lat: job.service_latitude, lng: job.service_longitude };
+}
+
+// A saved job's location as a ServiceLocationSchema body, for quoting it again
+function jobServiceLocation(job) {
+  const point = jobPoint(job);
+  if (!job.service_address && !hasCoordinates(point)) return undefined;
+  return {
+    address: job.service_address || undefined,
+    latitude: hasCoordinates(point) ? Number(point.lat) : undefined,
+    longitude: hasCoordinates(point) ? Number(point.lng) : undefined
+  };
+}
+
+function jobAppointment(job) {
+  return {
+    id: job.id,
+    start: new Date(job.scheduled_at),
+    minutes: Number(job.appointment_minutes) || appointmentMinutes(job.estimated_labor_hours)
+  };
+}
+
+function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+}
+
+function scheduledJobs(shopId, from, to) {
+  return repos.jobs.scheduledBetween(shopId, SCHEDULABLE_STATUSES, from, to);
+}
+
+async function customerNames(shopId, jobs) {
+  const ids = [...new Set(jobs.map(job => job.customer_id).filter(Boolean))];
+  const customers = await repos.customers.byIds(shopId, ids, 'id, name, phone');
+  return new Map(customers.map(customer => [String(customer.id), customer]));
+}
+
+function calendarEntry(job, customers, timeZone) {
+  const appointment = jobAppointment(job);
+  const end = appointmentEnd(appointment);
+  const customer = customers.get(String(job.customer_id));
+  return {
+    jobId: job.id,
+    status: job.status,
+    description: job.description,
+    vehicle: job.vehicle,
+    customer: customer ? customer.name : null,
+    phone: customer ? customer.phone : null,
+    start: appointment.start.toISOString(),
+    end: end.toISOString(),
+    day: localDay(appointment.start, timeZone),
+    startTime: localTime(appointment.start, timeZone),
+    endTime: localTime(end, timeZone),
+    minutes: appointment.minutes,
+    address: job.service_address,
+    travelMiles: job.travel_miles === null || job.travel_miles === undefined ? null : Number(job.travel_miles),
+    travelFee: Number(job.travel_fee || 0)
+  };
+}
+
+// The trip fee moved on an open estimate: reprice it, options included
+function travelRepricing(job, trip, settings) {
+  const travelFee = trip ? trip.fee : 0;
+  const policy = jobPolicy(job, settings);
+  const totals = calculateTotals({ ...jobEstimateInputs(job), travelFee }, policy);
+  const options = Array.isArray(job.estimate_options)
+    ? job.estimate_options.map(option => ({
+      ...option,
+      ...calculateTotals({
+        laborHours: option.laborHours,
+        laborRate: Number(job.estimated_labor_rate || 0),
+        parts: option.parts,
+        shopSuppliesPercent: Number(job.estimated_shop_supplies_percent || 0),
+        credit: job.diagnostic_credit,
+        travelFee
+      }, policy)
+    }))
+    : job.estimate_options;
+
+  return {
+    travel_miles: trip ? trip.miles : null,
+    travel_fee: travelFee,
+    travel_zone: trip ? trip.label : null,
+    estimate_options: options,
+    diagnostic_credit: totals.credit,
+    estimated_subtotal: totals.subtotal,
+    estimated_sales_tax: totals.salesTax,
+    estimated_total: totals.total,
+    estimated_tax_setaside: round2(totals.subtotal * Number(job.tax_rate || 0) / 100)
+  };
+}
+
+// What a trip to these coordinates would cost, before there's a job
+app.get('/api/travel-fee', requireSession, async (req, res) => {
+  try {
+    const location = { latitude: Number(req.query.latitude), longitude: Number(req.query.longitude) };
+    if (!hasCoordinates(locationPoint(location)) || req.query.latitude === undefined || req.query.longitude === undefined) {
+      return res.status(400).json({ ok: false, error: 'latitude and longitude are required' });
+    }
+    const settings = await shopSettings(req);
+    const trip = tripFee(shopBase(settings), locationPoint(location), settings.travelZones);
+    if (!trip) return res.status(400).json({ ok: false, error: 'Set the shop base location (baseLatitude / baseLongitude) in settings first' });
+    res.json({ ok: true, ...trip, zones: settings.travelZones });
+  } catch (err) {
+    console.error('[TRAVEL FEE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/jobs/:id/schedule', requireSession, async (req, res) => {
+  try {
+    const parsed = ScheduleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid schedule', details: parsed.error.flatten() });
+    }
+    const { scheduledAt, durationMinutes, serviceLocation, force } = parsed.data;
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!SCHEDULABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `Only open jobs can be scheduled (job is "${job.status}")` });
+    }
+    const settings = await shopSettings(req);
+
+    const update = {};
+    if (scheduledAt !== undefined) update.scheduled_at = scheduledAt ? new Date(scheduledAt).toISOString() : null;
+    if (durationMinutes !== undefined) update.appointment_minutes = durationMinutes;
+
+    // Checked before anything is written, so a clash changes nothing
+    const booked = { ...job, ...update };
+    let conflicts = [];
+    if (Object.keys(update).length && booked.scheduled_at) {
+      const appointment = jobAppointment(booked);
+      const reach = (LONGEST_APPOINTMENT_MINUTES + settings.appointmentBufferMinutes) * 60000;
+      const nearby = await scheduledJobs(req.auth.shopId,
+        new Date(appointment.start.getTime() - reach), new Date(appointmentEnd(appointment).getTime() + reach));
+      const clashing = new Set(findConflicts(appointment, nearby.map(jobAppointment), settings.appointmentBufferMinutes).map(a => String(a.id)));
+      const clashingJobs = nearby.filter(other => clashing.has(String(other.id)));
+      const customers = await customerNames(req.auth.shopId, clashingJobs);
+      conflicts = clashingJobs.map(other => calendarEntry(other, customers, settings.timeZone));
+      if (conflicts.length && !force) {
+        return res.status(409).json({
+          ok: false,
+          error: `Overlaps ${conflicts.length} booked job(s) with the ${settings.appointmentBufferMinutes}-minute travel buffer - pick another time or send force: true`,
+          conflicts
+        });
+      }
+    }
+
+    let current = job;
+    let trip = null;
+    let travelNote = null;
+    if (serviceLocation) {
+      trip = tripFee(shopBase(settings), locationPoint(serviceLocation), settings.travelZones);
+      const travelFee = trip ? trip.fee : 0;
+      const locationColumns = {
+        service_address: serviceLocation.address || null,
+        service_latitude: serviceLocation.latitude ?? null,
+        service_longitude: serviceLocation.longitude ?? null
+      };
+
+      if (job.status === 'estimate' && travelFee !== Number(job.travel_fee || 0)) {
+        current = await saveRevisedEstimate(req, job, { ...locationColumns, ...travelRepricing(job, trip, settings) }, {
+          source: 'travel',
+          note: trip ? `Trip fee $${travelFee.toFixed(2)} (${trip.label})` : 'No trip fee'
+        });
+      } else {
+        // Once approved, the price the customer signed for stands
+        if (travelFee !== Number(job.travel_fee || 0)) {
+          travelNote = `Trip fee stays at $${Number(job.travel_fee || 0).toFixed(2)} as approved (the new address would be $${travelFee.toFixed(2)}) - use a change order to adjust it`;
+        } else if (trip) {
+          Object.assign(locationColumns, { travel_miles: trip.miles, travel_zone: trip.label });
+        }
+        current = await repos.jobs.update(job, locationColumns);
+      }
+    }
+
+    if (Object.keys(update).length) {
+      current = await repos.jobs.update(job, update);
+    }
+
+    const customers = await customerNames(req.auth.shopId, [current]);
+    const appointment = current.scheduled_at ? calendarEntry(current, customers, settings.timeZone) : null;
+    console.log(`[SCHEDULE] Job ${job.id} | ${appointment ? `${appointment.day} ${appointment.startTime} (${appointment.minutes} min)` : 'unscheduled'}${trip ? ` | trip ${trip.miles} mi` : ''}${conflicts.length ? ` | ${conflicts.length} conflict(s) forced` : ''}`);
+    res.json({ ok: true, job: current, appointment, conflicts, trip, travelNote });
+  } catch (err) {
+    if (err instanceof EstimateInputError) {
+      return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    console.error('[SCHEDULE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive), a week from today by default
+app.get('/api/schedule', requireSession, async (req, res) => {
+  try {
+    const settings = await shopSettings(req);
+    const timeZone = settings.timeZone;
+    const from = req.query.from || localDay(new Date(), timeZone);
+    const to = req.query.to || addDays(from, 6);
+    if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || to < from) {
+      return res.status(400).json({ ok: false, error: 'from and to must be YYYY-MM-DD, from first' });
+    }
+    if (addDays(from, MAX_CALENDAR_DAYS) <= to) {
+      return res.status(400).json({ ok: false, error: `At most ${MAX_CALENDAR_DAYS} days at a time` });
+    }
+
+    const jobs = await scheduledJobs(req.auth.shopId, dayBounds(from, timeZone).start, dayBounds(to, timeZone).end);
+    const unscheduled = await repos.jobs.unscheduledApproved(req.auth.shopId, 'id, description, vehicle, customer_id, estimated_labor_hours');
+    const customers = await customerNames(req.auth.shopId, [...jobs, ...unscheduled]);
+
+    const appointments = jobs.map(jobAppointment);
+    const days = new Map();
+    for (let day = from; day <= to; day = addDays(day, 1)) days.set(day, { day, bookedMinutes: 0, appointments: [] });
+    for (const [i, job] of jobs.entries()) {
+      const entry = calendarEntry(job, customers, timeZone);
+      entry.conflictsWith = findConflicts(appointments[i], appointments, settings.appointmentBufferMinutes).map(a => a.id);
+      const day = days.get(entry.day);
+      if (!day) continue;
+      day.appointments.push(entry);
+      day.bookedMinutes += entry.minutes;
+    }
+
+    res.json({
+      ok: true,
+      timeZone,
+      from,
+      to,
+      bufferMinutes: settings.appointmentBufferMinutes,
+      days: [...days.values()],
+      // Approved work still waiting for a time
+      unscheduled: unscheduled.map(job => ({
+        jobId: job.id,
+        description: job.description,
+        vehicle: job.vehicle,
+        customer: customers.get(String(job.customer_id))?.name || null,
+        minutes: appointmentMinutes(job.estimated_labor_hours)
+      }))
+    });
+  } catch (err) {
+    console.error('[SCHEDULE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The day's jobs in driving order, nearest first from the shop's base
+app.get('/api/schedule/route', requireSession, async (req, res) => {
+  try {
+    const settings = await shopSettings(req);
+    const base = shopBase(settings);
+    if (!hasCoordinates(base)) {
+      return res.status(400).json({ ok: false, error: 'Set the shop base location (baseLatitude / baseLongitude) in settings first' });
+    }
+    const date = req.query.date || localDay(new Date(), settings.timeZone);
+    if (!DAY_PATTERN.test(date)) return res.status(400).json({ ok: false, error: 'date must be YYYY-MM-DD' });
+
+    const { start, end } = dayBounds(date, settings.timeZone);
+    const jobs = await scheduledJobs(req.auth.shopId, start, end);
+    const customers = await customerNames(req.auth.shopId, jobs);
+    const stops = jobs.map(job => ({
+      ...calendarEntry(job, customers, settings.timeZone),
+      location: hasCoordinates(jobPoint(job)) ? { lat: Number(job.service_latitude), lng: Number(job.service_longitude) } : null
+    }));
+
+    const plan = planRoute({ lat: Number(base.lat), lng: Number(base.lng) }, stops);
+    // Booked order for comparison; negative savings mean the booked order is already shorter
+    const bookedMiles = routeMiles({ lat: Number(base.lat), lng: Number(base.lng) }, stops.filter(stop => stop.location));
+    res.json({
+      ok: true,
+      date,
+      base,
+      stops: plan.route.map((stop, i) => ({ order: i + 1, ...stop })),
+      unrouted: plan.unrouted,
+      returnMiles: plan.returnMiles,
+      totalMiles: plan.totalMiles,
+      bookedOrderMiles: bookedMiles,
+      milesSaved: round2(bookedMiles - plan.totalMiles)
+    });
+  } catch (err) {
+    console.error('[ROUTE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// ACCESS CODE VALIDATION
+// Each IP gets VALIDATE_MAX_FAILURES wrong codes per VALIDATE_WINDOW_MS
+// ========================================
+const VALIDATE_WINDOW_MS = 15 * 60 * 1000;
+const VALIDATE_MAX_FAILURES = 10;
+const validateFailures = new Map();
+
+function validateAttemptsLeft(ip, now) {
+  const entry = validateFailures.get(ip);
+  if (!entry || now - entry.since >= VALIDATE_WINDOW_MS) return VALIDATE_MAX_FAILURES;
+  return VALIDATE_MAX_FAILURES - entry.count;
+}
+
+function recordValidateFailure(ip, now) {
+  const entry = validateFailures.get(ip);
+  if (entry && now - entry.since < VALIDATE_WINDOW_MS) {
+    entry.count++;
+    return;
+  }
+  if (validateFailures.size > 1000) {
+    for (const [key, old] of validateFailures) if (now - old.since >= VALIDATE_WINDOW_MS) validateFailures.delete(key);
+  }
+  validateFailures.set(ip, { count: 1, since: now });
+}
+
+app.post('/api/validate-access', async (req, res) => {
+  const now = Date.now();
+  if (validateAttemptsLeft(req.ip, now) <= 0) {
+    return res.status(429).json({ valid: false, error: 'Too many attempts - try again in a few minutes' });
+  }
+
+  try {
+    const { accessCode } = req.body;
+    if (!accessCode || accessCode.trim().length === 0) {
+      return res.json({ valid: false, error: 'Access code required' });
+    }
+    
+    const code = accessCode.trim().toUpperCase();
+    
+    const data = await repos.accessCodes.findActive(code);
+    
+    if (!data) {
+      recordValidateFailure(req.ip, now);
+      return res.json({ valid: false, error: 'Invalid or expired code' });
+    }
+    
+    if (data.expires_at && new Date(data.expires_at) < new Date()) {
+      return res.json({ valid: false, error: 'Code expired' });
+    }
+    
+    // Subscriptions are metered per estimate, so signing in never uses them up;
+    // max_uses only caps hand-issued codes
+    if (data.max_uses && !data.stripe_subscription_id && data.current_uses >= data.max_uses) {
+      return res.json({ valid: false, error: 'Code max uses reached' });
+    }
+    
+    await repos.accessCodes.recordUse(data);
+
+    const tier = normalizeTier(data.tier);
+    const { token, expiresAt } = signToken(
+      { sub: data.id, shop: shopIdForCode(data), tier },
+      SESSION_SECRET,
+      SESSION_TTL_SECONDS
+    );
+    
+    res.json({
+      valid: true,
+      tier,
+      customer: data.customer_name || 'Pro User',
+      expires: data.expires_at,
+      token,
+      tokenExpiresAt: expiresAt,
+      message: `Welcome to SKSK ProTech ${TIER_LABELS[tier]}!`
+    });
+  } catch (err) {
+    console.error('[VALIDATE ACCESS ERROR]', err);
+    res.status(500).json({ valid: false, error: 'Server error' });
+  }
+});
+
+// "Forgot my code": emails every active code on the address. The answer is
+// the same whether or not we know the email, and each address can only ask
+// once every RECOVERY_INTERVAL_MS.
+const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+const recoveryRequests = new Map();
+const RecoverySchema = z.object({ email: z.string().email() });
+
+app.post('/api/access-code/recover', async (req, res) => {
+  const parsed = RecoverySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ ok: false, error: 'Enter a valid email address' });
+  }
+
+  const email = parsed.data.email.trim().toLowerCase();
+  const response = { ok: true, message: 'If that email has an active subscription, its access code is on the way.' };
+
+  const now = Date.now();
+  const last = recoveryRequests.get(email);
+  if (last && now - last < RECOVERY_INTERVAL_MS) return res.json(response);
+  if (recoveryRequests.size > 1000) {
+    for (const [key, at] of recoveryRequests) if (now - at >= RECOVERY_INTERVAL_MS) recoveryRequests.delete(key);
+  }
+  recoveryRequests.set(email, now);
+
+  try {
+    const active = await repos.accessCodes.activeForEmail(email);
+    const codes = active.filter(c => !(c.expires_at && new Date(c.expires_at) < new Date()));
+    if (codes.length) {
+      await mailer.send({ to: email, ...recoveryEmail({ codes, appUrl: FRONTEND_URL }) });
+      console.log(`[ACCESS CODE RECOVERY] ${codes.length} code(s) sent to ${email}`);
+    } else {
+      console.log(`[ACCESS CODE RECOVERY] No active codes for ${email}`);
+    }
+    res.json(response);
+  } catch (err) {
+    console.error('[ACCESS CODE RECOVERY ERROR]', err);
+    recoveryRequests.delete(email);
+    res.status(500).json({ ok: false, error: 'Could not send the email, try again later' });
+  }
+});
+
+// Lets the frontend check a stored token before showing the app
+app.get('/api/session', requireSession, (req, res) => {
+  res.json({ ok: true, tier: req.auth.tier, shopId: req.auth.shopId });
+});
+
+// ========================================
+// USAGE SUMMARY
+// ========================================
+app.get('/api/usage', requireSession, async (req, res) => {
+  try {
+    const { codeId, tier } = req.auth;
+    const entitlements = ENTITLEMENTS[tier];
+    const counts = await usageMeter.summary(codeId);
+
+    const usage = {};
+    for (const [metric, limit] of Object.entries(entitlements.limits)) {
+      const used = counts[metric] || 0;
+      usage[metric] = {
+        label: METRIC_LABELS[metric],
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used, 0)
+      };
+    }
+
+    const features = {};
+    for (const feature of Object.keys(FEATURE_LABELS)) {
+      features[feature] = {
+        label: FEATURE_LABELS[feature],
+        enabled: entitlements.features.includes(feature),
+        requiredTier: requiredTier(ENTITLEMENTS, feature)
+      };
+    }
+
+    res.json({
+      ok: true,
+      tier,
+      tierLabel: TIER_LABELS[tier],
+      period: usagePeriod(),
+      resetsAt: periodResetsAt(),
+      usage,
+      features
+    });
+  } catch (err) {
+    console.error('[USAGE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// VIN LOOKUP
+// ========================================
+app.get('/api/vin-lookup/:vin', requireSession, requireFeature('vin_lookup'), async (req, res) => {
+  try {
+    const check = validateVin(req.params.vin);
+    if (!check.valid) {
+      return res.status(400).json({ ok: false, error: check.errors[0], errors: check.errors });
+    }
+
+    const decoded = await vinDecoder.decode(check.vin);
+    if (!decoded) {
+      return res.json({ ok: false, error: 'VIN not found' });
+    }
+    res.json({ ok: true, ...decoded });
+  } catch (err) {
+    console.error('[VIN LOOKUP ERROR]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ========================================
+// JOBS
+// ========================================
+app.get('/api/jobs', requireSession, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await repos.jobs.recent(req.auth.shopId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// JOB LIFECYCLE
+// estimate → approved → in_progress → completed → invoiced → paid
+// A declined estimate can be reopened and re-quoted.
+// ========================================
+const JOB_TRANSITIONS = {
+  estimate: ['approved', 'declined'],
+  declined: ['estimate'],
+  approved: ['in_progress'],
+  in_progress: ['completed'],
+  completed: ['invoiced'],
+  invoiced: ['paid'],
+  paid: []
+};
+
+// Timestamp column stamped when a job enters each status
+const STATUS_TIMESTAMPS = {
+  approved: 'approved_at',
+  declined: 'declined_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  invoiced: 'invoiced_at',
+  paid: 'paid_at'
+};
+
+// Actuals can only be recorded once work is approved and before it is billed
+const ACTUALS_STATUSES = ['approved', 'in_progress', 'completed'];
+
+function canTransition(from, to) {
+  return (JOB_TRANSITIONS[from] || []).includes(to);
+}
+
+function loadJob(req, id) {
+  return repos.jobs.get(req.auth.shopId, id);
+}
+
+async function updateJobStatus(job, status, extra = {}) {
+  const update = { status, ...extra };
+  const stampColumn = STATUS_TIMESTAMPS[status];
+  if (stampColumn) update[stampColumn] = new Date().toISOString();
+
+  // Match on the current status too so two concurrent transitions can't both win
+  return repos.jobs.updateIfStatus(job, update);
+}
+
+// Next sequential invoice number for the shop and year: INV-2024-0001, INV-2024-0002, ...
+async function nextInvoiceNumber(shopId) {
+  const year = new Date().getFullYear();
+  const prefix = `INV-${year}-`;
+  // Compared as numbers: "INV-2026-10000" comes after "INV-2026-9999"
+  const highestIssued = async () => {
+    const numbers = (await repos.jobs.invoiceNumbers(shopId, prefix)).map(number => parseInt(number.slice(prefix.length), 10));
+    return Math.max(0, ...numbers.filter(Number.isFinite));
+  };
+  const number = await repos.invoiceNumbers.next(shopId, year, highestIssued);
+  return `${prefix}${String(number).padStart(4, '0')}`;
+}
+
+// Actual minus estimated, so positive numbers mean we under-quoted
+function jobVariance(job) {
+  if (job.actual_labor_hours == null) return null;
+  const diff = (actual, estimated) => Number((Number(actual || 0) - Number(estimated || 0)).toFixed(2));
+  return {
+    laborHours: diff(job.actual_labor_hours, job.estimated_labor_hours),
+    laborCost: diff(job.actual_labor_cost, job.estimated_labor_cost),
+    partsCost: diff(job.actual_parts_cost, job.estimated_parts_cost),
+    shopSupplies: diff(job.actual_shop_supplies_cost, job.estimated_shop_supplies_cost),
+    subtotal: diff(job.actual_subtotal, job.estimated_subtotal),
+    total: diff(job.actual_total ?? job.actual_subtotal, job.estimated_total ?? job.estimated_subtotal)
+  };
+}
+
+function transitionError(job, to) {
+  const allowed = JOB_TRANSITIONS[job.status] || [];
+  return `Cannot move job from "${job.status}" to "${to}"` +
+    (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '');
+}
+
+app.get('/api/jobs/:id', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    res.json({ ok: true, job, variance: jobVariance(job) });
+  } catch (err) {
+    console.error('[JOB ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/approve', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!canTransition(job.status, 'approved')) {
+      return res.status(409).json({ ok: false, error: transitionError(job, 'approved') });
+    }
+
+    const updated = await updateJobStatus(job, 'approved');
+    if (!updated) return res.status(409).json({ ok: false, error: 'Job was modified, try again' });
+
+    console.log(`[APPROVED] Job ${job.id}`);
+    res.json({ ok: true, job: updated });
+  } catch (err) {
+    console.error('[JOB APPROVE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/status', requireSession, async (req, res) => {
+  try {
+    const parsed = JobStatusSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid status', details: parsed.error.flatten() });
+    }
+    const { status } = parsed.data;
+
+    // Invoicing assigns a number and locks totals, so it has its own endpoint
+    if (status === 'invoiced') {
+      return res.status(400).json({ ok: false, error: 'Use POST /api/jobs/:id/invoice to invoice a job' });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!canTransition(job.status, status)) {
+      return res.status(409).json({ ok: false, error: transitionError(job, status) });
+    }
+
+    const updated = await updateJobStatus(job, status);
+    if (!updated) return res.status(409).json({ ok: false, error: 'Job was modified, try again' });
+
+    console.log(`[STATUS] Job ${job.id} | ${job.status} -> ${status}`);
+    res.json({ ok: true, job: updated });
+  } catch (err) {
+    console.error('[JOB STATUS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/jobs/:id/actuals', requireSession, async (req, res) => {
+  try {
+    const parsed = ActualsSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid actuals', details: parsed.error.flatten() });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!ACTUALS_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        ok: false,
+        error: `Actuals can only be recorded while a job is ${ACTUALS_STATUSES.join(', ')} (job is "${job.status}")`
+      });
+    }
+
+    const actuals = parsed.data;
+    const settings = await shopSettings(req);
+    const laborRate = actuals.laborRate || Number(job.estimated_labor_rate) || settings.laborRate;
+    const shopSuppliesPercent = actuals.shopSuppliesPercent ?? Number(job.estimated_shop_supplies_percent ?? settings.shopSuppliesPercent);
+    const totals = calculateTotals(
+      { laborHours: actuals.laborHours, laborRate, parts: actuals.parts, shopSuppliesPercent, credit: job.diagnostic_credit, travelFee: job.travel_fee },
+      jobPolicy(job, settings)
+    );
+
+    const update = {
+      actual_labor_hours: actuals.laborHours,
+      actual_labor_rate: laborRate,
+      actual_labor_cost: totals.laborCost,
+      actual_parts: actuals.parts,
+      actual_parts_cost: totals.partsCost,
+      actual_shop_supplies_cost: totals.shopSupplies,
+      actual_subtotal: totals.subtotal,
+      actual_sales_tax: totals.salesTax,
+      actual_total: totals.total
+    };
+    if (actuals.notes !== undefined) update.actual_notes = actuals.notes;
+
+    const updated = await repos.jobs.update(job, update);
+
+    console.log(`[ACTUALS] Job ${job.id} | ${actuals.laborHours}hrs | $${totals.subtotal}`);
+    res.json({ ok: true, job: updated, variance: jobVariance(updated) });
+  } catch (err) {
+    console.error('[JOB ACTUALS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/invoice', requireSession, requireFeature('invoices'), async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!canTransition(job.status, 'invoiced')) {
+      return res.status(409).json({ ok: false, error: transitionError(job, 'invoiced') });
+    }
+
+    // Bill what was actually done; fall back to the quote if actuals were never entered
+    const invoiceTotal = job.actual_total ?? job.actual_subtotal ?? job.estimated_total ?? job.estimated_subtotal;
+    const invoiceSalesTax = job.actual_subtotal != null ? (job.actual_sales_tax ?? 0) : (job.estimated_sales_tax ?? 0);
+    const invoiced = await updateJobStatus(job, 'invoiced', {
+      invoice_total: invoiceTotal,
+      invoice_sales_tax: invoiceSalesTax
+    });
+    if (!invoiced) return res.status(409).json({ ok: false, error: 'Job was modified, try again' });
+
+    // Numbered only once the job is ours to invoice, so a lost race leaves no
+    // gap in the sequence
+    let invoiceNumber;
+    let updated;
+    try {
+      invoiceNumber = await nextInvoiceNumber(req.auth.shopId);
+      updated = await repos.jobs.update(invoiced, { invoice_number: invoiceNumber });
+    } catch (err) {
+      await repos.jobs.updateIfStatus(invoiced, {
+        status: job.status,
+        invoiced_at: job.invoiced_at ?? null,
+        invoice_total: job.invoice_total ?? null,
+        invoice_sales_tax: job.invoice_sales_tax ?? null
+      });
+      throw err;
+    }
+
+    console.log(`[INVOICED] Job ${job.id} | ${invoiceNumber} | $${invoiceTotal}`);
+    // Deposits taken earlier may already cover the whole invoice
+    const settled = Number(updated.amount_paid || 0) > 0 ? await settleJobPayments(updated) : updated;
+    res.json({ ok: true, job: settled, invoiceNumber, balance: jobBalance(settled), variance: jobVariance(settled) });
+  } catch (err) {
+    console.error('[JOB INVOICE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// CUSTOMER DOCUMENTS
+// GET /api/jobs/:id/pdf?type=estimate|invoice → printable PDF for the customer.
+// type defaults to invoice once the job has been invoiced.
+// ========================================
+const INVOICE_STATUSES = ['invoiced', 'paid'];
+
+// Headers go out only once the layout has rendered, so a layout error still
+// reaches the route's catch as JSON. A stream error after that can only cut
+// the download short.
+function sendPdf(res, doc, tag) {
+  const pdf = renderDocumentPdf(doc);
+  pdf.on('error', err => {
+    console.error(`[${tag}]`, err);
+    if (!res.headersSent) return res.status(500).json({ error: err.message });
+    res.destroy();
+  });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${doc.number}.pdf"`);
+  pdf.pipe(res);
+}
+
+function documentType(req, res, next) {
+  const type = req.query.type;
+  if (type && !['estimate', 'invoice'].includes(type)) {
+    return res.status(400).json({ ok: false, error: 'type must be "estimate" or "invoice"' });
+  }
+  req.documentType = type;
+  if (type === 'invoice') return requireFeature('invoices')(req, res, next);
+  next();
+}
+
+app.get('/api/jobs/:id/pdf', requireSession, documentType, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const invoiced = INVOICE_STATUSES.includes(job.status) && !!job.invoice_number;
+    const type = req.documentType || (invoiced ? 'invoice' : 'estimate');
+    if (type === 'invoice' && !invoiced) {
+      return res.status(409).json({ ok: false, error: `Job has not been invoiced yet (status "${job.status}")` });
+    }
+
+    const [settings, customer] = await Promise.all([
+      shopSettings(req),
+      repos.customers.get(req.auth.shopId, job.customer_id, 'name, phone, email')
+    ]);
+
+    const doc = customerDocument({ job, customer, settings, type });
+    sendPdf(res, doc, 'JOB PDF ERROR');
+
+    console.log(`[PDF] Job ${job.id} | ${type} ${doc.number}`);
+  } catch (err) {
+    console.error('[JOB PDF ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// CUSTOMER APPROVALS
+// A saved estimate, or a change order for work found mid-job, gets a
+// public link (FRONTEND_URL?approve=<token>) where the customer approves
+// or declines with a typed-name signature. approval_requests keeps the
+// signature, IP, user agent and the figures the customer was shown, so the
+// record stands on its own if the job changes later. A new link for the
+// same estimate or change order supersedes the pending one.
+// ========================================
+const APPROVAL_LINK_DAYS = Number(process.env.APPROVAL_LINK_DAYS || 14);
+const APPROVAL_TOKEN = /^[A-Za-z0-9_-]{32}$/;
+
+// Extra work is only added to a job the customer has already agreed to
+const CHANGE_ORDER_STATUSES = ['approved', 'in_progress'];
+
+function approvalUrl(token) {
+  return `${FRONTEND_URL}?approve=${token}`;
+}
+
+// What the customer is agreeing to. A tiered estimate is agreed to by
+// picking one of its options, so those are what has to stay the same.
+function estimateShown(job) {
+  const options = Array.isArray(job.estimate_options) && job.estimate_options.length
+    ? job.estimate_options.map(o => ({ tier: o.tier, label: o.label, total: o.total }))
+    : null;
+  return { description: job.description, total: Number(job.estimated_total ?? job.estimated_subtotal ?? 0), options };
+}
+
+function estimateChanged(shown, job) {
+  const current = estimateShown(job);
+  if (shown.options) return JSON.stringify(shown.options) !== JSON.stringify(current.options);
+  return round2(shown.total) !== round2(current.total);
+}
+
+// Without a change order, the estimate's own links
+async function createApprovalRequest(job, { changeOrder = null, shown }) {
+  await repos.approvals.supersedePending(job, changeOrder);
+
+  return repos.approvals.create({
+    shop_id: job.shop_id,
+    job_id: job.id,
+    change_order_id: changeOrder ? changeOrder.id : null,
+    kind: changeOrder ? 'change_order' : 'estimate',
+    token: crypto.randomBytes(24).toString('base64url'),
+    status: 'pending',
+    shown,
+    expires_at: new Date(Date.now() + APPROVAL_LINK_DAYS * 24 * 3600 * 1000).toISOString()
+  });
+}
+
+// The link is still good if the email doesn't go out; the shop can text it instead
+async function sendApprovalEmail(approval, { job, to, settings }) {
+  if (!to) return { sent: false, error: 'No email address for this customer' };
+  try {
+    await mailer.send({
+      to,
+      ...approvalRequestEmail({
+        shopName: settings.shopName,
+        kind: approval.kind,
+        reference: `EST-${job.id}`,
+        total: approval.shown.total,
+        url: approvalUrl(approval.token),
+        expiresAt: approval.expires_at
+      })
+    });
+    return { sent: true, to };
+  } catch (err) {
+    console.error('[APPROVAL EMAIL ERROR]', err);
+    return { sent: false, error: err.message };
+  }
+}
+
+async function loadApproval(token) {
+  if (!APPROVAL_TOKEN.test(token)) return null;
+  return repos.approvals.findByToken(token);
+}
+
+function approvalExpired(approval) {
+  return approval.status === 'pending' && new Date(approval.expires_at) < new Date();
+}
+
+// ========================================
+// CHANGE ORDERS
+// Priced as the difference between the job with and without the extra
+// work, so shop-supply caps and sales tax come out the same as if it had
+// been on the estimate. Approval folds it into the estimated figures as
+// its own line item.
+// ========================================
+function jobEstimateInputs(job) {
+  return {
+    laborHours: Number(job.estimated_labor_hours || 0),
+    laborRate: Number(job.estimated_labor_rate || 0),
+    parts: job.estimated_parts || [],
+    shopSuppliesPercent: Number(job.estimated_shop_supplies_percent || 0),
+    credit: job.diagnostic_credit,
+    travelFee: job.travel_fee
+  };
+}
+
+function changeOrderFigures(job, change, policy) {
+  const inputs = jobEstimateInputs(job);
+  const before = calculateTotals(inputs, policy);
+  const after = calculateTotals({
+    ...inputs,
+    laborHours: inputs.laborHours + change.laborHours,
+    parts: [...inputs.parts, ...change.parts]
+  }, policy);
+  const delta = (key) => round2(after[key] - before[key]);
+  return {
+    laborCost: delta('laborCost'),
+    partsCost: delta('partsCost'),
+    shopSupplies: delta('shopSupplies'),
+    subtotal: delta('subtotal'),
+    salesTax: delta('salesTax'),
+    total: delta('total'),
+    jobTotalBefore: before.total,
+    jobTotalAfter: after.total,
+    after
+  };
+}
+
+// The job's estimated figures with an approved change order added
+function changeOrderColumns(job, changeOrder, settings) {
+  const laborHours = Number(changeOrder.labor_hours);
+  const { after } = changeOrderFigures(job, { laborHours, parts: changeOrder.parts }, jobPolicy(job, settings));
+  const parts = [...(job.estimated_parts || []), ...changeOrder.parts];
+
+  return {
+    estimated_line_items: [...jobLines(job), {
+      description: `Change order #${changeOrder.number}: ${changeOrder.description}`,
+      laborHours,
+      parts: changeOrder.parts,
+      laborCost: Number(changeOrder.labor_cost),
+      partsCost: partsTotals(changeOrder.parts).price,
+      changeOrderId: changeOrder.id
+    }],
+    estimated_parts: parts,
+    estimated_labor_hours: Number((Number(job.estimated_labor_hours || 0) + laborHours).toFixed(2)),
+    estimated_labor_cost: after.laborCost,
+    estimated_parts_cost: after.partsCost,
+    estimated_parts_our_cost: partsTotals(parts).cost,
+    estimated_shop_supplies_cost: after.shopSupplies,
+    estimated_subtotal: after.subtotal,
+    estimated_sales_tax: after.salesTax,
+    estimated_total: after.total,
+    estimated_tax_setaside: round2(after.subtotal * Number(job.tax_rate || 0) / 100)
+  };
+}
+
+// Recomputed from a fresh read whenever the job changed underneath, so two
+// change orders approved at once both land. null if the job has moved past
+// taking extra work (completed, invoiced) by then.
+const CHANGE_ORDER_APPLY_ATTEMPTS = 5;
+
+async function addChangeOrderToJob(job, changeOrder, settings, changedBy) {
+  let current = job;
+  for (let attempt = 0; attempt < CHANGE_ORDER_APPLY_ATTEMPTS; attempt++) {
+    const updated = await reviseEstimate(current, changeOrderColumns(current, changeOrder, settings), {
+      source: 'change_order', note: `Change order #${changeOrder.number} approved`, changedBy
+    });
+    if (updated) return updated;
+    current = await repos.jobs.get(job.shop_id, job.id);
+    if (!current) throw new Error(`Job ${job.id} disappeared while change order #${changeOrder.number} was being applied`);
+    if (!CHANGE_ORDER_STATUSES.includes(current.status)) return null;
+  }
+  throw new Error(`Job ${job.id} kept changing - change order #${changeOrder.number} was not applied`);
+}
+
+// What the customer sees of a change order: prices, never our cost
+function customerChangeOrder(changeOrder, shown) {
+  return {
+    number: changeOrder.number,
+    description: changeOrder.description,
+    reason: changeOrder.reason,
+    laborHours: Number(changeOrder.labor_hours),
+    laborCost: Number(changeOrder.labor_cost),
+    parts: (changeOrder.parts || []).map(p => ({ name: p.name, amount: partPrice(p) })),
+    shopSupplies: Number(changeOrder.shop_supplies),
+    salesTax: Number(changeOrder.sales_tax),
+    total: Number(changeOrder.total),
+    jobTotalBefore: shown.jobTotalBefore,
+    jobTotalAfter: shown.jobTotalAfter
+  };
+}
+
+app.post('/api/jobs/:id/approval-link', requireSession, async (req, res) => {
+  try {
+    const parsed = ApprovalLinkSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid approval link request', details: parsed.error.flatten() });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (job.status !== 'estimate') {
+      return res.status(409).json({ ok: false, error: `Job is "${job.status}" - only an estimate can be sent for approval` });
+    }
+
+    const approval = await createApprovalRequest(job, { shown: estimateShown(job) });
+    let email = null;
+    if (parsed.data.send) {
+      const [settings, customer] = await Promise.all([
+        shopSettings(req),
+        job.customer_id ? loadCustomer(req, job.customer_id) : null
+      ]);
+      email = await sendApprovalEmail(approval, { job, to: parsed.data.email || customer?.email, settings });
+    }
+
+    console.log(`[APPROVAL LINK] Job ${job.id} | estimate $${approval.shown.total}${email && email.sent ? ` | emailed ${email.to}` : ''}`);
+    res.json({ ok: true, url: approvalUrl(approval.token), expiresAt: approval.expires_at, email });
+  } catch (err) {
+    console.error('[APPROVAL LINK ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every link sent for the job and what became of it - the signature record
+app.get('/api/jobs/:id/approvals', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const approvals = (await repos.approvals.forJob(job)).map(({ token, ...approval }) => ({
+      ...approval,
+      status: approvalExpired(approval) ? 'expired' : approval.status,
+      url: approval.status === 'pending' && !approvalExpired(approval) ? approvalUrl(token) : null
+    }));
+    res.json({ ok: true, approvals });
+  } catch (err) {
+    console.error('[APPROVALS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id/change-orders', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    const changeOrders = await repos.changeOrders.forJob(job);
+
+    // The estimate's "if X is found, may need Y" warnings are the usual starting point
+    const suggestions = (job.warnings || []).map((text, index) => ({ index, text }));
+    res.json({ ok: true, changeOrders, suggestions });
+  } catch (err) {
+    console.error('[CHANGE ORDERS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:id/change-orders', requireSession, async (req, res) => {
+  try {
+    const parsed = ChangeOrderSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid change order', details: parsed.error.flatten() });
+    }
+    const { warningIndex, reason, send } = parsed.data;
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!CHANGE_ORDER_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `Change orders are for approved or in-progress jobs (this one is "${job.status}")` });
+    }
+
+    const warning = warningIndex !== undefined ? (job.warnings || [])[warningIndex] : null;
+    if (warningIndex !== undefined && !warning) {
+      return res.status(400).json({ ok: false, error: `Job has no warning #${warningIndex}` });
+    }
+    const description = parsed.data.description || warning;
+
+    let laborHours = parsed.data.laborHours;
+    let laborSource = 'entered';
+    if (laborHours === undefined) {
+      const flatRate = getFlatRate(description, resolveVehicle(job.vehicle || undefined));
+      if (!flatRate) {
+        return res.status(400).json({ ok: false, error: 'No flat rate for this work - enter laborHours' });
+      }
+      laborHours = typeof flatRate.hours === 'number' ? flatRate.hours : flatRate.hours.min;
+      laborSource = 'flat_rate';
+    }
+
+    const settings = await shopSettings(req);
+    // Typed in by the shop: a part with no catalog match is theirs, not the AI's
+    const parts = await catalogPricedParts(req.auth.shopId, parsed.data.parts, settings.partsMarkupTiers, 'manual');
+    const figures = changeOrderFigures(job, { laborHours, parts }, jobPolicy(job, settings));
+
+    const changeOrder = await repos.changeOrders.create(job, {
+      status: 'pending',
+      description,
+      reason: reason || (parsed.data.description && warning) || null,
+      labor_hours: laborHours,
+      labor_rate: Number(job.estimated_labor_rate || 0),
+      labor_source: laborSource,
+      labor_cost: figures.laborCost,
+      parts,
+      parts_cost: figures.partsCost,
+      shop_supplies: figures.shopSupplies,
+      subtotal: figures.subtotal,
+      sales_tax: figures.salesTax,
+      total: figures.total
+    });
+
+    const approval = await createApprovalRequest(job, {
+      changeOrder,
+      shown: {
+        description,
+        number: changeOrder.number,
+        total: figures.total,
+        jobTotalBefore: figures.jobTotalBefore,
+        jobTotalAfter: figures.jobTotalAfter
+      }
+    });
+    let email = null;
+    if (send) {
+      const customer = job.customer_id ? await loadCustomer(req, job.customer_id) : null;
+      email = await sendApprovalEmail(approval, { job, to: customer?.email, settings });
+    }
+
+    console.log(`[CHANGE ORDER] Job ${job.id} #${changeOrder.number} | ${description} | +$${figures.total}`);
+    res.json({ ok: true, changeOrder, url: approvalUrl(approval.token), expiresAt: approval.expires_at, email });
+  } catch (err) {
+    console.error('[CHANGE ORDER ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// PUBLIC APPROVAL PAGE
+// No session: the token is the credential. Only customer-facing figures
+// go out, the same ones as on the PDF.
+// ========================================
+async function approvalContext(approval) {
+  const [job, settings] = await Promise.all([
+    repos.jobs.get(approval.shop_id, approval.job_id),
+    settingsStore.get(approval.shop_id)
+  ]);
+  if (!job) throw new Error(`Job ${approval.job_id} for approval ${approval.id} not found`);
+
+  const customer = await repos.customers.get(approval.shop_id, job.customer_id, 'name, phone, email');
+
+  let changeOrder = null;
+  if (approval.change_order_id) {
+    changeOrder = await repos.changeOrders.get(approval.shop_id, approval.change_order_id);
+    if (!changeOrder) throw new Error(`Change order ${approval.change_order_id} for approval ${approval.id} not found`);
+  }
+  return { job, settings, customer, changeOrder };
+}
+
+const SUPERSEDED_MESSAGE = 'This link was replaced by a newer one - check your latest message from the shop';
+
+app.get('/api/approvals/:token', async (req, res) => {
+  try {
+    const approval = await loadApproval(req.params.token);
+    if (!approval) return res.status(404).json({ ok: false, error: 'This approval link is not valid' });
+    if (approval.status === 'superseded') return res.status(410).json({ ok: false, error: SUPERSEDED_MESSAGE });
+
+    const { job, settings, customer, changeOrder } = await approvalContext(approval);
+    const document = customerDocument({ job, customer, settings, type: 'estimate' });
+    res.json({
+      ok: true,
+      kind: approval.kind,
+      status: approvalExpired(approval) ? 'expired' : approval.status,
+      expiresAt: approval.expires_at,
+      decidedAt: approval.decided_at,
+      signatureName: approval.signature_name,
+      selectedTier: approval.selected_tier,
+      estimate: document,
+      changeOrder: changeOrder ? customerChangeOrder(changeOrder, approval.shown) : null
+    });
+  } catch (err) {
+    console.error('[APPROVAL VIEW ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/approvals/:token/pdf', async (req, res) => {
+  try {
+    const approval = await loadApproval(req.params.token);
+    if (!approval) return res.status(404).json({ ok: false, error: 'This approval link is not valid' });
+    if (approval.status === 'superseded') return res.status(410).json({ ok: false, error: SUPERSEDED_MESSAGE });
+
+    const { job, settings, customer } = await approvalContext(approval);
+    const doc = customerDocument({ job, customer, settings, type: 'estimate' });
+    sendPdf(res, doc, 'APPROVAL PDF ERROR');
+  } catch (err) {
+    console.error('[APPROVAL PDF ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/approvals/:token', async (req, res) => {
+  try {
+    const parsed = ApprovalDecisionSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: parsed.error.issues[0].message, details: parsed.error.flatten() });
+    }
+    const { decision, signatureName, tier, comment } = parsed.data;
+
+    const approval = await loadApproval(req.params.token);
+    if (!approval) return res.status(404).json({ ok: false, error: 'This approval link is not valid' });
+    if (approval.status === 'superseded') return res.status(410).json({ ok: false, error: SUPERSEDED_MESSAGE });
+    if (approval.status !== 'pending') {
+      return res.status(409).json({ ok: false, error: `Already ${approval.status} by ${approval.signature_name}` });
+    }
+    if (approvalExpired(approval)) {
+      return res.status(410).json({ ok: false, error: 'This link has expired - ask the shop for a new one' });
+    }
+
+    const { job, settings, changeOrder } = await approvalContext(approval);
+    if (approval.kind === 'estimate') {
+      if (job.status !== 'estimate' || estimateChanged(approval.shown, job)) {
+        return res.status(409).json({ ok: false, error: 'The shop has updated this estimate since the link was sent - ask them for a new link' });
+      }
+      if (decision === 'approve' && approval.shown.options && !tier) {
+        return res.status(400).json({ ok: false, error: 'Choose one of the options to approve' });
+      }
+    } else if (changeOrder.status !== 'pending' || !CHANGE_ORDER_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: 'The shop has closed this change order - contact them' });
+    }
+
+    // Matching on pending means a double-submit only signs once
+    const status = decision === 'approve' ? 'approved' : 'declined';
+    const decidedAt = new Date().toISOString();
+    const decided = await repos.approvals.decide(approval, {
+      status,
+      signature_name: signatureName,
+      signer_ip: req.ip,
+      signer_user_agent: String(req.get('user-agent') || '').slice(0, 500),
+      selected_tier: decision === 'approve' && approval.shown.options ? tier : null,
+      comment: comment || null,
+      decided_at: decidedAt
+    });
+    if (!decided) return res.status(409).json({ ok: false, error: 'This link was just used - reload the page' });
+
+    if (approval.kind === 'estimate') {
+      let current = job;
+      if (decided.selected_tier) {
+        const { columns, option } = estimateOptionColumns(job, decided.selected_tier);
+        current = await reviseEstimate(job, columns, { source: 'option', note: `${option.label} option chosen on approval`, changedBy: customerActor(decided) });
+        if (!current) {
+          // The shop changed the estimate under the customer: their signature doesn't stand
+          await repos.approvals.reopen(decided, status);
+          return res.status(409).json({ ok: false, error: 'The shop has updated this estimate since the link was sent - ask them for a new link' });
+        }
+      }
+      const moved = await updateJobStatus(current, status);
+      if (!moved) {
+        // The job moved on while the customer signed: don't keep a signature it never took
+        await repos.approvals.reopen(decided, status);
+        return res.status(409).json({ ok: false, error: 'The shop has updated this job since the link was sent - reload the page' });
+      }
+    } else {
+      await repos.changeOrders.decide(changeOrder, status, decidedAt);
+      if (status === 'approved') {
+        let added;
+        try {
+          added = await addChangeOrderToJob(job, changeOrder, settings, customerActor(decided));
+        } catch (err) {
+          // The job totals never took it, so it's still waiting on the customer
+          await repos.changeOrders.reopen(changeOrder, status);
+          await repos.approvals.reopen(decided, status);
+          throw err;
+        }
+        if (!added) {
+          await repos.changeOrders.reopen(changeOrder, status);
+          await repos.approvals.reopen(decided, status);
+          return res.status(409).json({ ok: false, error: 'The shop has closed this change order - contact them' });
+        }
+      }
+    }
+
+    const what = approval.kind === 'estimate' ? 'estimate' : `change order #${changeOrder.number}`;
+    console.log(`[APPROVAL] Job ${job.id} | ${what} ${status} by "${signatureName}" from ${req.ip}`);
+    res.json({ ok: true, status, decidedAt, signatureName });
+  } catch (err) {
+    console.error('[APPROVAL DECISION ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// CUSTOMER PAYMENTS
+// The shop's customers paying for a job: Stripe Checkout links for deposits,
+// partial payments or the balance, plus cash/check recorded by hand. Rows live
+// in job_payments; jobs.amount_paid is the running total of succeeded ones.
+// Separate from the subscription checkout further down.
+// ========================================
+const PAYABLE_STATUSES = ['estimate', 'approved', 'in_progress', 'completed', 'invoiced'];
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+// What the customer owes: the invoice once there is one, else the latest figure we have
+function jobAmountDue(job) {
+  return round2(job.invoice_total ?? job.actual_total ?? job.estimated_total ?? job.estimated_subtotal);
+}
+
+function jobBalance(job) {
+  return round2(jobAmountDue(job) - Number(job.amount_paid || 0));
+}
+
+async function jobPaymentsTotal(job) {
+  const collected = await repos.payments.collectedForJob(job);
+  return round2(collected.reduce((s, p) => s + Number(p.amount) - Number(p.refunded_amount || 0), 0));
+}
+
+// Recomputes amount_paid and moves an invoiced job to paid once the balance is covered
+async function settleJobPayments(job) {
+  const amountPaid = await jobPaymentsTotal(job);
+  const updated = await repos.jobs.update(job, { amount_paid: amountPaid });
+
+  if (updated.status === 'invoiced' && jobBalance(updated) <= 0) {
+    const paid = await updateJobStatus(updated, 'paid');
+    if (paid) {
+      console.log(`[PAID] Job ${job.id} | $${amountPaid}`);
+      return paid;
+    }
+  }
+  return updated;
+}
+
+// Called from the webhook for both checkout.session.completed and
+// payment_intent.succeeded; whichever arrives second finds the row already done
+async function recordStripeJobPayment({ metadata, checkoutSessionId, paymentIntentId, amountCents }) {
+  const jobId = Number(metadata.job_id);
+  const shopId = metadata.shop_id;
+  const job = await repos.jobs.get(shopId, jobId);
+  if (!job) {
+    console.error(`[JOB PAYMENT] Job ${jobId} for shop ${shopId} not found`);
+    return;
+  }
+
+  let payment = null;
+  if (checkoutSessionId) payment = await repos.payments.findByCheckoutSession(checkoutSessionId);
+  if (!payment && paymentIntentId) payment = await repos.payments.findByPaymentIntent(paymentIntentId);
+  // The pending row is normally there from /payment-link; recreate it if not
+  if (!payment) {
+    payment = await repos.payments.create({
+      shop_id: shopId,
+      job_id: jobId,
+      kind: metadata.payment_kind || 'partial',
+      method: 'stripe',
+      status: 'pending',
+      amount: round2(amountCents / 100),
+      stripe_checkout_session_id: checkoutSessionId || null,
+      stripe_payment_intent_id: paymentIntentId || null
+    });
+  }
+  if (payment.status === 'succeeded') return;
+
+  await repos.payments.update(payment, {
+    status: 'succeeded',
+    amount: round2(amountCents / 100),
+    stripe_payment_intent_id: paymentIntentId || payment.stripe_payment_intent_id,
+    paid_at: new Date().toISOString()
+  });
+
+  console.log(`[JOB PAYMENT] Job ${jobId} | $${round2(amountCents / 100)} via Stripe`);
+  await settleJobPayments(job);
+}
+
+// charge.refunded for a job payment: amount_paid goes back down. A paid job
+// stays paid - whoever issued the refund decides what happens next.
+async function recordStripeJobRefund(charge) {
+  const payment = await repos.payments.findByPaymentIntent(charge.payment_intent);
+  if (!payment) {
+    console.error(`[JOB REFUND] No payment for ${charge.payment_intent}`);
+    return;
+  }
+
+  const refunded = round2(charge.amount_refunded / 100);
+  await repos.payments.update(payment, {
+    refunded_amount: refunded,
+    status: refunded >= Number(payment.amount) ? 'refunded' : payment.status
+  });
+
+  const job = await repos.jobs.get(payment.shop_id, payment.job_id);
+  if (!job) throw new Error(`Job ${payment.job_id} for payment ${payment.id} not found`);
+  await settleJobPayments(job);
+  console.log(`[JOB REFUND] Job ${job.id} | -$${refunded}`);
+}
+
+app.get('/api/jobs/:id/payments', requireSession, async (req, res) => {
+  try {
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+
+    res.json({
+      ok: true,
+      payments: await repos.payments.forJob(job),
+      amountDue: jobAmountDue(job),
+      amountPaid: round2(job.amount_paid),
+      balance: jobBalance(job)
+    });
+  } catch (err) {
+    console.error('[JOB PAYMENTS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checkout link for a deposit, partial payment or (default) the remaining balance
+app.post('/api/jobs/:id/payment-link', requireSession, requireFeature('invoices'), async (req, res) => {
+  if (!stripe) {
+    return res.status(500).json({ error: 'Stripe not configured' });
+  }
+
+  try {
+    const parsed = PaymentLinkSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid payment request', details: parsed.error.flatten() });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!PAYABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `Job is "${job.status}", nothing to collect` });
+    }
+
+    const balance = jobBalance(job);
+    const amount = round2(parsed.data.amount ?? balance);
+    if (amount <= 0) return res.status(409).json({ ok: false, error: 'Nothing left to pay on this job' });
+    if (amount > balance) {
+      return res.status(400).json({ ok: false, error: `Amount $${amount} is more than the $${balance} balance` });
+    }
+    const kind = parsed.data.kind || (amount === balance ? 'balance' : 'partial');
+
+    const [settings, customer] = await Promise.all([
+      shopSettings(req),
+      repos.customers.get(req.auth.shopId, job.customer_id, 'name, email')
+    ]);
+
+    const metadata = {
+      purpose: 'job_payment',
+      job_id: String(job.id),
+      shop_id: String(job.shop_id),
+      payment_kind: kind
+    };
+    const reference = job.invoice_number || `EST-${job.id}`;
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      customer_email: parsed.data.customerEmail || customer?.email || undefined,
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: `${settings.shopName} - ${kind === 'deposit' ? 'Deposit' : 'Payment'} for ${reference}`,
+            description: job.description || undefined
+          },
+          unit_amount: Math.round(amount * 100)
+        },
+        quantity: 1
+      }],
+      success_url: `${FRONTEND_URL}?paid=${job.id}`,
+      cancel_url: `${FRONTEND_URL}?payment_canceled=${job.id}`,
+      metadata,
+      // Copied onto the payment intent so payment_intent.succeeded can find the job too
+      payment_intent_data: { metadata }
+    });
+
+    const payment = await repos.payments.create({
+      shop_id: req.auth.shopId,
+      job_id: job.id,
+      kind,
+      method: 'stripe',
+      status: 'pending',
+      amount,
+      stripe_checkout_session_id: session.id
+    });
+
+    console.log(`[PAYMENT LINK] Job ${job.id} | ${kind} $${amount} | ${session.id}`);
+    res.json({ ok: true, url: session.url, sessionId: session.id, payment, balance });
+  } catch (err) {
+    console.error('[PAYMENT LINK ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cash, checks and card-reader payments taken outside Stripe
+app.post('/api/jobs/:id/payments', requireSession, async (req, res) => {
+  try {
+    const parsed = ManualPaymentSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid payment', details: parsed.error.flatten() });
+    }
+
+    const job = await loadJob(req, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'Job not found' });
+    if (!PAYABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `Job is "${job.status}", nothing to collect` });
+    }
+
+    const { amount, method, note, paidAt } = parsed.data;
+    const balance = jobBalance(job);
+    if (amount > balance) {
+      return res.status(400).json({ ok: false, error: `Amount $${amount} is more than the $${balance} balance` });
+    }
+
+    const payment = await repos.payments.create({
+      shop_id: req.auth.shopId,
+      job_id: job.id,
+      kind: parsed.data.kind || (amount === balance ? 'balance' : 'partial'),
+      method,
+      status: 'succeeded',
+      amount: round2(amount),
+      note: note || null,
+      paid_at: paidAt ? new Date(paidAt).toISOString() : new Date().toISOString()
+    });
+
+    const updated = await settleJobPayments(job);
+    console.log(`[JOB PAYMENT] Job ${job.id} | $${amount} ${method}`);
+    res.status(201).json({ ok: true, payment, job: updated, balance: jobBalance(updated) });
+  } catch (err) {
+    console.error('[JOB PAYMENT ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// SHOP SETTINGS
+// ========================================
+app.get('/api/settings', requireSession, async (req, res) => {
+  try {
+    const settings = await shopSettings(req);
+    res.json({ ok: true, settings: describeSettings(settings) });
+  } catch (err) {
+    console.error('[SETTINGS ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/settings', requireSession, async (req, res) => {
+  try {
+    const parsed = SettingsSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid settings', details: parsed.error.flatten() });
+    }
+
+    const settings = await settingsStore.update(req.auth.shopId, parsed.data);
+    console.log(`[SETTINGS] Updated ${Object.keys(parsed.data).join(', ')}`);
+    res.json({ ok: true, settings: describeSettings(settings) });
+  } catch (err) {
+    console.error('[SETTINGS UPDATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// EXPENSES
+// ========================================
+
+// Turns validated API fields into an expenses row, filling in mileage
+// amounts and the deductible share
+function expenseRow(fields, existing = {}) {
+  const row = {};
+  if (fields.date !== undefined) row.expense_date = fields.date;
+  if (fields.category !== undefined) row.category = fields.category;
+  if (fields.description !== undefined) row.description = fields.description;
+  if (fields.amount !== undefined) row.amount = Number(fields.amount.toFixed(2));
+  if (fields.miles !== undefined) row.miles = fields.miles;
+  if (fields.vendor !== undefined) row.vendor = fields.vendor;
+  if (fields.paymentMethod !== undefined) row.payment_method = fields.paymentMethod;
+  if (fields.jobId !== undefined) row.job_id = fields.jobId;
+  if (fields.receipt !== undefined) row.receipt = fields.receipt;
+  if (fields.notes !== undefined) row.notes = fields.notes;
+
+  const merged = { ...existing, ...row };
+  const year = Number(String(merged.expense_date).slice(0, 4));
+  if (fields.amount === undefined && merged.category === 'fuel_mileage' && merged.miles && (fields.miles !== undefined || fields.date !== undefined)) {
+    row.amount = Number((merged.miles * mileageRate(year)).toFixed(2));
+    merged.amount = row.amount;
+  }
+  row.tax_year = year;
+  row.deductible_amount = deductibleAmount(merged.category, merged.amount);
+  return row;
+}
+
+app.get('/api/expenses/categories', requireSession, (req, res) => {
+  res.json({
+    ok: true,
+    categories: Object.entries(EXPENSE_CATEGORIES).map(([id, info]) => ({ id, ...info })),
+    mileageRate: mileageRate(new Date().getFullYear())
+  });
+});
+
+app.get('/api/expenses', requireSession, async (req, res) => {
+  try {
+    const expenses = await repos.expenses.list(req.auth.shopId, {
+      year: req.query.year ? Number(req.query.year) : null,
+      category: req.query.category || null,
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+
+    const total = Number(expenses.reduce((s, e) => s + Number(e.amount || 0), 0).toFixed(2));
+    res.json({ ok: true, expenses, total });
+  } catch (err) {
+    console.error('[EXPENSES ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/expenses', requireSession, async (req, res) => {
+  try {
+    const parsed = ExpenseSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid expense', details: parsed.error.flatten() });
+    }
+
+    const expense = await repos.expenses.create(req.auth.shopId, expenseRow(parsed.data));
+
+    console.log(`[EXPENSE] ${expense.category} | $${expense.amount} | ${expense.description}`);
+    res.status(201).json({ ok: true, expense });
+  } catch (err) {
+    console.error('[EXPENSE CREATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/expenses/:id', requireSession, async (req, res) => {
+  try {
+    const expense = await repos.expenses.get(req.auth.shopId, req.params.id);
+    if (!expense) return res.status(404).json({ ok: false, error: 'Expense not found' });
+    res.json({ ok: true, expense });
+  } catch (err) {
+    console.error('[EXPENSE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/expenses/:id', requireSession, async (req, res) => {
+  try {
+    const parsed = ExpenseFields.partial().safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, error: 'Invalid expense', details: parsed.error.flatten() });
+    }
+
+    const existing = await repos.expenses.get(req.auth.shopId, req.params.id);
+    if (!existing) return res.status(404).json({ ok: false, error: 'Expense not found' });
+
+    const expense = await repos.expenses.update(req.auth.shopId, existing.id, expenseRow(parsed.data, existing));
+    res.json({ ok: true, expense });
+  } catch (err) {
+    console.error('[EXPENSE UPDATE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/expenses/:id', requireSession, async (req, res) => {
+  try {
+    const deleted = await repos.expenses.remove(req.auth.shopId, req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Expense not found' });
+    res.json({ ok: true, deleted: deleted.id });
+  } catch (err) {
+    console.error('[EXPENSE DELETE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// TAX REPORTS
+// Schedule C summary for a year; add ?format=csv for the accountant
+// ========================================
+app.get('/api/reports/tax/:year', requireSession, async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ ok: false, error: 'Invalid year' });
+    }
+
+    const shopId = req.auth.shopId;
+    const [payments, paidJobs, expenses] = await Promise.all([
+      repos.payments.receivedInYear(shopId, year),
+      repos.jobs.paidInYear(shopId, year),
+      repos.expenses.forTaxYear(shopId, year)
+    ]);
+    // Jobs marked paid without the money being recorded still count, once
+    const withPayments = new Set(await repos.payments.jobsWithPayments(shopId, paidJobs.map(job => job.id)));
+    const jobs = await repos.jobs.byIds(shopId, [...new Set(payments.map(payment => payment.job_id))]);
+    const receipts = yearReceipts({
+      payments,
+      jobs,
+      paidWithoutPayments: paidJobs.filter(job => !withPayments.has(String(job.id)))
+    });
+
+    const report = buildTaxReport({
+      year,
+      receipts,
+      expenses,
+      setAsidePercent: (await shopSettings(req)).taxSetAsidePercent
+    });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="schedule-c-${year}.csv"`);
+      return res.send(taxReportCsv(report, receipts, expenses));
+    }
+
+    res.json({ ok: true, report });
+  } catch (err) {
+    console.error('[TAX REPORT ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// STRIPE INTEGRATION
+// ========================================
+
+const PRICING = {
+  pro_monthly: {
+    price: 2900,
+    interval: 'month',
+    name: 'SKSK ProTech Pro - Monthly'
+  },
+  pro_yearly: {
+    price: 29000,
+    interval: 'year',
+    name: 'SKSK ProTech Pro - Yearly'
+  }
+};
+
+// Access codes are the only thing traded for a session, so they come from
+// crypto and are long enough that guessing one isn't practical
+const ACCESS_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 12;
+
+function generateAccessCode() {
+  let code = '';
+  for (let i = 0; i < ACCESS_CODE_LENGTH; i++) {
+    code += ACCESS_CODE_CHARS[crypto.randomInt(ACCESS_CODE_CHARS.length)];
+  }
+  return code;
+}
+
+// Create Stripe checkout session
+app.post('/api/create-checkout-session', async (req, res) => {
+  if (!stripe) {
+    return res.status(500).json({ error: 'Stripe not configured' });
+  }
+
+  try {
+    const { plan, customerEmail, customerName } = req.body;
+    
+    if (!plan || !PRICING[plan]) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
     const pricing = PRICING[plan];
     
     const session = await stripe.checkout.sessions.create({
@@ -666,89 +4347,340 @@ app.post('/api/create-checkout-session', async (req, res) => {
   }
 });
 
-// Stripe webhook handler
-app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// The success page lands on ?session_id=cs_...; trade it for the access code.
+// The webhook may not have run yet, so 202 + pending means "ask again shortly".
+// Session ids are unguessable, but only honoured for a day after checkout.
+const CHECKOUT_CODE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+app.get('/api/checkout-session/:sessionId/access-code', async (req, res) => {
+  if (!stripe) {
+    return res.status(500).json({ error: 'Stripe not configured' });
+  }
+
+  try {
+    let session;
+    try {
+      session = await stripe.checkout.sessions.retrieve(req.params.sessionId);
+    } catch (err) {
+      return res.status(404).json({ ok: false, error: 'Checkout session not found' });
+    }
+
+    if (session.mode !== 'subscription' || session.status !== 'complete') {
+      return res.status(409).json({ ok: false, error: 'Checkout is not complete' });
+    }
+    if (Date.now() - session.created * 1000 > CHECKOUT_CODE_WINDOW_MS) {
+      return res.status(410).json({ ok: false, error: 'This link has expired - use "Forgot code?" to get your code by email' });
+    }
+
+    const code = await repos.accessCodes.findBySubscription(session.subscription, 'code, tier, email, code_emailed_at');
+    if (!code) return res.status(202).json({ ok: false, pending: true });
+
+    res.json({ ok: true, code: code.code, tier: code.tier, email: code.email, emailed: !!code.code_emailed_at });
+  } catch (err) {
+    console.error('[CHECKOUT CODE ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stripe-hosted page for cancelling, updating the card or switching monthly/yearly.
+// STRIPE_PORTAL_CONFIGURATION picks a portal configuration other than the default.
+app.post('/api/billing-portal', requireSession, async (req, res) => {
+  if (!stripe) {
+    return res.status(500).json({ error: 'Stripe not configured' });
+  }
+
+  try {
+    const code = await repos.accessCodes.get(req.auth.codeId, 'stripe_customer_id');
+    if (!code || !code.stripe_customer_id) {
+      return res.status(409).json({ ok: false, error: 'This access code has no Stripe subscription to manage' });
+    }
+
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: code.stripe_customer_id,
+      return_url: FRONTEND_URL,
+      configuration: process.env.STRIPE_PORTAL_CONFIGURATION || undefined
+    });
+
+    console.log(`[BILLING PORTAL] Code ${req.auth.codeId}`);
+    res.json({ ok: true, url: portal.url });
+  } catch (err) {
+    console.error('[BILLING PORTAL ERROR]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// STRIPE WEBHOOK
+// Every event is logged in stripe_events (keyed by event id) before it is
+// handled, so a redelivery is acknowledged without running twice. Handler
+// failures return 500 and Stripe retries; the retry reprocesses the event.
+// ========================================
+
+// A delivery still marked "processing" after this long is assumed to have died
+const WEBHOOK_STALE_MS = 5 * 60 * 1000;
+
+// Returns false if the event was already handled (or is being handled right now)
+async function claimStripeEvent(event) {
+  if (await repos.stripeEvents.logNew(event)) return { claimed: true };
+
+  const existing = await repos.stripeEvents.get(event.id);
+  if (!existing) throw new Error(`Stripe event ${event.id} was logged but can't be read back`);
+
+  if (existing.status === 'processed') return { claimed: false, reason: 'duplicate' };
+  const stale = Date.now() - new Date(existing.updated_at || existing.received_at).getTime() > WEBHOOK_STALE_MS;
+  if (existing.status === 'processing' && !stale) return { claimed: false, reason: 'in_progress' };
+
+  // Failed (or abandoned) earlier - take it again, guarding against a parallel retry
+  return (await repos.stripeEvents.retake(existing)) ? { claimed: true } : { claimed: false, reason: 'in_progress' };
+}
+
+async function finishStripeEvent(event, error) {
+  await repos.stripeEvents.finish(event.id, {
+    status: error ? 'failed' : 'processed',
+    error: error ? String(error.message || error).slice(0, 1000) : null,
+    processed_at: error ? null : new Date().toISOString()
+  }).catch(updateErr => console.error(`[WEBHOOK LOG ERROR] ${event.id}:`, updateErr.message));
+}
+
+// Customer payments for a job (see CUSTOMER PAYMENTS) carry metadata.purpose = 'job_payment'
+function isJobPaymentEvent(event) {
+  return event.data.object.metadata?.purpose === 'job_payment';
+}
+
+async function handleJobPaymentEvent(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      if (object.payment_status !== 'paid') return;
+      await recordStripeJobPayment({
+        metadata: object.metadata,
+        checkoutSessionId: object.id,
+        paymentIntentId: object.payment_intent,
+        amountCents: object.amount_total
+      });
+      break;
+
+    case 'payment_intent.succeeded': {
+      // Find the Checkout session behind the intent so both events land on the same row
+      const sessions = await stripe.checkout.sessions.list({ payment_intent: object.id, limit: 1 });
+      await recordStripeJobPayment({
+        metadata: object.metadata,
+        checkoutSessionId: sessions.data[0]?.id,
+        paymentIntentId: object.id,
+        amountCents: object.amount_received
+      });
+      break;
+    }
+
+    case 'charge.refunded':
+      await recordStripeJobRefund(object);
+      break;
+  }
+}
+
+// ----- Subscription events -----
+
+async function updateCodesForSubscription(subscriptionId, fields) {
+  const updated = await repos.accessCodes.updateBySubscription(subscriptionId, fields);
+  for (const row of updated) codeStatusCache.delete(row.id);
+  return updated;
+}
+
+// Emails a new code to its buyer. A failed send is logged, not thrown: the
+// code already exists, and the buyer can still get it from the success page
+// or "forgot my code". code_emailed_at stays empty so we know it never went out.
+async function deliverAccessCode(code) {
+  if (!code.email) {
+    console.warn(`[ACCESS CODE] Code ${code.id} has no email address to send to`);
+    return false;
+  }
+  try {
+    await mailer.send({
+      to: code.email,
+      ...accessCodeEmail({ code: code.code, tier: code.tier, name: code.customer_name, appUrl: FRONTEND_URL })
+    });
+    await repos.accessCodes.markEmailed(code.id);
+    console.log(`[ACCESS CODE SENT] Code ${code.id} to ${code.email}`);
+    return true;
+  } catch (err) {
+    console.error(`[ACCESS CODE MAIL ERROR] Code ${code.id} to ${code.email}:`, err.message);
+    return false;
+  }
+}
+
+async function handleSubscriptionCheckout(session) {
+  // Belt and braces on top of the event log: one code per subscription
+  if (session.subscription) {
+    const existing = await repos.accessCodes.findBySubscription(session.subscription);
+    if (existing) {
+      console.log(`[ACCESS CODE EXISTS] Code ${existing.id} for subscription ${session.subscription}`);
+      if (!existing.code_emailed_at) await deliverAccessCode(existing);
+      return;
+    }
+  }
+
+  // customer_email is only set when we prefilled it; Checkout collects it otherwise
+  const email = (session.customer_details?.email || session.customer_email || '').trim().toLowerCase() || null;
+  const code = await repos.accessCodes.create({
+    code: generateAccessCode(),
+    tier: session.metadata?.tier || 'pro',
+    customer_name: session.client_reference_id || session.customer_details?.name || email,
+    email,
+    is_active: true,
+    stripe_customer_id: session.customer,
+    stripe_subscription_id: session.subscription,
+    stripe_subscription_status: 'active',
+    stripe_checkout_session_id: session.id
+  });
+
+  console.log(`[ACCESS CODE CREATED] Code ${code.id} for ${email}`);
+  await deliverAccessCode(code);
+}
+
+const SUBSCRIPTION_HANDLERS = {
+  'checkout.session.completed': async (session) => {
+    if (session.mode && session.mode !== 'subscription') return;
+    await handleSubscriptionCheckout(session);
+  },
+
+  'customer.subscription.updated': async (subscription) => {
+    const isActive = subscription.status === 'active' || subscription.status === 'trialing';
+    await updateCodesForSubscription(subscription.id, {
+      is_active: isActive,
+      stripe_subscription_status: subscription.status
+    });
+    console.log(`[SUBSCRIPTION UPDATED] ${subscription.id} -> ${subscription.status}`);
+  },
+
+  'customer.subscription.deleted': async (subscription) => {
+    await updateCodesForSubscription(subscription.id, {
+      is_active: false,
+      stripe_subscription_status: 'canceled'
+    });
+    console.log(`[SUBSCRIPTION DELETED] ${subscription.id}`);
+  },
+
+  // Stripe keeps retrying the card, so the code stays usable while flagged;
+  // customer.subscription.updated/deleted turns it off if retries run out
+  'invoice.payment_failed': async (invoice) => {
+    if (!invoice.subscription) return;
+    await updateCodesForSubscription(invoice.subscription, {
+      stripe_subscription_status: 'past_due',
+      payment_failed_at: new Date().toISOString()
+    });
+    console.log(`[PAYMENT FAILED] ${invoice.subscription} | attempt ${invoice.attempt_count || 1}`);
+  },
+
+  'customer.subscription.trial_will_end': async (subscription) => {
+    const trialEndsAt = subscription.trial_end ? new Date(subscription.trial_end * 1000).toISOString() : null;
+    await updateCodesForSubscription(subscription.id, { trial_ends_at: trialEndsAt });
+    console.log(`[TRIAL ENDING] ${subscription.id} | ${trialEndsAt}`);
+  },
+
+  // A full refund ends access only when it was the subscription's charge and
+  // the subscription is over; refunding one old month of a live subscription
+  // is goodwill. Other subscriptions on the same customer are never touched.
+  'charge.refunded': async (charge) => {
+    if (charge.amount_refunded < charge.amount) {
+      console.log(`[CHARGE PARTIALLY REFUNDED] ${charge.id} | $${(charge.amount_refunded / 100).toFixed(2)}`);
+      return;
+    }
+    const invoiceId = typeof charge.invoice === 'string' ? charge.invoice : charge.invoice?.id;
+    if (!invoiceId) return;
+
+    const invoice = await stripe.invoices.retrieve(invoiceId);
+    const subscriptionId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription?.id;
+    if (!subscriptionId) return;
+
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    if (subscription.status === 'active' || subscription.status === 'trialing') {
+      console.log(`[CHARGE REFUNDED] ${charge.id} | subscription ${subscriptionId} still ${subscription.status}, access kept`);
+      return;
+    }
+
+    const codes = await updateCodesForSubscription(subscriptionId, {
+      is_active: false,
+      stripe_subscription_status: 'refunded'
+    });
+    console.log(`[CHARGE REFUNDED] ${charge.id} | subscription ${subscriptionId} | deactivated ${codes.map(c => `code ${c.id}`).join(', ') || 'no codes'}`);
+  }
+};
+
+async function handleStripeEvent(event) {
+  if (isJobPaymentEvent(event)) return handleJobPaymentEvent(event);
+  const handler = SUBSCRIPTION_HANDLERS[event.type];
+  if (handler) await handler(event.data.object);
+}
+
+// Stripe webhook handler. Needs the raw body for the signature check, so
+// express.json() skips this path (see CORS & MIDDLEWARE).
+app.post(STRIPE_WEBHOOK_PATH, express.raw({ type: 'application/json' }), async (req, res) => {
   if (!stripe) {
     return res.status(500).send('Stripe not configured');
   }
 
-  const sig = req.headers['stripe-signature'];
-  
   let event;
-  
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
+    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
   } catch (err) {
     console.error('[WEBHOOK ERROR]', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
-  
-  console.log(`[STRIPE EVENT] ${event.type}`);
-  
+
+  console.log(`[STRIPE EVENT] ${event.type} ${event.id}`);
+
+  let claim;
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        const customerEmail = session.customer_email;
-        const customerName = session.client_reference_id;
-        const stripeCustomerId = session.customer;
-        const subscriptionId = session.subscription;
-        
-        const accessCode = generateAccessCode();
-        
-        await supabase.from('access_codes').insert({
-          code: accessCode,
-          tier: 'pro',
-          customer_name: customerName || customerEmail,
-          email: customerEmail,
-          is_active: true,
-          max_uses: 999,
-          stripe_customer_id: stripeCustomerId,
-          stripe_subscription_id: subscriptionId,
-          stripe_subscription_status: 'active'
-        });
-        
-        console.log(`[ACCESS CODE CREATED] ${accessCode} for ${customerEmail}`);
-        break;
-        
-      case 'customer.subscription.updated':
-        const subscription = event.data.object;
-        const isActive = subscription.status === 'active' || subscription.status === 'trialing';
-        
-        await supabase.from('access_codes').update({ 
-          is_active: isActive,
-          stripe_subscription_status: subscription.status
-        }).eq('stripe_subscription_id', subscription.id);
-        
-        console.log(`[SUBSCRIPTION UPDATED] ${subscription.id} -> ${subscription.status}`);
-        break;
-        
-      case 'customer.subscription.deleted':
-        const deletedSub = event.data.object;
-        
-        await supabase.from('access_codes').update({ 
-          is_active: false,
-          stripe_subscription_status: 'canceled'
-        }).eq('stripe_subscription_id', deletedSub.id);
-        
-        console.log(`[SUBSCRIPTION DELETED] ${deletedSub.id}`);
-        break;
-    }
-  } catch (err) {
-    console.error('[WEBHOOK HANDLER ERROR]', err);
+    claim = await claimStripeEvent(event);
+  } catch (err) {
+    console.error('[WEBHOOK LOG ERROR]', err);
+    return res.status(500).json({ received: false, error: 'Could not record event' });
   }
-  
+  if (!claim.claimed) {
+    console.log(`[STRIPE EVENT SKIPPED] ${event.id} (${claim.reason})`);
+    // 409 while another delivery is mid-flight makes Stripe try again later
+    return claim.reason === 'duplicate'
+      ? res.json({ received: true, duplicate: true })
+      : res.status(409).json({ received: false, error: 'Event is already being processed' });
+  }
+
+  try {
+    await handleStripeEvent(event);
+  } catch (err) {
+    console.error(`[WEBHOOK HANDLER ERROR] ${event.type} ${event.id}`, err);
+    await finishStripeEvent(event, err);
+    return res.status(500).json({ received: false, error: err.message });
+  }
+
+  await finishStripeEvent(event);
   res.json({ received: true });
 });
 
 // ========================================
 // START SERVER
 // ========================================
-app.listen(PORT, () => {
-  console.log(`🔥 SKSK ProTech Backend v3.0 on port ${PORT}`);
-  console.log(`🤖 Groq AI + 80+ flat rates active`);
-  console.log(`💰 Tax tracking enabled`);
-  if (stripe) {
-    console.log(`💳 Stripe payments enabled`);
-  }
-});
+
+// Self-hosted without Stripe there's nothing to issue a code, so
+// LOCAL_ACCESS_CODE (tier LOCAL_ACCESS_TIER) is created on the local backends
+async function seedLocalAccessCode() {
+  if (!process.env.LOCAL_ACCESS_CODE || db.backend === 'supabase') return;
+  const code = process.env.LOCAL_ACCESS_CODE.trim().toUpperCase();
+  const { code: row, created } = await repos.accessCodes.ensure(code, normalizeTier(process.env.LOCAL_ACCESS_TIER || 'pro_plus'));
+  if (created) console.log(`[ACCESS CODE CREATED] Code ${row.id} (LOCAL_ACCESS_CODE)`);
+}
+
+// Tests require() the app (STORAGE=memory) and drive it without a listener
+if (require.main === module) {
+  seedLocalAccessCode().catch(err => console.error('[LOCAL ACCESS CODE ERROR]', err.message));
+
+  app.listen(PORT, () => {
+    console.log(`🔥 SKSK ProTech Backend v3.0 on port ${PORT}`);
+    console.log(`🤖 AI: ${llm.providers.map(p => p.name).join(' → ') || 'not configured'} + ${flatRates.entries.length} flat rates (${flatRates.overrideCount} vehicle overrides) active`);
+    console.log(`💰 Tax tracking enabled`);
+    if (stripe) {
+      console.log(`💳 Stripe payments enabled`);
+    }
+  });
+}
+
+module.exports = { app, repos, stripe };
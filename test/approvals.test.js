@@ -0,0 +1,205 @@
+// Customer approval links and change orders through the routes, on the
+// memory backend with the offline stub writing the estimates
+process.env.STORAGE = 'memory';
+process.env.LLM_PROVIDERS = 'stub';
+process.env.MAIL_TRANSPORT = 'console';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, repos } = require('../server');
+
+let server;
+let baseUrl;
+let token;
+
+async function call(method, url, body, auth = token) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  await repos.accessCodes.create({ code: 'APPROVALTEST', tier: 'pro_plus', is_active: true });
+  token = (await call('POST', '/api/validate-access', { accessCode: 'APPROVALTEST' }, null)).body.token;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function estimate() {
+  const { body } = await call('POST', '/api/generate-estimate', {
+    customer: { name: 'Dana Ruiz', phone: '330-555-0101' },
+    vehicle: '2015 Honda Civic',
+    description: 'oil change'
+  });
+  return body.savedJob;
+}
+
+async function approvalLink(job) {
+  const { body } = await call('POST', `/api/jobs/${job.id}/approval-link`, {});
+  return body.url.split('approve=')[1];
+}
+
+const sign = (approvalToken, decision, signatureName = 'Dana Ruiz') =>
+  call('POST', `/api/approvals/${approvalToken}`, { decision, signatureName, agree: decision === 'approve' }, null);
+
+test('approving an estimate records the signature and approves the job', async () => {
+  const job = await estimate();
+  const approvalToken = await approvalLink(job);
+
+  const page = await call('GET', `/api/approvals/${approvalToken}`, undefined, null);
+  assert.equal(page.body.status, 'pending');
+  assert.equal(page.body.estimate.customer.name, 'Dana Ruiz');
+
+  const signed = await sign(approvalToken, 'approve');
+  assert.equal(signed.status, 200);
+  assert.equal(signed.body.status, 'approved');
+
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, 'approved');
+  const [approval] = (await call('GET', `/api/jobs/${job.id}/approvals`)).body.approvals;
+  assert.equal(approval.status, 'approved');
+  assert.equal(approval.signature_name, 'Dana Ruiz');
+  assert.equal(approval.url, null);
+});
+
+test('approving needs the terms box ticked', async () => {
+  const approvalToken = await approvalLink(await estimate());
+  const unticked = await call('POST', `/api/approvals/${approvalToken}`, { decision: 'approve', signatureName: 'Dana Ruiz' }, null);
+  assert.equal(unticked.status, 400);
+});
+
+test('declining an estimate declines the job', async () => {
+  const job = await estimate();
+  const signed = await sign(await approvalLink(job), 'decline');
+  assert.equal(signed.body.status, 'declined');
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, 'declined');
+});
+
+test('a link signs once', async () => {
+  const job = await estimate();
+  const approvalToken = await approvalLink(job);
+
+  const [first, second] = await Promise.all([sign(approvalToken, 'approve'), sign(approvalToken, 'decline', 'Someone Else')]);
+  assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+
+  const again = await sign(approvalToken, 'decline');
+  assert.equal(again.status, 409);
+  const won = first.status === 200 ? first : second;
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, won.body.status);
+});
+
+test('an estimate the shop moved on from reopens the signature', async (t) => {
+  const job = await estimate();
+  const approvalToken = await approvalLink(job);
+
+  // The shop approves it by hand between the customer loading and signing
+  const updateIfStatus = repos.jobs.updateIfStatus;
+  t.mock.method(repos.jobs, 'updateIfStatus', async (current, update) => {
+    await updateIfStatus(current, { status: 'approved' });
+    return updateIfStatus(current, update);
+  }, { times: 1 });
+
+  const signed = await sign(approvalToken, 'decline');
+  assert.equal(signed.status, 409);
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, 'approved');
+  const [approval] = await repos.approvals.forJob(job);
+  assert.equal(approval.status, 'pending');
+  assert.equal(approval.signature_name, null);
+});
+
+async function approvedJob() {
+  const job = await estimate();
+  await call('POST', `/api/jobs/${job.id}/approve`);
+  return job;
+}
+
+test('an approved change order is added to the job totals', async () => {
+  const job = await approvedJob();
+  const before = await repos.jobs.get(job.shop_id, job.id);
+
+  const created = await call('POST', `/api/jobs/${job.id}/change-orders`, {
+    description: 'replace cabin air filter', laborHours: 0.5, parts: [{ name: 'Cabin filter', cost: 10 }]
+  });
+  assert.equal(created.status, 200);
+  const approvalToken = created.body.url.split('approve=')[1];
+
+  const page = await call('GET', `/api/approvals/${approvalToken}`, undefined, null);
+  assert.equal(page.body.changeOrder.description, 'replace cabin air filter');
+  assert.equal(page.body.changeOrder.jobTotalBefore, Number(before.estimated_total));
+
+  assert.equal((await sign(approvalToken, 'approve')).status, 200);
+
+  const after = await repos.jobs.get(job.shop_id, job.id);
+  assert.equal(Number(after.estimated_total), page.body.changeOrder.jobTotalAfter);
+  assert.equal(Number(after.estimated_labor_hours), Number(before.estimated_labor_hours) + 0.5);
+  const [changeOrder] = await repos.changeOrders.forJob(job);
+  assert.equal(changeOrder.status, 'approved');
+});
+
+test('a declined change order leaves the job alone', async () => {
+  const job = await approvedJob();
+  const before = await repos.jobs.get(job.shop_id, job.id);
+  const created = await call('POST', `/api/jobs/${job.id}/change-orders`, { description: 'wiper blades', laborHours: 0.2 });
+
+  assert.equal((await sign(created.body.url.split('approve=')[1], 'decline')).status, 200);
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).estimated_total, before.estimated_total);
+  const [changeOrder] = await repos.changeOrders.forJob(job);
+  assert.equal(changeOrder.status, 'declined');
+});
+
+test('a change order reopens when the job was finished while the customer signed', async (t) => {
+  const job = await approvedJob();
+  const before = await repos.jobs.get(job.shop_id, job.id);
+  const created = await call('POST', `/api/jobs/${job.id}/change-orders`, { description: 'wiper blades', laborHours: 0.2 });
+  const approvalToken = created.body.url.split('approve=')[1];
+
+  // The shop marks the job done just as the customer's approval comes in
+  const updateIfVersion = repos.jobs.updateIfVersion;
+  t.mock.method(repos.jobs, 'updateIfVersion', async (current, fields) => {
+    await repos.jobs.update(current, { status: 'completed' });
+    return updateIfVersion(current, fields);
+  }, { times: 1 });
+
+  const signed = await sign(approvalToken, 'approve');
+  assert.equal(signed.status, 409);
+
+  const after = await repos.jobs.get(job.shop_id, job.id);
+  assert.equal(after.status, 'completed');
+  assert.equal(after.estimated_total, before.estimated_total);
+  assert.equal((await repos.changeOrders.forJob(job))[0].status, 'pending');
+  assert.equal((await call('GET', `/api/approvals/${approvalToken}`, undefined, null)).body.status, 'pending');
+});
+
+test('a change order reopens when the job moved on before it could be added', async (t) => {
+  const job = await approvedJob();
+  const before = await repos.jobs.get(job.shop_id, job.id);
+  const created = await call('POST', `/api/jobs/${job.id}/change-orders`, { description: 'wiper blades', laborHours: 0.2 });
+  const approvalToken = created.body.url.split('approve=')[1];
+
+  // Every attempt to fold it in finds the job changed underneath
+  t.mock.method(repos.jobs, 'updateIfVersion', async () => null);
+
+  const signed = await sign(approvalToken, 'approve');
+  assert.equal(signed.status, 500);
+  t.mock.restoreAll();
+
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).estimated_total, before.estimated_total);
+  const [changeOrder] = await repos.changeOrders.forJob(job);
+  assert.equal(changeOrder.status, 'pending');
+  const page = await call('GET', `/api/approvals/${approvalToken}`, undefined, null);
+  assert.equal(page.body.status, 'pending');
+
+  // And the customer can sign it again once the job holds still
+  assert.equal((await sign(approvalToken, 'approve')).status, 200);
+  assert.equal((await repos.changeOrders.forJob(job))[0].status, 'approved');
+});
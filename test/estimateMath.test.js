@@ -0,0 +1,51 @@
+// Estimate totals: shop supplies, credits, the trip fee and sales tax
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTotals } = require('../lib/estimateMath');
+
+const parts = [{ name: 'Pads', cost: 40, price: 60 }, { name: 'Rotor', cost: 80, price: 104 }];
+
+test('shop supplies come off the parts by default and are capped', () => {
+  const totals = calculateTotals({ laborHours: 2, laborRate: 100, parts, shopSuppliesPercent: 10 });
+  assert.deepEqual(
+    [totals.laborCost, totals.partsCost, totals.shopSupplies, totals.subtotal, totals.total],
+    [200, 164, 16.4, 380.4, 380.4]
+  );
+
+  const capped = calculateTotals(
+    { laborHours: 2, laborRate: 100, parts, shopSuppliesPercent: 10 },
+    { shopSuppliesBasis: 'parts_and_labor', shopSuppliesCap: 25 }
+  );
+  assert.equal(capped.shopSupplies, 25);
+});
+
+test('a null cap leaves shop supplies uncapped', () => {
+  const totals = calculateTotals(
+    { laborHours: 2, laborRate: 100, parts, shopSuppliesPercent: 10 },
+    { shopSuppliesBasis: 'labor', shopSuppliesCap: null }
+  );
+  assert.equal(totals.shopSupplies, 20);
+});
+
+test('the credit comes off the subtotal but not the taxable parts, and the trip fee is never taxed', () => {
+  const totals = calculateTotals(
+    { laborHours: 1, laborRate: 100, parts, shopSuppliesPercent: 0, credit: 50, travelFee: 35 },
+    { salesTaxPercent: 10, salesTaxAppliesTo: 'parts' }
+  );
+  assert.equal(totals.credit, 50);
+  assert.equal(totals.subtotal, 249);
+  assert.equal(totals.salesTax, 16.4);
+  assert.equal(totals.total, 265.4);
+});
+
+test('a credit never takes the job below zero', () => {
+  const totals = calculateTotals({ laborHours: 0.5, laborRate: 100, parts: [], shopSuppliesPercent: 0, credit: 89 });
+  assert.equal(totals.credit, 50);
+  assert.equal(totals.total, 0);
+});
+
+test('sales tax covers shop supplies only when the shop says so', () => {
+  const policy = { shopSuppliesBasis: 'parts', salesTaxPercent: 10, salesTaxAppliesTo: 'parts_and_supplies' };
+  const totals = calculateTotals({ laborHours: 0, laborRate: 100, parts, shopSuppliesPercent: 10 }, policy);
+  assert.equal(totals.salesTax, 18.04);
+});
@@ -0,0 +1,75 @@
+// Saving a generated estimate, on the memory backend with the offline stub
+process.env.STORAGE = 'memory';
+process.env.LLM_PROVIDERS = 'stub';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, repos } = require('../server');
+
+let server;
+let baseUrl;
+let token;
+let shopId;
+
+async function call(method, url, body, auth = token) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  const code = await repos.accessCodes.create({ code: 'ESTIMATETEST', tier: 'pro_plus', is_active: true });
+  shopId = String(code.id);
+  token = (await call('POST', '/api/validate-access', { accessCode: 'ESTIMATETEST' }, null)).body.token;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+let phones = 0;
+const generate = (name) => call('POST', '/api/generate-estimate', {
+  customer: { name, phone: `330-555-01${String(++phones).padStart(2, '0')}` },
+  vehicle: '2012 Ford Focus',
+  description: 'front brake pads, plus oil change'
+});
+
+async function customersNamed(name) {
+  return (await repos.customers.search(shopId, { q: name, limit: 10, offset: 0 })).customers;
+}
+
+test('a new customer is saved with the estimate and its first version', async () => {
+  const { status, body } = await generate('Pat Oduya');
+  assert.equal(status, 200);
+  assert.equal(body.savedJob.status, 'estimate');
+  assert.equal(body.savedJob.estimate_version, 1);
+  assert.equal(body.savedJob.customer_id, body.customer.id);
+  assert.equal((await customersNamed('Pat Oduya')).length, 1);
+});
+
+test('a job that fails to save leaves no new customer behind', async (t) => {
+  t.mock.method(repos.jobs, 'create', async () => { throw new Error('jobs table is down'); });
+
+  const { status } = await generate('Lee Marsh');
+  assert.equal(status, 500);
+  assert.deepEqual(await customersNamed('Lee Marsh'), []);
+});
+
+test('a job whose history fails to save is taken back with its customer', async (t) => {
+  const before = await repos.jobs.recent(shopId);
+  t.mock.method(repos.revisions, 'add', async () => { throw new Error('history table is down'); });
+
+  const { status } = await generate('Sam Greer');
+  assert.equal(status, 500);
+  assert.deepEqual(await customersNamed('Sam Greer'), []);
+  assert.equal((await repos.jobs.recent(shopId)).length, before.length);
+});
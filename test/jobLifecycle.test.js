@@ -0,0 +1,119 @@
+// Job status transitions and invoice numbering through the routes, on the
+// memory backend with the offline stub writing the estimates
+process.env.STORAGE = 'memory';
+process.env.LLM_PROVIDERS = 'stub';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, repos } = require('../server');
+
+let server;
+let baseUrl;
+const tokens = {};
+
+async function call(method, url, body, auth) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  for (const shop of ['LIFECYCLEONE', 'LIFECYCLETWO']) {
+    await repos.accessCodes.create({ code: shop, tier: 'pro_plus', is_active: true });
+    tokens[shop] = (await call('POST', '/api/validate-access', { accessCode: shop })).body.token;
+  }
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function estimate(token) {
+  const { body } = await call('POST', '/api/generate-estimate', {
+    customer: { name: 'Ira Banks', phone: '330-555-0150' },
+    description: 'oil change'
+  }, token);
+  return body.savedJob;
+}
+
+const move = (job, status, token) => call('POST', `/api/jobs/${job.id}/status`, { status }, token);
+
+// Approved, worked and completed, ready to invoice
+async function completedJob(token) {
+  const job = await estimate(token);
+  for (const status of ['approved', 'in_progress', 'completed']) {
+    assert.equal((await move(job, status, token)).status, 200);
+  }
+  return job;
+}
+
+test('a job moves through each status in order and is stamped on the way', async () => {
+  const token = tokens.LIFECYCLEONE;
+  const job = await completedJob(token);
+
+  const { body } = await call('GET', `/api/jobs/${job.id}`, undefined, token);
+  assert.equal(body.job.status, 'completed');
+  assert.ok(body.job.approved_at && body.job.started_at && body.job.completed_at);
+});
+
+test('illegal moves are refused and leave the job where it was', async () => {
+  const token = tokens.LIFECYCLEONE;
+  const job = await estimate(token);
+
+  const skipped = await move(job, 'completed', token);
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.body.error, 'Cannot move job from "estimate" to "completed" (allowed: approved, declined)');
+
+  assert.equal((await move(job, 'invoiced', token)).status, 400);
+  assert.equal((await call('POST', `/api/jobs/${job.id}/invoice`, undefined, token)).status, 409);
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, 'estimate');
+
+  assert.equal((await move(job, 'declined', token)).status, 200);
+  assert.equal((await move(job, 'approved', token)).status, 409);
+  assert.equal((await move(job, 'estimate', token)).status, 200);
+});
+
+test('two moves from the same status: only one wins', async () => {
+  const token = tokens.LIFECYCLEONE;
+  const job = await estimate(token);
+
+  const results = await Promise.all([move(job, 'approved', token), move(job, 'declined', token)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  const winner = results.find(r => r.status === 200).body.job.status;
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, winner);
+});
+
+test('each shop numbers its own invoices in sequence', async () => {
+  const year = new Date().getFullYear();
+  const invoice = async (token) => (await call('POST', `/api/jobs/${(await completedJob(token)).id}/invoice`, undefined, token)).body;
+
+  const first = await invoice(tokens.LIFECYCLETWO);
+  const second = await invoice(tokens.LIFECYCLETWO);
+  assert.equal(first.invoiceNumber, `INV-${year}-0001`);
+  assert.equal(second.invoiceNumber, `INV-${year}-0002`);
+  assert.equal(first.job.status, 'invoiced');
+  assert.equal(first.job.invoice_number, first.invoiceNumber);
+
+  // The other shop's counter is its own
+  const other = await invoice(tokens.LIFECYCLEONE);
+  assert.equal(other.invoiceNumber, `INV-${year}-0001`);
+});
+
+test('a job can only be invoiced once', async () => {
+  const token = tokens.LIFECYCLETWO;
+  const job = await completedJob(token);
+
+  const results = await Promise.all([1, 2].map(() => call('POST', `/api/jobs/${job.id}/invoice`, undefined, token)));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  const numbers = (await repos.jobs.invoiceNumbers(job.shop_id, 'INV-')).filter(Boolean);
+  assert.equal(new Set(numbers).size, numbers.length);
+});
@@ -0,0 +1,145 @@
+// Deposits, partial payments and paying off an invoice, on the memory
+// backend: cash through the routes, card through the signed Stripe webhook
+process.env.STORAGE = 'memory';
+process.env.LLM_PROVIDERS = 'stub';
+process.env.STRIPE_SECRET_KEY = 'sk_test_payments';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, repos, stripe } = require('../server');
+
+let server;
+let baseUrl;
+let token;
+
+async function call(method, url, body, auth = token) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  await repos.accessCodes.create({ code: 'PAYMENTSTEST', tier: 'pro_plus', is_active: true });
+  token = (await call('POST', '/api/validate-access', { accessCode: 'PAYMENTSTEST' }, null)).body.token;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function estimate() {
+  const { body } = await call('POST', '/api/generate-estimate', {
+    customer: { name: 'Noor Haddad', phone: '330-555-0177' },
+    description: 'front brake pads, plus oil change'
+  });
+  return body.savedJob;
+}
+
+async function invoice(job) {
+  for (const status of ['approved', 'in_progress', 'completed']) {
+    await call('POST', `/api/jobs/${job.id}/status`, { status });
+  }
+  return (await call('POST', `/api/jobs/${job.id}/invoice`)).body;
+}
+
+const pay = (job, amount, extra = {}) => call('POST', `/api/jobs/${job.id}/payments`, { amount, method: 'cash', ...extra });
+
+test('a deposit and a partial payment count toward the invoice, and the balance pays it off', async () => {
+  const job = await estimate();
+  const total = Number(job.estimated_total);
+
+  const deposit = await pay(job, 50, { kind: 'deposit' });
+  assert.equal(deposit.status, 201);
+  assert.equal(deposit.body.payment.kind, 'deposit');
+  assert.equal(deposit.body.balance, Number((total - 50).toFixed(2)));
+
+  const invoiced = await invoice(job);
+  assert.equal(invoiced.job.status, 'invoiced');
+  assert.equal(invoiced.balance, Number((total - 50).toFixed(2)));
+
+  const partial = await pay(job, 20);
+  assert.equal(partial.body.payment.kind, 'partial');
+  assert.equal(partial.body.job.status, 'invoiced');
+
+  const rest = Number((total - 70).toFixed(2));
+  const balance = await pay(job, rest);
+  assert.equal(balance.body.payment.kind, 'balance');
+  assert.equal(balance.body.balance, 0);
+  assert.equal(balance.body.job.status, 'paid');
+  assert.ok(balance.body.job.paid_at);
+
+  const { body } = await call('GET', `/api/jobs/${job.id}/payments`);
+  assert.deepEqual(body.payments.map(p => Number(p.amount)).sort((a, b) => a - b), [20, 50, rest].sort((a, b) => a - b));
+  assert.equal(body.amountPaid, total);
+});
+
+test('a payment can not be more than the balance, or land on a paid job', async () => {
+  const job = await estimate();
+  const total = Number(job.estimated_total);
+
+  const over = await pay(job, total + 1);
+  assert.equal(over.status, 400);
+
+  await invoice(job);
+  assert.equal((await pay(job, total)).body.job.status, 'paid');
+  assert.equal((await pay(job, 1)).status, 409);
+});
+
+test('deposits that already cover the invoice mark it paid when it is issued', async () => {
+  const job = await estimate();
+  await pay(job, Number(job.estimated_total));
+
+  const invoiced = await invoice(job);
+  assert.equal(invoiced.balance, 0);
+  assert.equal(invoiced.job.status, 'paid');
+});
+
+async function deliver(event) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  const res = await fetch(`${baseUrl}/api/stripe-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+  return res.status;
+}
+
+test('a completed card checkout pays the invoice once, however often it arrives', async () => {
+  const job = await estimate();
+  const invoiced = await invoice(job);
+  const cents = Math.round(invoiced.balance * 100);
+
+  const event = {
+    id: `evt_pay_${job.id}`,
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: `cs_pay_${job.id}`,
+        mode: 'payment',
+        payment_status: 'paid',
+        payment_intent: `pi_pay_${job.id}`,
+        amount_total: cents,
+        metadata: { purpose: 'job_payment', job_id: String(job.id), shop_id: String(job.shop_id), payment_kind: 'balance' }
+      }
+    }
+  };
+  assert.equal(await deliver(event), 200);
+  assert.equal(await deliver({ ...event, id: `${event.id}_again` }), 200);
+
+  const { body } = await call('GET', `/api/jobs/${job.id}/payments`);
+  assert.equal(body.payments.length, 1);
+  assert.equal(body.payments[0].method, 'stripe');
+  assert.equal(body.balance, 0);
+  assert.equal((await repos.jobs.get(job.shop_id, job.id)).status, 'paid');
+});
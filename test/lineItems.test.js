@@ -0,0 +1,78 @@
+// Splitting a description into flat-rate jobs, and the overlap credit between them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadFlatRates } = require('../lib/flatRates');
+const { splitJobDescription, calculateLaborOverlap } = require('../lib/lineItems');
+
+const flatRates = loadFlatRates(path.join(__dirname, '..', 'data', 'flat-rates.json'));
+const split = (description, options) =>
+  splitJobDescription(flatRates, description, undefined, options).map(line => [line.description, line.job, line.axle]);
+
+test('one line per known job, each taking the axle nearest its words', () => {
+  assert.deepEqual(split('front brake pads and rotors, plus oil change'), [
+    ['brake pads front', 'brake pads front', 'front'],
+    ['rotors (front)', 'rotors', 'front'],
+    ['oil change', 'oil change', null]
+  ]);
+  assert.deepEqual(split('front brake pads, rear rotors'), [
+    ['brake pads front', 'brake pads front', 'front'],
+    ['rotors rear', 'rotors rear', 'rear']
+  ]);
+});
+
+test('naming both axles quotes each axle at its own rate', () => {
+  assert.deepEqual(split('front and rear brake pads'), [
+    ['brake pads front', 'brake pads front', 'front'],
+    ['brake pads rear', 'brake pads rear', 'rear']
+  ]);
+  assert.deepEqual(split('pads and rotors front and back'), [
+    ['brake pads and rotors front', 'brake pads and rotors front', 'front'],
+    ['brake pads and rotors rear', 'brake pads and rotors rear', 'rear']
+  ]);
+  assert.deepEqual(split('brake pads and rotors front and back'), [
+    ['brake pads and rotors front', 'brake pads and rotors front', 'front'],
+    ['brake pads and rotors rear', 'brake pads and rotors rear', 'rear']
+  ]);
+});
+
+test('an axle word that belongs to another job is not shared', () => {
+  assert.deepEqual(split('brake pads front and rear rotors'), [
+    ['brake pads front', 'brake pads front', 'front'],
+    ['rotors rear', 'rotors rear', 'rear']
+  ]);
+});
+
+test('jobs that are not done per axle never pick one up from their neighbours', () => {
+  assert.deepEqual(split('front brake pads and oil change')[1], ['oil change', 'oil change', null]);
+});
+
+test('symptoms and whole descriptions stay as a single line', () => {
+  assert.deepEqual(split('car makes a grinding noise when braking'), [
+    ['car makes a grinding noise when braking', null, null]
+  ]);
+  assert.deepEqual(split('front brake pads, rear rotors', { whole: true }), [
+    ['front brake pads, rear rotors', 'brake pads front', null]
+  ]);
+});
+
+test('shared teardown is credited once per pair, same axle only, capped at the smaller job', () => {
+  const overlap = calculateLaborOverlap([
+    { job: 'brake pads front', axle: 'front', laborHours: 1.5 },
+    { job: 'rotors front', axle: 'front', laborHours: 0.5 },
+    { job: 'rotors rear', axle: 'rear', laborHours: 1.5 }
+  ], 100);
+  assert.deepEqual(overlap, {
+    hours: 0.5,
+    amount: 50,
+    overlaps: [{ lines: [0, 1], hours: 0.5, reason: 'Wheels, calipers and pads already off' }]
+  });
+});
+
+test('custom lines never overlap', () => {
+  const overlap = calculateLaborOverlap([
+    { job: null, description: 'brake pads', laborHours: 1 },
+    { job: 'rotors', laborHours: 1 }
+  ], 100);
+  assert.equal(overlap.hours, 0);
+});
@@ -0,0 +1,31 @@
+// Parts markup tiers and pricing parts against catalog matches
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markupPercent, customerPrice, priceParts } = require('../lib/parts');
+
+test('the default tiers mark up under $50 by 50% and the rest by 30%', () => {
+  assert.equal(markupPercent(49.99), 50);
+  assert.equal(markupPercent(50), 30);
+  assert.equal(customerPrice(49.99), 74.99);
+  assert.equal(customerPrice(100), 130);
+});
+
+test("a shop's own tiers are checked in order", () => {
+  const tiers = [{ upTo: 20, percent: 100 }, { upTo: null, percent: 10 }];
+  assert.equal(customerPrice(10, tiers), 20);
+  assert.equal(customerPrice(20, tiers), 22);
+});
+
+test('catalog matches take the catalog cost; the rest keep where they came from', () => {
+  const priced = priceParts(
+    [{ name: 'Rotor', cost: 10 }, { name: 'Clip', cost: 5 }],
+    [{ entry: { id: 3, cost: 60, core_charge: 15, part_number: 'X1' }, score: 0.9 }, null],
+    undefined,
+    'manual'
+  );
+  assert.deepEqual(
+    priced.map(p => [p.cost, p.price, p.coreCharge, p.source]),
+    [[60, 78, 15, 'catalog'], [5, 7.5, 0, 'manual']]
+  );
+  assert.equal(priced[0].partNumber, 'X1');
+});
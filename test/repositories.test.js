@@ -0,0 +1,197 @@
+// Repositories against the local backends: memory always, SQLite when this
+// Node has node:sqlite. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { createRepositories } = require('../lib/repositories');
+
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch (err) {
+  hasSqlite = false;
+}
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'estimator-test-')), 'test.sqlite');
+}
+
+// A migrated SQLite file in a temp directory, removed again by `close`
+function sqliteStorage() {
+  const { openDatabase } = require('../lib/sqlite');
+  const { migrateSqlite } = require('../lib/migrations');
+  const file = tempFile();
+  const database = openDatabase(file);
+  migrateSqlite(database);
+  database.close();
+  const db = createStorage({ env: { STORAGE: 'sqlite', SQLITE_FILE: file } });
+  return { db, cleanup: () => fs.rmSync(path.dirname(file), { recursive: true, force: true }) };
+}
+
+const backends = {
+  memory: () => ({ db: createStorage({ env: { STORAGE: 'memory' } }), cleanup: () => {} }),
+  sqlite: sqliteStorage
+};
+
+for (const [name, open] of Object.entries(backends)) {
+  test(`repositories on ${name}`, { skip: name === 'sqlite' && !hasSqlite && 'needs node:sqlite' }, async (t) => {
+    const { db, cleanup } = open();
+    const repos = createRepositories(db);
+    t.after(() => {
+      db.close();
+      cleanup();
+    });
+
+    await t.test('access codes: ensure is idempotent and findActive sees the code', async () => {
+      const first = await repos.accessCodes.ensure('LOCAL1', 'pro_plus');
+      const again = await repos.accessCodes.ensure('LOCAL1', 'pro');
+      assert.equal(first.created, true);
+      assert.equal(again.created, false);
+      assert.equal(again.code.tier, 'pro_plus');
+      assert.equal((await repos.accessCodes.findActive('LOCAL1')).id, first.code.id);
+      assert.equal(await repos.accessCodes.findActive('NOPE'), null);
+    });
+
+    await t.test('customers: scoped to the shop, matched on phone digits, searchable', async () => {
+      const ann = await repos.customers.create(1, { name: 'Ann Lee', phone: '330-555-1212', phone_digits: '3305551212' });
+      await repos.customers.create(2, { name: 'Ann Other', phone_digits: '3305551212' });
+
+      assert.equal((await repos.customers.findBy(1, 'phone_digits', '3305551212')).id, ann.id);
+      assert.equal(await repos.customers.get(2, ann.id), null);
+
+      const { customers, total } = await repos.customers.search(1, { q: 'lee', limit: 10, offset: 0 });
+      assert.equal(total, 1);
+      assert.equal(customers[0].name, 'Ann Lee');
+
+      const updated = await repos.customers.update(1, ann.id, { email: 'ann@example.com' });
+      assert.equal(updated.email, 'ann@example.com');
+      assert.ok(updated.updated_at);
+    });
+
+    await t.test('vehicles: found by VIN and moved between customers', async () => {
+      const from = await repos.customers.create(1, { name: 'Bo Diaz' });
+      const to = await repos.customers.create(1, { name: 'Cy Ng' });
+      const car = await repos.vehicles.create(1, { customer_id: from.id, vin: '1HGCM82633A004352', make: 'Honda' });
+
+      assert.equal((await repos.vehicles.findByVin(1, '1HGCM82633A004352')).id, car.id);
+      const moved = await repos.vehicles.reassignCustomer(1, from.id, to.id);
+      assert.deepEqual(moved.map(row => row.id), [car.id]);
+      assert.equal((await repos.vehicles.get(1, car.id)).customer_id, to.id);
+    });
+
+    await t.test('jobs: updateIfStatus only wins against the status it read', async () => {
+      const job = await repos.jobs.create({ shop_id: 1, vehicle: '2015 Honda Civic', status: 'estimate' });
+      const approved = await repos.jobs.updateIfStatus(job, { status: 'approved' });
+      assert.equal(approved.status, 'approved');
+      assert.equal(await repos.jobs.updateIfStatus(job, { status: 'declined' }), null);
+      assert.equal((await repos.jobs.get(1, job.id)).status, 'approved');
+    });
+
+    await t.test('invoice numbers: unique under concurrency, continuing from ones already issued', async () => {
+      const numbers = await Promise.all(Array.from({ length: 6 }, () => repos.invoiceNumbers.next(1, 2026, async () => 9999)));
+      assert.deepEqual([...numbers].sort((a, b) => a - b), [10000, 10001, 10002, 10003, 10004, 10005]);
+      assert.equal(await repos.invoiceNumbers.next(2, 2026, async () => 0), 1);
+    });
+
+    await t.test('change orders: numbered per job, distinct when created together', async () => {
+      const job = await repos.jobs.create({ shop_id: 1, vehicle: '2012 Ford Focus', status: 'approved' });
+      const created = await Promise.all(['Belt', 'Hose', 'Clamp'].map(description => repos.changeOrders.create(job, { description })));
+      assert.deepEqual(created.map(co => co.number).sort(), [1, 2, 3]);
+      assert.deepEqual((await repos.changeOrders.forJob(job)).map(co => co.number), [1, 2, 3]);
+
+      const decided = await repos.changeOrders.decide(created[0], 'approved', new Date().toISOString());
+      assert.equal(decided.status, 'approved');
+      assert.equal(await repos.changeOrders.decide(created[0], 'declined', new Date().toISOString()), null);
+      await repos.changeOrders.reopen(decided, 'approved');
+      assert.equal((await repos.changeOrders.get(1, decided.id)).status, 'pending');
+    });
+
+    await t.test('approvals: a link is decided once, and reopened only from that decision', async () => {
+      const job = await repos.jobs.create({ shop_id: 1, vehicle: '2010 Mazda 3', status: 'estimate' });
+      const approval = await repos.approvals.create({ shop_id: 1, job_id: job.id, kind: 'estimate', token: 'tok-1', status: 'pending', shown: { total: 100 } });
+      const signed = await repos.approvals.decide(approval, { status: 'approved', signature_name: 'Pat' });
+      assert.equal(signed.signature_name, 'Pat');
+      assert.equal(await repos.approvals.decide(approval, { status: 'declined' }), null);
+
+      assert.deepEqual(await repos.approvals.reopen(signed, 'declined'), []);
+      await repos.approvals.reopen(signed, 'approved');
+      const reopened = await repos.approvals.findByToken('tok-1');
+      assert.equal(reopened.status, 'pending');
+      assert.equal(reopened.signature_name, null);
+
+      await repos.approvals.supersedePending(job);
+      assert.equal((await repos.approvals.forJob(job))[0].status, 'superseded');
+    });
+
+    await t.test('expenses: scoped to the shop', async () => {
+      const expense = await repos.expenses.create(1, { expense_date: '2026-03-01', category: 'tools', amount: 40, tax_year: 2026 });
+      assert.equal(await repos.expenses.get(2, expense.id), null);
+      assert.equal(await repos.expenses.remove(2, expense.id), null);
+      assert.deepEqual((await repos.expenses.list(1, { year: 2026 })).map(e => e.id), [expense.id]);
+      assert.equal((await repos.expenses.remove(1, expense.id)).id, expense.id);
+      assert.deepEqual(await repos.expenses.forTaxYear(1, 2026), []);
+    });
+
+    await t.test('stripe events: logged once, retaken once after failing', async () => {
+      const event = { id: 'evt_1', type: 'checkout.session.completed' };
+      assert.equal(await repos.stripeEvents.logNew(event), true);
+      assert.equal(await repos.stripeEvents.logNew(event), false);
+      await repos.stripeEvents.finish(event.id, { status: 'failed', error: 'boom' });
+
+      const failed = await repos.stripeEvents.get(event.id);
+      const retakes = await Promise.all([repos.stripeEvents.retake(failed), repos.stripeEvents.retake(failed)]);
+      assert.deepEqual(retakes.sort(), [false, true]);
+      assert.equal((await repos.stripeEvents.get(event.id)).attempts, 2);
+    });
+  });
+}
+
+test('sqlite migration backfills phone_digits', { skip: !hasSqlite && 'needs node:sqlite' }, () => {
+  const { openDatabase } = require('../lib/sqlite');
+  const { migrateSqlite, sqlitePending } = require('../lib/migrations');
+  const file = tempFile();
+  const database = openDatabase(file);
+  try {
+    // A customers table from before phone_digits existed
+    database.exec('CREATE TABLE "customers" ("id" INTEGER PRIMARY KEY AUTOINCREMENT, "shop_id" INTEGER NOT NULL, "name" TEXT NOT NULL, "phone" TEXT)');
+    database.exec(`INSERT INTO "customers" ("shop_id", "name", "phone") VALUES
+      (1, 'Ann Lee', '(330) 555-1212'), (1, 'Bo Diaz', '+1 330 555 9999'), (1, 'Cy Ng', 'ext 12'), (1, 'Di Ro', NULL)`);
+
+    const { added, filled } = migrateSqlite(database);
+    assert.ok(added.includes('customers.phone_digits'));
+    assert.deepEqual(filled, [{ name: 'customers.phone_digits', rows: 2 }]);
+    const digits = database.prepare('SELECT "name", "phone_digits" FROM "customers" ORDER BY "id"').all()
+      .map(row => [row.name, row.phone_digits]);
+    assert.deepEqual(digits, [['Ann Lee', '3305551212'], ['Bo Diaz', '3305559999'], ['Cy Ng', null], ['Di Ro', null]]);
+
+    assert.deepEqual(sqlitePending(database), []);
+    assert.deepEqual(migrateSqlite(database), { added: [], filled: [] });
+  } finally {
+    database.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('sqlite migration lowercases access code emails', { skip: !hasSqlite && 'needs node:sqlite' }, () => {
+  const { openDatabase } = require('../lib/sqlite');
+  const { migrateSqlite } = require('../lib/migrations');
+  const file = tempFile();
+  const database = openDatabase(file);
+  try {
+    // Codes sold before checkout lowercased the Stripe email
+    database.exec('CREATE TABLE "access_codes" ("id" INTEGER PRIMARY KEY AUTOINCREMENT, "code" TEXT NOT NULL, "email" TEXT)');
+    database.exec(`INSERT INTO "access_codes" ("code", "email") VALUES
+      ('AAAA1111', ' Pat@Example.com'), ('BBBB2222', 'sam@example.com'), ('CCCC3333', NULL)`);
+
+    const { filled } = migrateSqlite(database);
+    assert.deepEqual(filled, [{ name: 'access_codes.email', rows: 1 }]);
+    const emails = database.prepare('SELECT "email" FROM "access_codes" ORDER BY "id"').all().map(row => row.email);
+    assert.deepEqual(emails, ['pat@example.com', 'sam@example.com', null]);
+  } finally {
+    database.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,41 @@
+// Comparing two estimate revisions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateSnapshot, diffSnapshots } = require('../lib/revisions');
+
+const original = estimateSnapshot({
+  description: 'Front brake pads',
+  estimated_labor_hours: 1.5,
+  estimated_total: 250,
+  estimated_parts: [{ name: 'Pads', cost: 40, price: 60 }],
+  estimated_line_items: [{ description: 'brake pads front', laborHours: 1.5, laborCost: 150, partsCost: 60 }],
+  warnings: ['Check rotors']
+});
+
+test('an unchanged estimate says so', () => {
+  const diff = diffSnapshots(original, { ...original });
+  assert.equal(diff.unchanged, true);
+  assert.equal(diff.summary, 'Total unchanged at $250.00');
+});
+
+test('figures, parts, line items and warnings list only what moved', () => {
+  const revised = {
+    ...original,
+    estimated_labor_hours: 2.5,
+    estimated_total: 412.5,
+    estimated_parts: [{ name: 'pads', cost: 40, price: 65 }, { name: 'Rotor', cost: 80, price: 104 }],
+    estimated_line_items: [
+      original.estimated_line_items[0],
+      { description: 'rotors (front)', laborHours: 1, laborCost: 100, partsCost: 104 }
+    ],
+    warnings: []
+  };
+  const diff = diffSnapshots(original, revised);
+
+  assert.equal(diff.unchanged, false);
+  assert.deepEqual(diff.figures.map(f => [f.field, f.change]), [['estimated_labor_hours', 1], ['estimated_total', 162.5]]);
+  assert.deepEqual(diff.parts.map(p => [p.name, p.change, p.price.change]), [['pads', 'changed', 5], ['Rotor', 'added', 104]]);
+  assert.deepEqual(diff.lineItems.map(l => [l.index, l.change]), [[1, 'added']]);
+  assert.deepEqual(diff.warnings, { added: [], removed: ['Check rotors'] });
+  assert.equal(diff.summary, 'Total $250.00 → $412.50 (+$162.50)');
+});
@@ -0,0 +1,32 @@
+// Mobile scheduling: trip fees by zone and appointment conflicts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tripFee, zoneFee, appointmentMinutes, findConflicts } = require('../lib/schedule');
+
+const base = { lat: 40, lng: -75 };
+
+test('the trip fee comes from the zone the straight-line distance falls in', () => {
+  assert.deepEqual(tripFee(base, { lat: 40.2, lng: -75 }), { miles: 13.8, fee: 35, zone: 2, label: '10-25 mi' });
+  assert.equal(zoneFee(10).fee, 0);
+  assert.equal(zoneFee(25.1).label, 'over 25 mi');
+});
+
+test('no trip fee without coordinates at both ends', () => {
+  assert.equal(tripFee(base, { lat: null, lng: -75 }), null);
+  assert.equal(tripFee(null, base), null);
+});
+
+test('appointments are booked in quarter hours, never under half an hour', () => {
+  assert.equal(appointmentMinutes(1.1), 75);
+  assert.equal(appointmentMinutes(0.1), 30);
+});
+
+test('conflicts count the buffer between jobs but not the appointment itself', () => {
+  const at = (hour, minutes, id) => ({ id, start: new Date(Date.UTC(2026, 9, 20, hour)), minutes });
+  const booked = at(9, 60, 1);
+  const others = [booked, at(10, 60, 2), at(12, 60, 3)];
+
+  assert.deepEqual(findConflicts(booked, others).map(a => a.id), []);
+  assert.deepEqual(findConflicts(booked, others, 15).map(a => a.id), [2]);
+  assert.deepEqual(findConflicts(at(9, 90, 4), others).map(a => a.id), [1, 2]);
+});
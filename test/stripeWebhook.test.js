@@ -0,0 +1,160 @@
+// The Stripe webhook end to end on the memory backend: signed deliveries,
+// the stripe_events log and the subscription handlers
+process.env.STORAGE = 'memory';
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhooks';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.MAIL_TRANSPORT = 'console';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, repos, stripe } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+let eventCount = 0;
+function stripeEvent(type, object) {
+  return { id: `evt_test_${++eventCount}`, object: 'event', type, data: { object } };
+}
+
+async function deliver(event) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  const res = await fetch(`${baseUrl}/api/stripe-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// A subscription code the way checkout.session.completed leaves it
+async function subscribe(subscriptionId) {
+  await deliver(stripeEvent('checkout.session.completed', {
+    id: `cs_${subscriptionId}`,
+    mode: 'subscription',
+    customer: 'cus_shared',
+    subscription: subscriptionId,
+    customer_details: { email: 'shop@example.com', name: 'Shop' },
+    metadata: { tier: 'pro' }
+  }));
+  return repos.accessCodes.findBySubscription(subscriptionId);
+}
+
+test('an unsigned delivery is refused', async () => {
+  const res = await fetch(`${baseUrl}/api/stripe-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': 't=1,v1=forged' },
+    body: JSON.stringify(stripeEvent('customer.subscription.deleted', { id: 'sub_forged' }))
+  });
+  assert.equal(res.status, 400);
+});
+
+test('a redelivered checkout is acknowledged without a second code', async () => {
+  const event = stripeEvent('checkout.session.completed', {
+    id: 'cs_once',
+    mode: 'subscription',
+    customer: 'cus_once',
+    subscription: 'sub_once',
+    customer_details: { email: 'once@example.com' },
+    metadata: { tier: 'pro_plus' }
+  });
+
+  assert.deepEqual(await deliver(event), { status: 200, body: { received: true } });
+  assert.deepEqual(await deliver(event), { status: 200, body: { received: true, duplicate: true } });
+
+  const codes = await repos.accessCodes.activeForEmail('once@example.com');
+  assert.equal(codes.length, 1);
+  assert.equal(codes[0].tier, 'pro_plus');
+  assert.match(codes[0].code, /^[A-Z2-9]{12}$/);
+  assert.equal((await repos.stripeEvents.get(event.id)).status, 'processed');
+});
+
+test('a failed handler answers 500 and the redelivery takes the event again', async (t) => {
+  const code = await subscribe('sub_retry');
+  const event = stripeEvent('charge.refunded', {
+    id: 'ch_retry', customer: 'cus_shared', invoice: 'in_retry', amount: 2900, amount_refunded: 2900
+  });
+
+  const invoices = t.mock.method(stripe.invoices, 'retrieve', async () => { throw new Error('Stripe is down'); });
+  const failed = await deliver(event);
+  assert.equal(failed.status, 500);
+  const logged = await repos.stripeEvents.get(event.id);
+  assert.equal(logged.status, 'failed');
+  assert.equal(logged.error, 'Stripe is down');
+
+  invoices.mock.mockImplementation(async () => ({ id: 'in_retry', subscription: 'sub_retry' }));
+  t.mock.method(stripe.subscriptions, 'retrieve', async () => ({ id: 'sub_retry', status: 'canceled' }));
+  assert.equal((await deliver(event)).status, 200);
+
+  const retried = await repos.stripeEvents.get(event.id);
+  assert.equal(retried.status, 'processed');
+  assert.equal(retried.attempts, 2);
+  const refunded = await repos.accessCodes.get(code.id);
+  assert.equal(refunded.is_active, false);
+  assert.equal(refunded.stripe_subscription_status, 'refunded');
+});
+
+test('refunding a charge on a live subscription leaves every code active', async (t) => {
+  const live = await subscribe('sub_live');
+  const other = await subscribe('sub_other');
+  t.mock.method(stripe.invoices, 'retrieve', async () => ({ id: 'in_old', subscription: 'sub_live' }));
+  t.mock.method(stripe.subscriptions, 'retrieve', async () => ({ id: 'sub_live', status: 'active' }));
+
+  await deliver(stripeEvent('charge.refunded', {
+    id: 'ch_goodwill', customer: 'cus_shared', invoice: 'in_old', amount: 2900, amount_refunded: 2900
+  }));
+
+  assert.equal((await repos.accessCodes.get(live.id)).is_active, true);
+  assert.equal((await repos.accessCodes.get(other.id)).is_active, true);
+});
+
+test('partial refunds and charges with no invoice change nothing', async (t) => {
+  const code = await subscribe('sub_partial');
+  const invoices = t.mock.method(stripe.invoices, 'retrieve', async () => ({ subscription: 'sub_partial' }));
+
+  await deliver(stripeEvent('charge.refunded', {
+    id: 'ch_partial', customer: 'cus_shared', invoice: 'in_partial', amount: 2900, amount_refunded: 1000
+  }));
+  await deliver(stripeEvent('charge.refunded', {
+    id: 'ch_one_off', customer: 'cus_shared', invoice: null, amount: 2900, amount_refunded: 2900
+  }));
+
+  assert.equal(invoices.mock.callCount(), 0);
+  assert.equal((await repos.accessCodes.get(code.id)).is_active, true);
+});
+
+test('a failed payment flags the code past due but keeps it usable', async () => {
+  const code = await subscribe('sub_card');
+  await deliver(stripeEvent('invoice.payment_failed', { id: 'in_card', subscription: 'sub_card', attempt_count: 1 }));
+
+  const flagged = await repos.accessCodes.get(code.id);
+  assert.equal(flagged.is_active, true);
+  assert.equal(flagged.stripe_subscription_status, 'past_due');
+  assert.ok(flagged.payment_failed_at);
+});
+
+test('trial_will_end records when the trial ends', async () => {
+  const code = await subscribe('sub_trial');
+  const trialEnd = Math.floor(Date.UTC(2026, 10, 1) / 1000);
+  await deliver(stripeEvent('customer.subscription.trial_will_end', { id: 'sub_trial', trial_end: trialEnd }));
+
+  assert.equal((await repos.accessCodes.get(code.id)).trial_ends_at, '2026-11-01T00:00:00.000Z');
+});
+
+test('a deleted subscription deactivates its code', async () => {
+  const code = await subscribe('sub_gone');
+  await deliver(stripeEvent('customer.subscription.deleted', { id: 'sub_gone', status: 'canceled' }));
+
+  const gone = await repos.accessCodes.get(code.id);
+  assert.equal(gone.is_active, false);
+  assert.equal(gone.stripe_subscription_status, 'canceled');
+});
@@ -0,0 +1,35 @@
+// Schedule C income on a cash basis: payments when received, less sales tax
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { yearReceipts, buildTaxReport } = require('../lib/taxReport');
+
+const invoiced = {
+  id: 1, description: 'Brakes', invoice_number: 'INV-2026-0001', tax_rate: 25,
+  invoice_total: 110, invoice_sales_tax: 10
+};
+
+test('deposits and partial payments count when received, without their sales tax', () => {
+  const receipts = yearReceipts({
+    payments: [
+      { job_id: 1, amount: 55, paid_at: '2026-02-10T15:00:00Z' },
+      { job_id: 1, amount: 55, refunded_amount: 11, paid_at: '2026-07-01T15:00:00Z' }
+    ],
+    jobs: [invoiced]
+  });
+
+  assert.deepEqual(receipts.map(r => [r.date, r.income, r.setAside]), [['2026-02-10', 50, 12.5], ['2026-07-01', 40, 10]]);
+  const report = buildTaxReport({ year: 2026, receipts, expenses: [], setAsidePercent: 25 });
+  assert.equal(report.grossReceipts, 90);
+  assert.equal(report.paidJobs, 1);
+  assert.equal(report.payments, 2);
+  assert.deepEqual(report.quarters.map(q => q.income), [50, 0, 40, 0]);
+});
+
+test('a job marked paid with no payments recorded counts in full on its paid date', () => {
+  const receipts = yearReceipts({
+    payments: [],
+    jobs: [],
+    paidWithoutPayments: [{ ...invoiced, paid_at: '2026-11-03T10:00:00Z' }]
+  });
+  assert.deepEqual(receipts.map(r => [r.date, r.reference, r.income]), [['2026-11-03', 'INV-2026-0001', 100]]);
+});
@@ -0,0 +1,38 @@
+// The usage meter under concurrent requests, on the memory backend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createUsageMeter, usagePeriod } = require('../lib/entitlements');
+
+function meter() {
+  return createUsageMeter(createStorage({ env: { STORAGE: 'memory' } }));
+}
+
+test('concurrent reservations never pass the limit', async () => {
+  const usage = meter();
+  const results = await Promise.all(Array.from({ length: 12 }, () => usage.reserve(1, 'ai_estimates', 5)));
+
+  assert.equal(results.filter(result => result.reserved).length, 5);
+  assert.equal(await usage.used(1, 'ai_estimates'), 5);
+  const refused = results.find(result => !result.reserved);
+  assert.equal(refused.used, 5);
+});
+
+test('unlimited reservations all count', async () => {
+  const usage = meter();
+  await Promise.all(Array.from({ length: 8 }, () => usage.reserve(1, 'ai_estimates', null)));
+  assert.equal(await usage.used(1, 'ai_estimates'), 8);
+});
+
+test('release gives a unit back and never goes below zero', async () => {
+  const usage = meter();
+  const { period } = await usage.reserve(1, 'ai_estimates', 1);
+  assert.equal((await usage.reserve(1, 'ai_estimates', 1)).reserved, false);
+
+  await usage.release(1, 'ai_estimates', period);
+  assert.equal(await usage.used(1, 'ai_estimates'), 0);
+  assert.equal((await usage.reserve(1, 'ai_estimates', 1)).reserved, true);
+
+  await Promise.all([usage.release(1, 'ai_estimates', period), usage.release(1, 'ai_estimates', period)]);
+  assert.equal(await usage.used(1, 'ai_estimates', usagePeriod()), 0);
+});
@@ -0,0 +1,33 @@
+// VIN validation: length, letters never used and the position 9 check digit
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateVin, checkDigit } = require('../lib/vin');
+
+test('a correct check digit validates', () => {
+  assert.equal(checkDigit('1HGCM82633A004352'), '3');
+  const result = validateVin(' 1hgcm82633a004352 ');
+  assert.equal(result.vin, '1HGCM82633A004352');
+  assert.equal(result.valid, true);
+  assert.equal(result.checkDigitValid, true);
+});
+
+test('a wrong check digit is an error on North American VINs', () => {
+  const result = validateVin('1HGCM82643A004352');
+  assert.equal(result.valid, false);
+  assert.equal(result.checkDigitValid, false);
+  assert.match(result.errors[0], /should be 3/);
+});
+
+test('elsewhere the check digit is optional, so a mismatch only warns', () => {
+  const result = validateVin('WVWZZZ1JZ3W386752');
+  assert.equal(result.valid, true);
+  assert.equal(result.checkDigitValid, false);
+  assert.equal(result.warnings.length, 1);
+});
+
+test('wrong length and I, O or Q are errors before the check digit is tried', () => {
+  const result = validateVin('1HGCM8263OA00435');
+  assert.equal(result.valid, false);
+  assert.equal(result.checkDigitValid, null);
+  assert.equal(result.errors.length, 2);
+});